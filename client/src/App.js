@@ -3,6 +3,7 @@ import { Routes, Route, Navigate, useNavigate } from 'react-router-dom';
 import Login from './components/Login';
 import Register from './components/Register';
 import Phonebook from './components/Phonebook';
+import Invite, { getPendingInvite } from './components/Invite';
 
 function App() {
   const [authStatus, setAuthStatus] = useState(null);
@@ -104,11 +105,14 @@ function App() {
               <Navigate to="/login" replace />
             ) : !authStatus.registered ? (
               <Navigate to="/register" replace />
+            ) : getPendingInvite() ? (
+              <Navigate to={`/invite/${getPendingInvite()}`} replace />
             ) : (
               <Phonebook user={authStatus.user} onLogout={handleLogout} onUserUpdate={handleUserUpdate} />
             )
           }
         />
+        <Route path="/invite/:token" element={<Invite authStatus={authStatus} />} />
         <Route path="*" element={<Navigate to="/login" replace />} />
       </Routes>
     </div>
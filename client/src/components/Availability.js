@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import WeeklyHours, { newWindow } from './WeeklyHours';
+
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Older browsers can't list zones; offer at least the browser's own and UTC
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [...new Set([BROWSER_TIME_ZONE, 'UTC'])];
+
+function Availability() {
+  const [timeZone, setTimeZone] = useState(BROWSER_TIME_ZONE);
+  const [windows, setWindows] = useState([]);
+  const [dndEnabled, setDndEnabled] = useState(false);
+  const [dndUntil, setDndUntil] = useState(null);
+  const [untilInput, setUntilInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const fetchAvailability = async () => {
+      try {
+        const response = await fetch('/api/users/availability', {
+          credentials: 'include'
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to fetch availability');
+        }
+
+        // Nobody has picked a zone yet - suggest the browser's
+        setTimeZone(data.windows.length === 0 && data.timeZone === 'UTC' ? BROWSER_TIME_ZONE : data.timeZone);
+        setWindows(data.windows);
+        setDndEnabled(data.dndEnabled);
+        setDndUntil(data.dndUntil);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchAvailability();
+  }, []);
+
+  const addWindow = () => {
+    setWindows(prev => [...prev, newWindow()]);
+  };
+
+  const handleSaveSchedule = async () => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await fetch('/api/users/availability', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ timeZone, windows })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save availability');
+      }
+
+      setWindows(data.windows);
+      setMessage('Schedule saved');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateDnd = async (enabled, until) => {
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await fetch('/api/users/dnd', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ enabled, until: until ? new Date(until).toISOString() : null })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update do-not-disturb');
+      }
+
+      setDndEnabled(data.dndEnabled);
+      setDndUntil(data.dndUntil);
+      setUntilInput('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading availability...</div>;
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Availability</h3>
+      <p className="hint">
+        Outside these hours callers are offered your voicemail instead of ringing you.
+        Others only see whether you're available and until when.
+      </p>
+
+      {error && (
+        <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+      )}
+
+      <div className="toggle-section">
+        <label className="toggle-label">
+          <span>Do not disturb</span>
+          <div className="toggle-switch">
+            <input
+              type="checkbox"
+              checked={dndEnabled}
+              onChange={() => updateDnd(!dndEnabled, dndEnabled ? null : untilInput)}
+            />
+            <span className="toggle-slider"></span>
+          </div>
+        </label>
+        {dndEnabled ? (
+          <p className="toggle-status">
+            <span className="status-info">
+              {dndUntil ? `Until ${new Date(dndUntil).toLocaleString()}` : 'Until you turn it off'}
+            </span>
+          </p>
+        ) : (
+          <div className="form-group availability-until">
+            <label htmlFor="dnd-until">Until (optional)</label>
+            <input
+              id="dnd-until"
+              type="datetime-local"
+              value={untilInput}
+              onChange={(e) => setUntilInput(e.target.value)}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="time-zone">Time zone</label>
+        <select id="time-zone" value={timeZone} onChange={(e) => setTimeZone(e.target.value)}>
+          {TIME_ZONES.map((tz) => (
+            <option key={tz} value={tz}>{tz}</option>
+          ))}
+        </select>
+      </div>
+
+      <WeeklyHours
+        windows={windows}
+        onChange={setWindows}
+        emptyText="No schedule - you can be called at any time"
+      />
+
+      <div className="phonebook-actions">
+        <button className="btn btn-secondary btn-small" onClick={addWindow}>
+          Add hours
+        </button>
+        <button className="btn btn-primary btn-small" onClick={handleSaveSchedule} disabled={saving}>
+          {saving ? 'Saving...' : 'Save schedule'}
+        </button>
+      </div>
+      {message && <p className="status-ready" style={{ marginTop: '8px' }}>{message}</p>}
+    </div>
+  );
+}
+
+export default Availability;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+function BlockedUsers({ onUnblock }) {
+  const [blocks, setBlocks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchBlocks = useCallback(async () => {
+    try {
+      const response = await fetch('/api/users/blocks', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch blocked users');
+      }
+
+      setBlocks(data.blocks);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBlocks();
+  }, [fetchBlocks]);
+
+  const handleUnblock = async (id) => {
+    try {
+      const response = await fetch(`/api/users/blocks/${id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to unblock user');
+      }
+
+      setBlocks(prev => prev.filter(b => b.id !== id));
+      if (onUnblock) {
+        onUnblock(id);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="settings-section">
+      <h3>Blocked users</h3>
+      <p className="hint">Blocked users can't call you, and you won't see each other in the phonebook.</p>
+
+      {error && (
+        <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : blocks.length === 0 ? (
+        <p className="status-info">You haven't blocked anyone</p>
+      ) : (
+        <ul className="phonebook-list">
+          {blocks.map((b) => (
+            <li key={b.id} className="phonebook-item">
+              <span className="codename">{b.codename}</span>
+              <button className="btn btn-secondary btn-small" onClick={() => handleUnblock(b.id)}>
+                Unblock
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default BlockedUsers;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const PAGE_SIZE = 20;
+
+// Each filter maps to query parameters understood by GET /api/calls/history
+const FILTERS = {
+  all: {},
+  missed: { direction: 'incoming', status: 'no-answer,busy,canceled,failed' },
+  answered: { direction: 'incoming', status: 'in-progress,completed' },
+  outgoing: { direction: 'outgoing' }
+};
+
+const FILTER_LABELS = {
+  all: 'All',
+  missed: 'Missed',
+  answered: 'Answered',
+  outgoing: 'Outgoing'
+};
+
+const MISSED_STATUSES = ['no-answer', 'busy', 'canceled', 'failed'];
+
+function describeCall(call) {
+  if (call.direction === 'outgoing') {
+    return 'Outgoing';
+  }
+  if (call.status === 'declined') {
+    return 'Declined';
+  }
+  return MISSED_STATUSES.includes(call.status) ? 'Missed' : 'Answered';
+}
+
+function formatDuration(call) {
+  if (!call.endedAt || call.status !== 'completed') {
+    return null;
+  }
+  const seconds = Math.round((new Date(call.endedAt) - new Date(call.createdAt)) / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function CallHistory({ onCallBack, onGroupCallBack, callingUserId, disabled }) {
+  const [filter, setFilter] = useState('all');
+  const [calls, setCalls] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchHistory = useCallback(async (offset) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const params = new URLSearchParams({
+        ...FILTERS[filter],
+        limit: PAGE_SIZE,
+        offset
+      });
+      const response = await fetch(`/api/calls/history?${params}`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch call history');
+      }
+
+      setCalls(prev => (offset === 0 ? data.calls : [...prev, ...data.calls]));
+      setHasMore(data.hasMore);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    fetchHistory(0);
+  }, [fetchHistory]);
+
+  return (
+    <div>
+      <div className="filter-bar">
+        {Object.keys(FILTERS).map((key) => (
+          <button
+            key={key}
+            className={`filter-chip ${filter === key ? 'active' : ''}`}
+            onClick={() => setFilter(key)}
+          >
+            {FILTER_LABELS[key]}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+      )}
+
+      {!loading && calls.length === 0 ? (
+        <div className="empty-state">
+          <p>No calls yet</p>
+        </div>
+      ) : (
+        <ul className="phonebook-list">
+          {calls.map((call) => {
+            const label = describeCall(call);
+            const duration = formatDuration(call);
+            const isGroup = call.participants.length > 1;
+            return (
+              <li key={call.id} className="phonebook-item">
+                <div>
+                  <span className="codename">
+                    {isGroup ? call.participants.map(p => p.codename).join(', ') : call.otherParty.codename}
+                  </span>
+                  <p className={`history-meta ${label.toLowerCase()}`}>
+                    {isGroup && 'Group · '}{label} · {new Date(call.createdAt).toLocaleString()}
+                    {duration && ` · ${duration}`}
+                  </p>
+                </div>
+                {isGroup ? (
+                  <button
+                    className="btn btn-call"
+                    onClick={() => onGroupCallBack(call.participants.map(p => p.id))}
+                    disabled={disabled}
+                  >
+                    Call all
+                  </button>
+                ) : (
+                  <button
+                    className="btn btn-call"
+                    onClick={() => onCallBack(call.otherParty.id, call.otherParty.codename)}
+                    disabled={disabled || callingUserId === call.otherParty.id}
+                  >
+                    {callingUserId === call.otherParty.id ? 'Calling...' : 'Call back'}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {loading && <div className="loading">Loading history...</div>}
+
+      {!loading && hasMore && (
+        <button
+          className="btn btn-secondary"
+          style={{ width: '100%', marginTop: '12px' }}
+          onClick={() => fetchHistory(calls.length)}
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default CallHistory;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+
+// Private nickname and notes for a contact - only ever shown to you
+function ContactForm({ contact, onSave, onRemove, onCancel }) {
+  const [nickname, setNickname] = useState(contact.nickname || '');
+  const [notes, setNotes] = useState(contact.notes || '');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    await onSave(contact, { nickname, notes });
+    setSaving(false);
+  };
+
+  return (
+    <form className="contact-form" onSubmit={handleSubmit}>
+      <div className="form-group">
+        <label htmlFor={`contact-nickname-${contact.id}`}>Nickname</label>
+        <input
+          id={`contact-nickname-${contact.id}`}
+          type="text"
+          maxLength={50}
+          placeholder={contact.codename}
+          value={nickname}
+          onChange={(e) => setNickname(e.target.value)}
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor={`contact-notes-${contact.id}`}>Notes</label>
+        <textarea
+          id={`contact-notes-${contact.id}`}
+          maxLength={1000}
+          rows={3}
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+        />
+      </div>
+      <div className="phonebook-actions">
+        <button type="submit" className="btn btn-primary btn-small" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" className="btn btn-secondary btn-small" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="button" className="btn btn-secondary btn-small" onClick={() => onRemove(contact)}>
+          Remove from contacts
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default ContactForm;
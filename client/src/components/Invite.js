@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+
+// The invite being followed is kept across the Google sign-in redirect, so
+// registration (or the phonebook, for existing users) can pick it up again
+const PENDING_INVITE_KEY = 'pendingInvite';
+
+export function getPendingInvite() {
+  return localStorage.getItem(PENDING_INVITE_KEY);
+}
+
+export function clearPendingInvite() {
+  localStorage.removeItem(PENDING_INVITE_KEY);
+}
+
+function Invite({ authStatus }) {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    const fetchPreview = async () => {
+      try {
+        const response = await fetch(`/api/invites/${encodeURIComponent(token)}/preview`, {
+          credentials: 'include'
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load invite');
+        }
+
+        localStorage.setItem(PENDING_INVITE_KEY, token);
+        setPreview(data);
+      } catch (err) {
+        clearPendingInvite();
+        setError(err.message);
+      }
+    };
+    fetchPreview();
+  }, [token]);
+
+  const handleAccept = async () => {
+    setError('');
+    setAccepting(true);
+
+    try {
+      const response = await fetch('/api/invites/accept', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ token })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to accept invite');
+      }
+
+      clearPendingInvite();
+      navigate('/phonebook');
+    } catch (err) {
+      clearPendingInvite();
+      setError(err.message);
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  const handleDecline = () => {
+    clearPendingInvite();
+    navigate('/phonebook');
+  };
+
+  const signedIn = authStatus?.authenticated;
+
+  return (
+    <div className="card invite-card">
+      <h2>You're invited</h2>
+
+      {!preview ? (
+        error ? (
+          <>
+            <p className="error-text">{error}</p>
+            <button className="btn btn-secondary" onClick={() => navigate(signedIn ? '/phonebook' : '/login')}>
+              Continue
+            </button>
+          </>
+        ) : (
+          <div className="loading">Loading invite...</div>
+        )
+      ) : (
+        <>
+          <p className="invite-from">
+            <strong>{preview.inviter.codename}</strong> invited you to Two-Way No-Phone
+            and their workspace <strong>{preview.workspace.name}</strong>.
+          </p>
+          <p className="hint">
+            You'll be added to each other's contacts. Your phone number stays private.
+          </p>
+
+          {error && (
+            <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+          )}
+
+          {!signedIn ? (
+            <button className="btn btn-google" onClick={() => { window.location.href = '/auth/google'; }}>
+              Sign in with Google to accept
+            </button>
+          ) : !authStatus.registered ? (
+            <button className="btn btn-primary" onClick={() => navigate('/register')}>
+              Finish signing up to accept
+            </button>
+          ) : (
+            <div className="phonebook-actions">
+              <button className="btn btn-secondary" onClick={handleDecline} disabled={accepting}>
+                Not now
+              </button>
+              <button className="btn btn-primary" onClick={handleAccept} disabled={accepting}>
+                {accepting ? 'Accepting...' : 'Accept invite'}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Invite;
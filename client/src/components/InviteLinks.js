@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+// How long a new link lasts, in hours
+const EXPIRY_OPTIONS = [
+  { hours: 24, label: '1 day' },
+  { hours: 168, label: '7 days' },
+  { hours: 720, label: '30 days' }
+];
+
+const STATUS_LABELS = {
+  active: 'Active',
+  revoked: 'Revoked',
+  expired: 'Expired',
+  'used-up': 'Used'
+};
+
+function InviteLinks({ workspaces }) {
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expiresInHours, setExpiresInHours] = useState(168);
+  const [singleUse, setSingleUse] = useState(true);
+  const [workspaceId, setWorkspaceId] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchInvites = useCallback(async () => {
+    try {
+      const response = await fetch('/api/invites', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch invites');
+      }
+
+      setInvites(data.invites);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchInvites();
+  }, [fetchInvites]);
+
+  // With several workspaces the server needs to be told which one
+  useEffect(() => {
+    if (workspaces.length > 0 && !workspaces.some(w => String(w.id) === workspaceId)) {
+      setWorkspaceId(String(workspaces[0].id));
+    }
+  }, [workspaces, workspaceId]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setBusy(true);
+
+    try {
+      const response = await fetch('/api/invites', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          expiresInHours,
+          singleUse,
+          workspaceId: workspaceId ? parseInt(workspaceId, 10) : undefined
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create invite');
+      }
+
+      await fetchInvites();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(invite.url);
+      setCopiedId(invite.id);
+    } catch (err) {
+      window.prompt('Copy this invite link:', invite.url);
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!window.confirm('Revoke this invite link? Nobody will be able to use it any more.')) return;
+
+    try {
+      const response = await fetch(`/api/invites/${invite.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to revoke invite');
+      }
+
+      await fetchInvites();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="settings-section">
+      <h3>Invite links</h3>
+      <p className="hint">
+        Send someone a link to sign up. You'll be added to each other's contacts,
+        and they'll join the workspace you pick.
+      </p>
+
+      {error && (
+        <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+      )}
+
+      {workspaces.length === 0 ? (
+        <p className="status-info">Join or create a workspace first - invited people join it with you.</p>
+      ) : (
+        <form className="workspace-form" onSubmit={handleCreate}>
+          {workspaces.length > 1 && (
+            <select value={workspaceId} onChange={(e) => setWorkspaceId(e.target.value)} aria-label="Workspace">
+              {workspaces.map((w) => (
+                <option key={w.id} value={w.id}>{w.name}</option>
+              ))}
+            </select>
+          )}
+          <select
+            value={expiresInHours}
+            onChange={(e) => setExpiresInHours(parseInt(e.target.value, 10))}
+            aria-label="Expires after"
+          >
+            {EXPIRY_OPTIONS.map((o) => (
+              <option key={o.hours} value={o.hours}>Expires in {o.label}</option>
+            ))}
+          </select>
+          <label className="workspace-domain-option">
+            <input
+              type="checkbox"
+              checked={singleUse}
+              onChange={(e) => setSingleUse(e.target.checked)}
+            />
+            Single use
+          </label>
+          <button type="submit" className="btn btn-primary btn-small" disabled={busy}>
+            Create link
+          </button>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : invites.length === 0 ? (
+        <p className="status-info">You haven't created any invite links</p>
+      ) : (
+        <ul className="workspaces">
+          {invites.map((invite) => (
+            <li key={invite.id} className="workspace">
+              <div className="workspace-row">
+                <div>
+                  <span className={`invite-status invite-status-${invite.status}`}>
+                    {STATUS_LABELS[invite.status]}
+                  </span>
+                  <p className="history-meta">
+                    {invite.workspace ? invite.workspace.name : 'No workspace'}
+                    {invite.maxUses === 1 ? ' · single use' : ` · used ${invite.useCount} ${invite.useCount === 1 ? 'time' : 'times'}`}
+                    {invite.status === 'active' && ` · expires ${new Date(invite.expiresAt).toLocaleString()}`}
+                  </p>
+                  {invite.uses.length > 0 && (
+                    <p className="history-meta">
+                      Used by {invite.uses.map(u => `${u.codename}${u.newUser ? ' (new)' : ''}`).join(', ')}
+                    </p>
+                  )}
+                </div>
+                {invite.status === 'active' && (
+                  <div className="phonebook-actions">
+                    <button className="btn btn-secondary btn-small" onClick={() => handleCopy(invite)}>
+                      {copiedId === invite.id ? 'Copied' : 'Copy link'}
+                    </button>
+                    <button className="btn btn-secondary btn-small" onClick={() => handleRevoke(invite)}>
+                      Revoke
+                    </button>
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default InviteLinks;
@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+
+const MAX_MESSAGE_LENGTH = 400;
+
+function formatTime(sentAt) {
+  const date = new Date(sentAt);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+// Add messages to a thread, skipping any already in it (sent here and pushed back)
+function mergeMessages(existing, added) {
+  const ids = new Set(existing.map(m => m.id));
+  return [...existing, ...added.filter(m => !ids.has(m.id))].sort((a, b) => a.id - b.id);
+}
+
+// Tell the server everything up to a message has been seen
+function markRead(otherId, upTo) {
+  fetch(`/api/messages/${otherId}/read`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ upTo })
+  }).catch(err => console.error('Failed to mark messages read:', err));
+}
+
+// One conversation, with a box to write the next message. Compact threads
+// sit next to a call, so they close instead of going back to the list.
+export function MessageThread({ other, lastEvent, onBack, compact = false }) {
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const endRef = useRef(null);
+
+  const fetchMessages = useCallback(async (before = null) => {
+    try {
+      const params = new URLSearchParams();
+      if (before) params.set('before', before);
+      const response = await fetch(`/api/messages/${other.id}?${params}`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch messages');
+      }
+
+      setMessages(prev => mergeMessages(before ? prev : [], data.messages));
+      setHasMore(data.hasMore);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [other.id]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchMessages();
+  }, [fetchMessages]);
+
+  // Messages pushed by the server, from either side
+  useEffect(() => {
+    if (lastEvent && lastEvent.with.id === other.id) {
+      setMessages(prev => mergeMessages(prev, [lastEvent.message]));
+    }
+  }, [lastEvent, other.id]);
+
+  // Whatever is on screen has been read
+  const latestTheirs = [...messages].reverse().find(m => !m.fromMe);
+  const latestTheirsId = latestTheirs ? latestTheirs.id : null;
+  useEffect(() => {
+    if (latestTheirsId) {
+      markRead(other.id, latestTheirsId);
+    }
+  }, [latestTheirsId, other.id]);
+
+  useEffect(() => {
+    if (endRef.current) {
+      endRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [messages.length]);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    setError('');
+    setSending(true);
+
+    try {
+      const response = await fetch(`/api/messages/${other.id}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ body: draft })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send message');
+      }
+
+      setMessages(prev => mergeMessages(prev, [data.message]));
+      setDraft('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  // Enter sends, Shift+Enter starts a new line
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleSend(e);
+    }
+  };
+
+  return (
+    <div className={`message-thread ${compact ? 'compact' : ''}`}>
+      <div className="message-thread-header">
+        <button className="btn btn-secondary btn-small" onClick={onBack}>
+          {compact ? 'Close' : 'Back'}
+        </button>
+        <span className="codename">{other.codename}</span>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading messages...</div>
+      ) : (
+        <ul className="messages">
+          {hasMore && (
+            <li className="messages-more">
+              <button className="btn btn-secondary btn-small" onClick={() => fetchMessages(messages[0].id)}>
+                Earlier messages
+              </button>
+            </li>
+          )}
+          {messages.length === 0 && (
+            <li className="status-info">
+              No messages yet. If {other.codename} isn't in the app, they'll get yours as a text from our number.
+            </li>
+          )}
+          {messages.map((m) => (
+            <li key={m.id} className={`message ${m.fromMe ? 'mine' : 'theirs'}`}>
+              <p className="message-body">{m.body}</p>
+              <p className="message-meta">
+                {formatTime(m.sentAt)}
+                {m.via === 'sms' && ' · by text'}
+                {m.fromMe && m.relayed && ' · texted to their phone'}
+              </p>
+            </li>
+          ))}
+          <li ref={endRef}></li>
+        </ul>
+      )}
+
+      {error && (
+        <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+      )}
+
+      <form className="message-form" onSubmit={handleSend}>
+        <textarea
+          rows={2}
+          maxLength={MAX_MESSAGE_LENGTH}
+          placeholder={`Message ${other.codename}`}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          aria-label={`Message ${other.codename}`}
+        />
+        <button type="submit" className="btn btn-primary btn-small" disabled={sending || !draft.trim()}>
+          {sending ? 'Sending...' : 'Send'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Your conversations, or the one you opened
+function Messages({ openWith, onOpen, onClose, lastEvent }) {
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchConversations = useCallback(async () => {
+    try {
+      const response = await fetch('/api/messages', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch conversations');
+      }
+
+      setConversations(data.conversations);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!openWith) {
+      fetchConversations();
+    }
+  }, [fetchConversations, openWith, lastEvent]);
+
+  if (openWith) {
+    return <MessageThread other={openWith} lastEvent={lastEvent} onBack={onClose} />;
+  }
+
+  return (
+    <div className="message-list">
+      {error && (
+        <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : conversations.length === 0 ? (
+        <div className="empty-state">
+          <p>No messages yet</p>
+          <p style={{ fontSize: '14px', color: '#999', marginTop: '8px' }}>
+            Use "Message" next to someone in the phonebook. Anyone not in the app gets your messages
+            as texts from our number, and can text back - neither of you sees the other's number.
+          </p>
+        </div>
+      ) : (
+        <ul className="phonebook-list">
+          {conversations.map((c) => (
+            <li
+              key={c.id}
+              className={`phonebook-item conversation ${c.unread > 0 ? 'unread' : ''}`}
+              onClick={() => onOpen(c.with)}
+            >
+              <div className="phonebook-entry">
+                <span className="codename">{c.with.codename}</span>
+                {c.unread > 0 && <span className="badge">{c.unread}</span>}
+                <p className="history-meta conversation-preview">
+                  {c.lastMessage.fromMe && 'You: '}{c.lastMessage.body}
+                </p>
+              </div>
+              <span className="history-meta">{formatTime(c.lastMessage.sentAt)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default Messages;
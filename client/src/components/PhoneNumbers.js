@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PhoneVerification from './PhoneVerification';
+import WeeklyHours, { newWindow } from './WeeklyHours';
+
+const LABEL_NAMES = {
+  mobile: 'Mobile',
+  work: 'Work',
+  home: 'Home',
+  other: 'Other'
+};
+
+// Hours editor for one phone, saved on its own
+function PhoneHours({ phone, onSave }) {
+  const [hours, setHours] = useState(phone.hours);
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    await onSave(phone, { hours });
+    setSaving(false);
+  };
+
+  return (
+    <div className="phone-number-hours">
+      <WeeklyHours
+        windows={hours}
+        onChange={setHours}
+        emptyText="No hours - this number can ring at any time"
+      />
+      <div className="phonebook-actions">
+        <button className="btn btn-secondary btn-small" onClick={() => setHours(prev => [...prev, newWindow()])}>
+          Add hours
+        </button>
+        <button className="btn btn-primary btn-small" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save hours'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function PhoneNumbers({ onPhonesChange }) {
+  const [phones, setPhones] = useState(null);
+  const [labels, setLabels] = useState([]);
+  const [max, setMax] = useState(0);
+  const [numberInput, setNumberInput] = useState('');
+  const [labelInput, setLabelInput] = useState('mobile');
+  const [adding, setAdding] = useState(false);
+  const [editingHours, setEditingHours] = useState(null);
+  const [verifying, setVerifying] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchPhones = useCallback(async () => {
+    try {
+      const response = await fetch('/api/users/phones', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch phone numbers');
+      }
+
+      setPhones(data.phones);
+      setLabels(data.labels);
+      setMax(data.max);
+      return data.phones;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPhones();
+  }, [fetchPhones]);
+
+  // Reload after a change and let the parent know
+  const refresh = async () => {
+    const updated = await fetchPhones();
+    if (updated) {
+      onPhonesChange(updated);
+    }
+  };
+
+  const request = async (url, method, body, failure) => {
+    setError('');
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: body && JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || failure);
+      }
+
+      await refresh();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const updatePhone = async (phone, changes) => {
+    const saved = await request(`/api/users/phones/${phone.id}`, 'PUT', changes, 'Failed to update phone number');
+    if (saved && changes.hours) {
+      setEditingHours(null);
+    }
+  };
+
+  const removePhone = (phone) => {
+    if (!window.confirm(`Remove ${phone.phoneNumber}?`)) return;
+    request(`/api/users/phones/${phone.id}`, 'DELETE', null, 'Failed to remove phone number');
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setAdding(true);
+    const added = await request('/api/users/phones', 'POST', { phoneNumber: numberInput, label: labelInput }, 'Failed to add phone number');
+    if (added) {
+      setNumberInput('');
+    }
+    setAdding(false);
+  };
+
+  if (!phones) {
+    return error
+      ? <p className="error-text">{error}</p>
+      : <div className="loading">Loading phone numbers...</div>;
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Phone numbers</h3>
+      <p className="hint">
+        A number is only rung once verified, and only within its hours (in the time zone of
+        your availability schedule). When a call rings "your phone", the number whose hours
+        cover the time is picked, otherwise the primary one.
+      </p>
+
+      {error && (
+        <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+      )}
+
+      <ul className="phone-numbers">
+        {phones.map((phone) => (
+          <li key={phone.id} className="phone-number">
+            <div className="phone-number-row">
+              <span className="phone-number-value">
+                {phone.phoneNumber}
+                {phone.primary && <span className="status-ready"> (primary)</span>}
+                {!phone.verified && <span className="status-error"> (not verified)</span>}
+              </span>
+              <select
+                value={phone.label}
+                onChange={(e) => updatePhone(phone, { label: e.target.value })}
+                aria-label={`Label for ${phone.phoneNumber}`}
+              >
+                {labels.map((label) => (
+                  <option key={label} value={label}>{LABEL_NAMES[label]}</option>
+                ))}
+              </select>
+              {!phone.verified && (
+                <button className="btn btn-secondary btn-small" onClick={() => setVerifying(verifying === phone.id ? null : phone.id)}>
+                  Verify
+                </button>
+              )}
+              <button className="btn btn-secondary btn-small" onClick={() => setEditingHours(editingHours === phone.id ? null : phone.id)}>
+                Hours{phone.hours.length > 0 && ` (${phone.hours.length})`}
+              </button>
+              {!phone.primary && (
+                <>
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => updatePhone(phone, { primary: true })}
+                    disabled={!phone.verified}
+                  >
+                    Make primary
+                  </button>
+                  <button className="btn btn-secondary btn-small" onClick={() => removePhone(phone)}>
+                    Remove
+                  </button>
+                </>
+              )}
+            </div>
+
+            {editingHours === phone.id && <PhoneHours phone={phone} onSave={updatePhone} />}
+            {verifying === phone.id && !phone.verified && (
+              <PhoneVerification
+                phoneId={phone.id}
+                phoneNumber={phone.phoneNumber}
+                phoneType={phone.phoneType}
+                primary={phone.primary}
+                onVerified={() => {
+                  setVerifying(null);
+                  refresh();
+                }}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {phones.length < max && (
+        <form className="phone-number-form" onSubmit={handleAdd}>
+          <input
+            type="tel"
+            placeholder="+1 555 123 4567"
+            value={numberInput}
+            onChange={(e) => setNumberInput(e.target.value)}
+            aria-label="Phone number to add"
+          />
+          <select value={labelInput} onChange={(e) => setLabelInput(e.target.value)} aria-label="Label">
+            {labels.map((label) => (
+              <option key={label} value={label}>{LABEL_NAMES[label]}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-primary btn-small" disabled={adding || !numberInput.trim()}>
+            {adding ? 'Adding...' : 'Add number'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default PhoneNumbers;
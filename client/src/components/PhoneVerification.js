@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+
+const CHANNEL_LABELS = {
+  sms: 'Text message',
+  voice: 'Voice call'
+};
+
+// phoneId: the user_phones id of the number; primary: whether it's the user's primary number
+function PhoneVerification({ phoneId, phoneNumber, phoneType, primary = true, onVerified }) {
+  const [status, setStatus] = useState(null);
+  // Landlines can't receive texts
+  const [channel, setChannel] = useState(phoneType === 'landline' ? 'voice' : 'sms');
+  const [code, setCode] = useState('');
+  const [sending, setSending] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await fetch(`/api/users/phones/${phoneId}/verification`, {
+          credentials: 'include'
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to fetch phone verification');
+        }
+
+        setStatus(data);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    fetchStatus();
+  }, [phoneNumber, phoneId]);
+
+  const handleSendCode = async () => {
+    setSending(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/users/phones/${phoneId}/verification`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ channel })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send code');
+      }
+
+      setStatus(data);
+      setCode('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setConfirming(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/users/phones/${phoneId}/verification/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ code })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.attemptsLeft === 0) {
+          setStatus(prev => ({ ...prev, pending: null }));
+        }
+        throw new Error(data.error || 'Failed to verify phone number');
+      }
+
+      setStatus(data);
+      onVerified();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  if (status && status.verified) {
+    return null;
+  }
+
+  const pending = status && status.pending;
+
+  return (
+    <div className="phone-verification">
+      <h3>Verify {primary ? 'your phone number' : phoneNumber}</h3>
+      <p className="hint">
+        We'll only ring {phoneNumber} once you confirm it's yours.
+        {primary && ' Until then you can only make and take calls in the browser.'}
+      </p>
+
+      <div className="phone-verification-send">
+        {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+          <label key={value} className="phone-verification-channel">
+            <input
+              type="radio"
+              name={`verification-channel-${phoneId}`}
+              value={value}
+              checked={channel === value}
+              disabled={value === 'sms' && phoneType === 'landline'}
+              onChange={() => setChannel(value)}
+            />
+            {label}
+          </label>
+        ))}
+        <button
+          type="button"
+          className="btn btn-primary btn-small"
+          onClick={handleSendCode}
+          disabled={sending}
+        >
+          {sending ? 'Sending...' : pending ? 'Send a new code' : 'Send code'}
+        </button>
+      </div>
+
+      {pending && (
+        <form className="phone-verification-confirm" onSubmit={handleConfirm}>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            placeholder="123456"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          />
+          <button type="submit" className="btn btn-primary btn-small" disabled={confirming || code.length !== 6}>
+            {confirming ? 'Verifying...' : 'Verify'}
+          </button>
+        </form>
+      )}
+      {pending && (
+        <p className="hint">
+          Code sent by {CHANNEL_LABELS[pending.channel].toLowerCase()}; it expires at {new Date(pending.expiresAt).toLocaleTimeString()}.
+        </p>
+      )}
+
+      {error && <p className="error-text">{error}</p>}
+    </div>
+  );
+}
+
+export default PhoneVerification;
@@ -1,5 +1,98 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Device } from '@twilio/voice-sdk';
+import CallHistory from './CallHistory';
+import Voicemail from './Voicemail';
+import BlockedUsers from './BlockedUsers';
+import Availability from './Availability';
+import Usage from './Usage';
+import PhoneVerification from './PhoneVerification';
+import RingSequence from './RingSequence';
+import PhoneNumbers from './PhoneNumbers';
+import ContactForm from './ContactForm';
+import Workspaces from './Workspaces';
+import InviteLinks from './InviteLinks';
+import Messages, { MessageThread } from './Messages';
+
+// Human-readable outcome for a call that just ended (from a "call" event)
+function describeEndedCall(event) {
+  const who = event.otherParty?.codename || 'The other party';
+  const outgoing = event.direction === 'outgoing';
+
+  switch (event.reason) {
+    case 'busy':
+      return outgoing ? `${who} is busy` : `Missed call from ${who}`;
+    case 'no-answer':
+      return outgoing ? `${who} didn't answer` : `Missed call from ${who}`;
+    case 'canceled':
+      return event.endedBy === 'them' ? `${who} cancelled the call` : 'Call cancelled';
+    case 'declined':
+      return outgoing ? `${who} declined the call` : 'Call declined';
+    case 'failed':
+      return 'Call failed';
+    default:
+      return event.endedBy === 'them' ? `${who} hung up` : 'Call ended';
+  }
+}
+
+// When someone who is unavailable can be called again, in the viewer's own time
+function formatAvailableAt(value) {
+  return new Date(value).toLocaleString([], {
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+function describeAvailability(availability) {
+  if (!availability || availability.status === 'available') {
+    return 'Available';
+  }
+  return availability.until
+    ? `Do not disturb until ${formatAvailableAt(availability.until)}`
+    : 'Do not disturb';
+}
+
+const PRESENCE_LABELS = {
+  online: 'Online',
+  'in-call': 'In a call',
+  'phone-only': 'Phone only',
+  offline: 'Offline'
+};
+
+const SORT_LABELS = {
+  alphabetical: 'A-Z',
+  recent: 'Recently called',
+  frequent: 'Most called'
+};
+
+// How long typing pauses before the phonebook is searched
+const SEARCH_DEBOUNCE_MS = 300;
+
+// How often a registered Device tells the server it's still there
+const PRESENCE_HEARTBEAT_MS = 25 * 1000;
+
+// Identifies this tab's Device in heartbeats, so closing another tab doesn't
+// take us offline
+const PRESENCE_DEVICE_ID = Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+// Who a live call is with - everyone else on it for a group call
+function describeLiveCallParties(liveCall) {
+  if (liveCall.participants?.length > 1) {
+    return liveCall.participants.map(p => p.codename).join(', ');
+  }
+  return liveCall.codename;
+}
+
+// Your own nickname for a contact if you gave one, else their codename
+function displayName(entry) {
+  return entry.nickname || entry.codename;
+}
+
+const LIVE_CALL_LABELS = {
+  connecting: 'Connecting',
+  ringing: 'Ringing',
+  answered: 'In call with'
+};
 
 function Phonebook({ user, onLogout, onUserUpdate }) {
   const [users, setUsers] = useState([]);
@@ -12,12 +105,43 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
   const [incomingCall, setIncomingCall] = useState(null);
   const [activeCall, setActiveCall] = useState(null);
   const [deviceError, setDeviceError] = useState(null);
+  const [activeTab, setActiveTab] = useState('phonebook');
+  const [liveCall, setLiveCall] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [voicemailRefresh, setVoicemailRefresh] = useState(0);
+  const [unheardVoicemails, setUnheardVoicemails] = useState(0);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [startingGroupCall, setStartingGroupCall] = useState(false);
+  const [quotaNotice, setQuotaNotice] = useState(null);
+  const [phonesVersion, setPhonesVersion] = useState(0);
+  const [contacts, setContacts] = useState([]);
+  const [editingContactId, setEditingContactId] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState('alphabetical');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState('');
+  const [messagingWith, setMessagingWith] = useState(null);
+  const [messageEvent, setMessageEvent] = useState(null);
+  const [messagesRefresh, setMessagesRefresh] = useState(0);
+  const [unreadMessages, setUnreadMessages] = useState({ total: 0, byUser: {} });
+  const [callChatWith, setCallChatWith] = useState(null);
 
   const deviceRef = useRef(null);
+  const phonebookRequestRef = useRef(0);
+  const loadMoreRef = useRef(null);
+
+  // First page of the phonebook for the current workspace, search and sort, or the page after a cursor
+  const fetchUsers = useCallback(async (cursor = null) => {
+    const requestId = ++phonebookRequestRef.current;
+    const params = new URLSearchParams({ sort });
+    if (workspaceId) params.set('workspace', workspaceId);
+    if (search) params.set('q', search);
+    if (cursor) params.set('cursor', cursor);
 
-  const fetchUsers = useCallback(async () => {
     try {
-      const response = await fetch('/api/users/phonebook', {
+      const response = await fetch(`/api/users/phonebook?${params}`, {
         credentials: 'include'
       });
       const data = await response.json();
@@ -26,12 +150,52 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
         throw new Error(data.error || 'Failed to fetch users');
       }
 
-      setUsers(data.users);
+      // A newer workspace, search or sort has been asked for since
+      if (requestId !== phonebookRequestRef.current) return;
+
+      setUsers(prev => (cursor ? [...prev, ...data.users] : data.users));
+      setNextCursor(data.nextCursor);
     } catch (err) {
       setError(err.message);
     } finally {
       setLoading(false);
     }
+  }, [workspaceId, search, sort]);
+
+  const fetchWorkspaces = useCallback(async () => {
+    try {
+      const response = await fetch('/api/workspaces', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch workspaces');
+      }
+
+      setWorkspaces(data.workspaces);
+      // Back to everyone if the workspace shown was just left
+      setWorkspaceId(prev => (data.workspaces.some(w => String(w.id) === prev) ? prev : ''));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const fetchContacts = useCallback(async () => {
+    try {
+      const response = await fetch('/api/contacts', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch contacts');
+      }
+
+      setContacts(data.contacts);
+    } catch (err) {
+      setError(err.message);
+    }
   }, []);
 
   // Initialize Twilio Device when answerInApp is enabled
@@ -86,6 +250,7 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
         call.on('disconnect', () => {
           setIncomingCall(null);
           setActiveCall(null);
+          setLiveCall(null);
         });
       });
 
@@ -116,6 +281,80 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
     fetchUsers();
   }, [fetchUsers]);
 
+  useEffect(() => {
+    fetchContacts();
+  }, [fetchContacts]);
+
+  useEffect(() => {
+    fetchWorkspaces();
+  }, [fetchWorkspaces]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Load the next page once the end of the list scrolls into view
+  useEffect(() => {
+    if (!nextCursor || !loadMoreRef.current) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        fetchUsers(nextCursor);
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(loadMoreRef.current);
+
+    return () => observer.disconnect();
+  }, [nextCursor, fetchUsers, activeTab, loading]);
+
+  // Keep the voicemail badge current even while another tab is open
+  useEffect(() => {
+    const fetchUnheardCount = async () => {
+      try {
+        const response = await fetch('/api/voicemails', {
+          credentials: 'include'
+        });
+        const data = await response.json();
+        if (response.ok) {
+          setUnheardVoicemails(data.voicemails.filter(v => !v.heard).length);
+        }
+      } catch (err) {
+        console.error('Failed to fetch voicemails:', err);
+      }
+    };
+    fetchUnheardCount();
+  }, [voicemailRefresh]);
+
+  // Unread message counts for the tab badge and each phonebook entry
+  useEffect(() => {
+    const fetchUnreadMessages = async () => {
+      try {
+        const response = await fetch('/api/messages', {
+          credentials: 'include'
+        });
+        const data = await response.json();
+        if (response.ok) {
+          const byUser = {};
+          data.conversations.forEach(c => {
+            if (c.unread > 0) byUser[c.with.id] = c.unread;
+          });
+          setUnreadMessages({ total: data.unread, byUser });
+        }
+      } catch (err) {
+        console.error('Failed to fetch messages:', err);
+      }
+    };
+    fetchUnreadMessages();
+  }, [messagesRefresh]);
+
+  // The chat next to a call goes away with the call
+  useEffect(() => {
+    if (!liveCall) {
+      setCallChatWith(null);
+    }
+  }, [liveCall]);
+
   useEffect(() => {
     initializeDevice();
 
@@ -126,6 +365,103 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
     };
   }, [initializeDevice]);
 
+  // Keep our presence "online" while the browser can take calls
+  useEffect(() => {
+    if (!deviceReady) return;
+
+    const sendHeartbeat = (registered) => {
+      fetch('/api/users/presence', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        keepalive: true,
+        body: JSON.stringify({ registered, deviceId: PRESENCE_DEVICE_ID })
+      }).catch(err => console.error('Presence heartbeat failed:', err));
+    };
+
+    sendHeartbeat(true);
+    const timer = setInterval(() => sendHeartbeat(true), PRESENCE_HEARTBEAT_MS);
+
+    return () => {
+      clearInterval(timer);
+      sendHeartbeat(false);
+    };
+  }, [deviceReady]);
+
+  // Subscribe to call lifecycle events pushed by the server
+  useEffect(() => {
+    const events = new EventSource('/api/events', { withCredentials: true });
+
+    events.addEventListener('call', (e) => {
+      const event = JSON.parse(e.data);
+
+      if (event.state === 'ended') {
+        setLiveCall(prev => (prev && prev.callId !== event.callId ? prev : null));
+        setCallStatus({
+          type: ['completed', 'canceled'].includes(event.reason) ? 'success' : 'error',
+          message: describeEndedCall(event)
+        });
+        return;
+      }
+
+      setLiveCall(prev => ({
+        ...(prev?.callId === event.callId ? prev : {}),
+        callId: event.callId,
+        codename: event.otherParty?.codename,
+        participants: event.participants,
+        direction: event.direction,
+        state: event.state
+      }));
+    });
+
+    events.addEventListener('presence', (e) => {
+      const event = JSON.parse(e.data);
+      const updatePresence = (entries) => entries.map(u => (u.id === event.userId ? { ...u, presence: event.presence } : u));
+      setUsers(updatePresence);
+      setContacts(updatePresence);
+    });
+
+    events.addEventListener('voicemail', (e) => {
+      const event = JSON.parse(e.data);
+      setVoicemailRefresh(n => n + 1);
+      setCallStatus({
+        type: 'success',
+        message: `New voicemail from ${event.from}`
+      });
+    });
+
+    events.addEventListener('message', (e) => {
+      setMessageEvent(JSON.parse(e.data));
+      setMessagesRefresh(n => n + 1);
+    });
+
+    // Read here or in another tab
+    events.addEventListener('messages-read', () => {
+      setMessagesRefresh(n => n + 1);
+    });
+
+    events.onerror = () => {
+      // EventSource reconnects on its own; nothing to do but note it
+      console.warn('Event stream disconnected, reconnecting...');
+    };
+
+    return () => events.close();
+  }, []);
+
+  // Keep a call quota notice up until calling is possible again
+  useEffect(() => {
+    if (!quotaNotice) return;
+    const timer = setTimeout(() => setQuotaNotice(null), quotaNotice.retryAfter * 1000);
+    return () => clearTimeout(timer);
+  }, [quotaNotice]);
+
+  // Remember a call quota refusal; returns true if the response was one
+  const noteQuotaExceeded = (response, data) => {
+    if (response.status !== 429) return false;
+    setQuotaNotice({ message: data.error, retryAfter: data.retryAfter || 60 });
+    return true;
+  };
+
   // Auto-hide call status after 5 seconds
   useEffect(() => {
     if (callStatus && !activeCall) {
@@ -164,25 +500,230 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
     }
   };
 
-  const handleCall = async (calleeId, codename) => {
+  const handleCall = async (calleeId, codename, { voicemail = false } = {}) => {
     setCallingUserId(calleeId);
     setCallStatus(null);
 
     try {
       const response = await fetch(`/api/calls/initiate/${calleeId}`, {
         method: 'POST',
-        credentials: 'include'
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ voicemail })
       });
 
       const data = await response.json();
 
+      // Callee is outside their hours or on do-not-disturb
+      if (response.status === 409 && data.canLeaveVoicemail) {
+        const when = data.availableAt ? ` They'll be available ${formatAvailableAt(data.availableAt)}.` : '';
+        if (window.confirm(`${data.error}.${when} Leave a voicemail instead?`)) {
+          return handleCall(calleeId, codename, { voicemail: true });
+        }
+        return;
+      }
+
+      if (noteQuotaExceeded(response, data)) {
+        return;
+      }
+
       if (!response.ok) {
         throw new Error(data.error || data.details || 'Failed to initiate call');
       }
 
+      // Live updates arrive over the event stream; this covers the gap until then
+      setLiveCall(prev => (prev?.callId === data.callId ? prev : {
+        callId: data.callId,
+        codename,
+        direction: 'outgoing',
+        state: 'connecting',
+        message: data.message
+      }));
+    } catch (err) {
+      setCallStatus({
+        type: 'error',
+        message: err.message
+      });
+    } finally {
+      setCallingUserId(null);
+    }
+  };
+
+  const toggleSelected = (userId) => {
+    setSelectedIds(prev => (prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]));
+  };
+
+  const handleGroupCall = async (calleeIds) => {
+    setStartingGroupCall(true);
+    setCallStatus(null);
+
+    try {
+      const response = await fetch('/api/calls/initiate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ calleeIds })
+      });
+
+      const data = await response.json();
+
+      if (noteQuotaExceeded(response, data)) {
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(data.error || data.details || 'Failed to start group call');
+      }
+
+      setSelectedIds([]);
+      setLiveCall(prev => (prev?.callId === data.callId ? prev : {
+        callId: data.callId,
+        codename: calleeIds
+          .map(id => contacts.find(c => c.id === id) || users.find(u => u.id === id))
+          .filter(Boolean)
+          .map(displayName)
+          .join(', '),
+        direction: 'outgoing',
+        state: 'connecting',
+        message: data.message
+      }));
+    } catch (err) {
+      setCallStatus({
+        type: 'error',
+        message: err.message
+      });
+    } finally {
+      setStartingGroupCall(false);
+    }
+  };
+
+  const handleAddParticipant = async (userId, codename) => {
+    if (!liveCall) return;
+
+    try {
+      const response = await fetch(`/api/calls/${liveCall.callId}/participants`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ userId })
+      });
+      const data = await response.json();
+
+      if (noteQuotaExceeded(response, data)) {
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(data.error || data.details || 'Failed to add participant');
+      }
+
+      setLiveCall(prev => (prev ? { ...prev, notice: `Calling ${codename}...` } : prev));
+    } catch (err) {
+      setLiveCall(prev => (prev ? { ...prev, notice: err.message } : prev));
+    }
+  };
+
+  const handleBlock = async (userId, codename) => {
+    if (!window.confirm(`Block ${codename}? They won't be able to call you.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/users/blocks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ userId })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to block user');
+      }
+
+      setUsers(prev => prev.filter(u => u.id !== userId));
+      setContacts(prev => prev.filter(c => c.id !== userId));
+      setCallStatus({
+        type: 'success',
+        message: `${codename} has been blocked`
+      });
+    } catch (err) {
+      setCallStatus({
+        type: 'error',
+        message: err.message
+      });
+    }
+  };
+
+  // Add, annotate or remove a contact, then reload the list (it's sorted server-side)
+  const contactRequest = async (url, method, body, failure) => {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: body && JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || failure);
+      }
+
+      await fetchContacts();
+      return true;
+    } catch (err) {
+      setCallStatus({
+        type: 'error',
+        message: err.message
+      });
+      return false;
+    }
+  };
+
+  const handleAddContact = (userId) => {
+    contactRequest('/api/contacts', 'POST', { userId }, 'Failed to add contact');
+  };
+
+  const handleToggleFavorite = (contact) => {
+    contactRequest(`/api/contacts/${contact.id}`, 'PUT', { favorite: !contact.favorite }, 'Failed to update contact');
+  };
+
+  const handleSaveContact = async (contact, fields) => {
+    if (await contactRequest(`/api/contacts/${contact.id}`, 'PUT', fields, 'Failed to update contact')) {
+      setEditingContactId(null);
+    }
+  };
+
+  const handleRemoveContact = async (contact) => {
+    if (!window.confirm(`Remove ${displayName(contact)} from your contacts?`)) {
+      return;
+    }
+    if (await contactRequest(`/api/contacts/${contact.id}`, 'DELETE', null, 'Failed to remove contact')) {
+      setEditingContactId(null);
+    }
+  };
+
+  const handleCancelCall = async () => {
+    if (!liveCall) return;
+    setCancelling(true);
+
+    try {
+      const response = await fetch(`/api/calls/${liveCall.callId}/cancel`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      // 409 means the call already ended on its own - nothing left to cancel
+      if (!response.ok && response.status !== 409) {
+        throw new Error(data.error || 'Failed to cancel call');
+      }
+
+      setLiveCall(null);
       setCallStatus({
         type: 'success',
-        message: data.message || `Calling ${codename}...`
+        message: liveCall.state === 'answered' ? 'Call ended' : 'Call cancelled'
       });
     } catch (err) {
       setCallStatus({
@@ -190,7 +731,7 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
         message: err.message
       });
     } finally {
-      setCallingUserId(null);
+      setCancelling(false);
     }
   };
 
@@ -224,6 +765,127 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
     }
   };
 
+  // One phonebook row; contacts also carry your nickname, notes and favorite flag
+  const renderEntry = (u) => {
+    const isContact = contactIds.has(u.id);
+    return (
+      <li key={u.id} className="phonebook-item">
+        <input
+          type="checkbox"
+          className="select-user"
+          aria-label={`Select ${displayName(u)} for a group call`}
+          checked={selectedIds.includes(u.id)}
+          onChange={() => toggleSelected(u.id)}
+          disabled={!!liveCall}
+        />
+        <div className="phonebook-entry">
+          <span className={`presence-dot ${u.presence}`} title={PRESENCE_LABELS[u.presence]}></span>
+          <span className="codename">{displayName(u)}</span>
+          {u.nickname && <span className="contact-codename"> ({u.codename})</span>}
+          <p className="history-meta">
+            {PRESENCE_LABELS[u.presence]} ·{' '}
+            <span className={`availability ${u.availability?.status === 'dnd' ? 'dnd' : ''}`}>
+              {describeAvailability(u.availability)}
+            </span>
+          </p>
+          {u.notes && editingContactId !== u.id && <p className="contact-notes">{u.notes}</p>}
+          {isContact && editingContactId === u.id && (
+            <ContactForm
+              contact={u}
+              onSave={handleSaveContact}
+              onRemove={handleRemoveContact}
+              onCancel={() => setEditingContactId(null)}
+            />
+          )}
+        </div>
+        <div className="phonebook-actions">
+          {isContact ? (
+            <>
+              <button
+                className={`btn btn-secondary btn-small favorite-toggle ${u.favorite ? 'active' : ''}`}
+                onClick={() => handleToggleFavorite(u)}
+                aria-label={u.favorite ? `Remove ${displayName(u)} from favorites` : `Add ${displayName(u)} to favorites`}
+                title={u.favorite ? 'Remove from favorites' : 'Add to favorites'}
+              >
+                {u.favorite ? '★' : '☆'}
+              </button>
+              <button
+                className="btn btn-secondary btn-small"
+                onClick={() => setEditingContactId(editingContactId === u.id ? null : u.id)}
+              >
+                Edit
+              </button>
+            </>
+          ) : (
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => handleAddContact(u.id)}
+            >
+              Add contact
+            </button>
+          )}
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() => handleBlock(u.id, displayName(u))}
+          >
+            Block
+          </button>
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() => {
+              setMessagingWith({ id: u.id, codename: u.codename });
+              setActiveTab('messages');
+            }}
+          >
+            Message
+            {unreadMessages.byUser[u.id] > 0 && <span className="badge">{unreadMessages.byUser[u.id]}</span>}
+          </button>
+          {liveCall?.state === 'answered' ? (
+            <button
+              className="btn btn-call"
+              onClick={() => handleAddParticipant(u.id, displayName(u))}
+              disabled={liveCall.participants?.some(p => p.id === u.id)}
+            >
+              Add to call
+            </button>
+          ) : (
+            <button
+              className="btn btn-call"
+              onClick={() => handleCall(u.id, displayName(u))}
+              disabled={callingUserId === u.id || activeCall || liveCall}
+            >
+              {callingUserId === u.id ? 'Calling...' : 'Call'}
+            </button>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  // Buttons opening a chat with each other person on an answered call
+  const renderCallChatButtons = () => liveCall?.state === 'answered' && liveCall.participants?.length > 0 && (
+    <div className="call-chat-buttons">
+      {liveCall.participants.map((p) => (
+        <button
+          key={p.id}
+          className="btn btn-secondary btn-small"
+          onClick={() => setCallChatWith(callChatWith?.id === p.id ? null : p)}
+        >
+          {liveCall.participants.length > 1 ? `Chat with ${p.codename}` : 'Chat'}
+          {unreadMessages.byUser[p.id] > 0 && <span className="badge">{unreadMessages.byUser[p.id]}</span>}
+        </button>
+      ))}
+    </div>
+  );
+
+  const contactsById = new Map(contacts.map(c => [c.id, c]));
+  const contactIds = new Set(contactsById.keys());
+  const favorites = contacts.filter(c => c.favorite);
+  const otherContacts = contacts.filter(c => !c.favorite);
+  const everyoneElse = users.filter(u => !contactIds.has(u.id));
+  // Search results are in the server's order, with your own details for contacts
+  const searchResults = users.map(u => contactsById.get(u.id) || u);
+
   if (loading) {
     return <div className="loading">Loading phonebook...</div>;
   }
@@ -241,9 +903,18 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
         <div className="user-info">
           <p><strong>Logged in as:</strong> {user.firstName} {user.lastName}</p>
           <p><strong>Your codename:</strong> {user.codename}</p>
-          <p><strong>Your phone:</strong> {user.phoneNumber}</p>
+          <p><strong>Your phone:</strong> {user.phoneNumber}{!user.phoneVerified && ' (not verified)'}</p>
         </div>
 
+        {!user.phoneVerified && (
+          <PhoneVerification
+            phoneId={user.phoneId}
+            phoneNumber={user.phoneNumber}
+            phoneType={user.phoneType}
+            onVerified={() => onUserUpdate({ ...user, phoneVerified: true })}
+          />
+        )}
+
         {/* Answer in App Toggle */}
         <div className="toggle-section">
           <label className="toggle-label">
@@ -275,32 +946,190 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
           )}
         </div>
 
+        <div className="tab-bar">
+          <button
+            className={`tab ${activeTab === 'phonebook' ? 'active' : ''}`}
+            onClick={() => setActiveTab('phonebook')}
+          >
+            Phonebook
+          </button>
+          <button
+            className={`tab ${activeTab === 'history' ? 'active' : ''}`}
+            onClick={() => setActiveTab('history')}
+          >
+            History
+          </button>
+          <button
+            className={`tab ${activeTab === 'messages' ? 'active' : ''}`}
+            onClick={() => setActiveTab('messages')}
+          >
+            Messages
+            {unreadMessages.total > 0 && <span className="badge">{unreadMessages.total}</span>}
+          </button>
+          <button
+            className={`tab ${activeTab === 'voicemail' ? 'active' : ''}`}
+            onClick={() => setActiveTab('voicemail')}
+          >
+            Voicemail
+            {unheardVoicemails > 0 && <span className="badge">{unheardVoicemails}</span>}
+          </button>
+          <button
+            className={`tab ${activeTab === 'settings' ? 'active' : ''}`}
+            onClick={() => setActiveTab('settings')}
+          >
+            Settings
+          </button>
+        </div>
+
         {error && (
           <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
         )}
 
-        {users.length === 0 ? (
+        {quotaNotice && (
+          <p className="quota-notice">{quotaNotice.message}</p>
+        )}
+
+        {activeTab === 'settings' ? (
+          <>
+            <PhoneNumbers
+              onPhonesChange={(phones) => {
+                // The ring sequence lists the numbers, and the header shows the primary one
+                setPhonesVersion(v => v + 1);
+                const primary = phones.find(p => p.primary);
+                onUserUpdate({
+                  ...user,
+                  phoneId: primary.id,
+                  phoneNumber: primary.phoneNumber,
+                  phoneCountry: primary.phoneCountry,
+                  phoneType: primary.phoneType,
+                  phoneVerified: primary.verified
+                });
+              }}
+            />
+            <RingSequence
+              key={`${answerInApp ? 'in-app' : 'phone'}-${phonesVersion}`}
+              onAnswerInAppChange={(value) => {
+                setAnswerInApp(value);
+                onUserUpdate({ ...user, answerInApp: value });
+              }}
+            />
+            <Workspaces
+              onChange={() => {
+                fetchWorkspaces();
+                fetchUsers();
+                fetchContacts();
+              }}
+            />
+            <InviteLinks workspaces={workspaces} />
+            <Availability />
+            <Usage />
+            <BlockedUsers
+              onUnblock={() => {
+                fetchUsers();
+                fetchContacts();
+              }}
+            />
+          </>
+        ) : activeTab === 'messages' ? (
+          <Messages
+            openWith={messagingWith}
+            onOpen={setMessagingWith}
+            onClose={() => setMessagingWith(null)}
+            lastEvent={messageEvent}
+          />
+        ) : activeTab === 'voicemail' ? (
+          <Voicemail
+            refreshKey={voicemailRefresh}
+            onUnheardCountChange={setUnheardVoicemails}
+          />
+        ) : activeTab === 'history' ? (
+          <CallHistory
+            onCallBack={handleCall}
+            onGroupCallBack={handleGroupCall}
+            callingUserId={callingUserId}
+            disabled={!!activeCall || !!liveCall}
+          />
+        ) : users.length === 0 && !search && !searchInput && !workspaceId ? (
           <div className="empty-state">
-            <p>No other users yet</p>
+            <p>No one shares a workspace with you yet</p>
             <p style={{ fontSize: '14px', color: '#999', marginTop: '8px' }}>
-              Share this app with friends to start making calls!
+              Join a workspace with its invite code, create one and share its code, or send
+              someone an invite link, under Settings.
             </p>
           </div>
         ) : (
-          <ul className="phonebook-list">
-            {users.map((u) => (
-              <li key={u.id} className="phonebook-item">
-                <span className="codename">{u.codename}</span>
+          <>
+          {selectedIds.length > 0 && !liveCall && (
+            <div className="group-call-bar">
+              <span>{selectedIds.length} selected</span>
+              <div className="phonebook-actions">
+                <button className="btn btn-secondary btn-small" onClick={() => setSelectedIds([])}>
+                  Clear
+                </button>
                 <button
                   className="btn btn-call"
-                  onClick={() => handleCall(u.id, u.codename)}
-                  disabled={callingUserId === u.id || activeCall}
+                  onClick={() => handleGroupCall(selectedIds)}
+                  disabled={startingGroupCall || !!activeCall}
                 >
-                  {callingUserId === u.id ? 'Calling...' : 'Call'}
+                  {startingGroupCall ? 'Calling...' : selectedIds.length > 1 ? 'Group call' : 'Call'}
                 </button>
-              </li>
-            ))}
-          </ul>
+              </div>
+            </div>
+          )}
+          <div className="phonebook-toolbar">
+            <input
+              type="search"
+              placeholder="Search codenames"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              aria-label="Search codenames"
+            />
+            {workspaces.length > 1 && (
+              <select value={workspaceId} onChange={(e) => setWorkspaceId(e.target.value)} aria-label="Workspace">
+                <option value="">All workspaces</option>
+                {workspaces.map((w) => (
+                  <option key={w.id} value={w.id}>{w.name}</option>
+                ))}
+              </select>
+            )}
+            <select value={sort} onChange={(e) => setSort(e.target.value)} aria-label="Sort by">
+              {Object.entries(SORT_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {search ? (
+            searchResults.length > 0 ? (
+              <ul className="phonebook-list">{searchResults.map(renderEntry)}</ul>
+            ) : (
+              <p className="status-info">No one matches "{search}"</p>
+            )
+          ) : (
+            <>
+              {favorites.length > 0 && (
+                <>
+                  <h3 className="phonebook-section">Favorites</h3>
+                  <ul className="phonebook-list">{favorites.map(renderEntry)}</ul>
+                </>
+              )}
+              {otherContacts.length > 0 && (
+                <>
+                  <h3 className="phonebook-section">Contacts</h3>
+                  <ul className="phonebook-list">{otherContacts.map(renderEntry)}</ul>
+                </>
+              )}
+              {everyoneElse.length > 0 && (
+                <>
+                  {contacts.length > 0 && <h3 className="phonebook-section">Everyone else</h3>}
+                  <ul className="phonebook-list">{everyoneElse.map(renderEntry)}</ul>
+                </>
+              )}
+            </>
+          )}
+          {nextCursor && (
+            <div ref={loadMoreRef} className="phonebook-more">Loading more...</div>
+          )}
+          </>
         )}
       </div>
 
@@ -322,11 +1151,29 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
         </div>
       )}
 
+      {/* Chat next to an answered call */}
+      {callChatWith && (
+        <div className="call-chat">
+          <MessageThread
+            other={callChatWith}
+            lastEvent={messageEvent}
+            onBack={() => setCallChatWith(null)}
+            compact
+          />
+        </div>
+      )}
+
       {/* Active Call UI */}
       {activeCall && (
         <div className="active-call">
           <div className="active-call-content">
-            <p>Call in progress...</p>
+            <div>
+              <p>{liveCall?.codename ? `In call with ${describeLiveCallParties(liveCall)}` : 'Call in progress...'}</p>
+              {liveCall?.notice && (
+                <p className="active-call-detail">{liveCall.notice}</p>
+              )}
+              {renderCallChatButtons()}
+            </div>
             <button className="btn btn-hangup" onClick={handleHangup}>
               Hang Up
             </button>
@@ -334,7 +1181,35 @@ function Phonebook({ user, onLogout, onUserUpdate }) {
         </div>
       )}
 
-      {callStatus && !activeCall && (
+      {/* Live Call Banner (also shown when the call rings your phone) */}
+      {liveCall && !activeCall && (
+        <div className="active-call">
+          <div className="active-call-content">
+            <div>
+              <p>
+                {liveCall.direction === 'incoming' && liveCall.state !== 'answered'
+                  ? `Incoming call from ${liveCall.codename}`
+                  : `${LIVE_CALL_LABELS[liveCall.state]} ${describeLiveCallParties(liveCall)}`}
+                {liveCall.state !== 'answered' && '...'}
+              </p>
+              {liveCall.message && liveCall.state === 'connecting' && (
+                <p className="active-call-detail">{liveCall.message}</p>
+              )}
+              {liveCall.notice && liveCall.state === 'answered' && (
+                <p className="active-call-detail">{liveCall.notice}</p>
+              )}
+              {renderCallChatButtons()}
+            </div>
+            <button className="btn btn-hangup" onClick={handleCancelCall} disabled={cancelling}>
+              {cancelling
+                ? 'Ending...'
+                : liveCall.state === 'answered' ? 'Hang Up' : liveCall.direction === 'incoming' ? 'Decline' : 'Cancel'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {callStatus && !activeCall && !liveCall && (
         <div className={`call-status ${callStatus.type}`}>
           {callStatus.message}
         </div>
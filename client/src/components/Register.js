@@ -1,13 +1,33 @@
 import React, { useState, useEffect } from 'react';
+import { getPendingInvite, clearPendingInvite } from './Invite';
 
 function Register({ googleData, onComplete }) {
   const [phoneNumber, setPhoneNumber] = useState(googleData?.phoneNumber || '');
+  const [countries, setCountries] = useState([]);
+  const [country, setCountry] = useState('');
   const [codename, setCodename] = useState(googleData?.defaultCodename || '');
   const [codenameAvailable, setCodenameAvailable] = useState(null);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [checkingCodename, setCheckingCodename] = useState(false);
 
+  // Countries we can ring, with the server's default preselected
+  useEffect(() => {
+    const fetchCountries = async () => {
+      try {
+        const response = await fetch('/api/users/phone-countries', {
+          credentials: 'include'
+        });
+        const data = await response.json();
+        setCountries(data.countries);
+        setCountry(data.defaultCountry);
+      } catch (err) {
+        console.error('Country list failed:', err);
+      }
+    };
+    fetchCountries();
+  }, []);
+
   // Check codename availability with debounce
   useEffect(() => {
     if (!codename) {
@@ -47,7 +67,9 @@ function Register({ googleData, onComplete }) {
         credentials: 'include',
         body: JSON.stringify({
           phoneNumber,
-          codename
+          country,
+          codename,
+          inviteToken: getPendingInvite() || undefined
         })
       });
 
@@ -57,6 +79,9 @@ function Register({ googleData, onComplete }) {
         throw new Error(data.error || 'Registration failed');
       }
 
+      // An invite that couldn't be used (expired meanwhile, say) isn't worth
+      // holding up sign-up for
+      clearPendingInvite();
       onComplete(data.user);
     } catch (err) {
       setError(err.message);
@@ -103,16 +128,25 @@ function Register({ googleData, onComplete }) {
           <p className="hint">From your Google account (cannot be changed)</p>
         </div>
 
+        <div className="form-group">
+          <label>Country *</label>
+          <select value={country} onChange={(e) => setCountry(e.target.value)} required>
+            {countries.map(c => (
+              <option key={c.code} value={c.code}>{c.name} ({c.callingCode})</option>
+            ))}
+          </select>
+        </div>
+
         <div className="form-group">
           <label>Phone Number *</label>
           <input
             type="tel"
             value={phoneNumber}
             onChange={(e) => setPhoneNumber(e.target.value)}
-            placeholder="+1 555 123 4567"
+            placeholder="0412 345 678"
             required
           />
-          <p className="hint">Include country code (e.g., +1 for US)</p>
+          <p className="hint">A number without a country code is read as a number in the country above. You'll confirm it with a code we send to it.</p>
         </div>
 
         <div className="form-group">
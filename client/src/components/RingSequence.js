@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const LABEL_NAMES = {
+  mobile: 'Mobile',
+  work: 'Work',
+  home: 'Home',
+  other: 'Other'
+};
+
+// Steps are told apart by endpoint, and phone steps by the number they name
+function stepKey(step) {
+  return step.phoneId ? `phone:${step.phoneId}` : step.endpoint;
+}
+
+function describeStep(step, phones) {
+  if (step.endpoint === 'browser') return 'Browser';
+  const phone = step.phoneId && phones.find(p => p.id === step.phoneId);
+  return phone ? `${LABEL_NAMES[phone.label]} ${phone.phoneNumber}` : 'Phone (whichever suits the time)';
+}
+
+const MODE_LABELS = {
+  sequential: 'One at a time, in this order',
+  simultaneous: 'All at once - the first to answer wins'
+};
+
+function RingSequence({ onAnswerInAppChange }) {
+  const [settings, setSettings] = useState(null);
+  const [mode, setMode] = useState('sequential');
+  const [steps, setSteps] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const applySettings = useCallback((data) => {
+    setSettings(data);
+    setMode(data.mode);
+    setSteps(data.steps.map(({ endpoint, phoneId, timeout }) => ({ endpoint, phoneId, timeout })));
+  }, []);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const response = await fetch('/api/users/ring-sequence', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch ring sequence');
+      }
+
+      applySettings(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [applySettings]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  const moveStep = (index, offset) => {
+    setSteps(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const updateTimeout = (index, value) => {
+    setSteps(prev => prev.map((step, i) => (i === index ? { ...step, timeout: parseInt(value, 10) || '' } : step)));
+  };
+
+  const removeStep = (index) => {
+    setSteps(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const addStep = ({ endpoint, phoneId }) => {
+    setSteps(prev => [...prev, { endpoint, phoneId, timeout: settings.timeouts.defaults[endpoint] }]);
+  };
+
+  const saveSequence = async (body, successMessage) => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await fetch('/api/users/ring-sequence', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save ring sequence');
+      }
+
+      applySettings(data);
+      onAnswerInAppChange(data.answerInApp);
+      setMessage(successMessage);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return error
+      ? <p className="error-text">{error}</p>
+      : <div className="loading">Loading ring sequence...</div>;
+  }
+
+  const unused = settings.endpoints.filter(e => !steps.some(step => stepKey(step) === stepKey(e)));
+  const dialable = Object.fromEntries(settings.endpoints.map(e => [stepKey(e), e.dialable]));
+
+  return (
+    <div className="settings-section">
+      <h3>How you're rung</h3>
+      <p className="hint">
+        Calls (including the ones you place, which ring you first) try these in turn, each for as
+        long as you set. An unverified phone, one outside its hours, or a browser that isn't open, is skipped.
+      </p>
+
+      {error && (
+        <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="ring-mode">Ring</label>
+        <select id="ring-mode" value={mode} onChange={(e) => setMode(e.target.value)}>
+          {settings.modes.map((m) => (
+            <option key={m} value={m}>{MODE_LABELS[m]}</option>
+          ))}
+        </select>
+      </div>
+
+      <ol className="ring-steps">
+        {steps.map((step, index) => (
+          <li key={stepKey(step)} className="ring-step">
+            <span className="ring-step-endpoint">
+              {describeStep(step, settings.phones)}
+              {!dialable[stepKey(step)] && <span className="status-error"> (can't ring now)</span>}
+            </span>
+            <input
+              type="number"
+              min={settings.timeouts.min}
+              max={settings.timeouts.max}
+              value={step.timeout}
+              onChange={(e) => updateTimeout(index, e.target.value)}
+              aria-label={`Seconds to ring ${describeStep(step, settings.phones)}`}
+            />
+            <span>seconds</span>
+            {mode === 'sequential' && (
+              <>
+                <button className="btn btn-secondary btn-small" onClick={() => moveStep(index, -1)} disabled={index === 0}>
+                  Up
+                </button>
+                <button className="btn btn-secondary btn-small" onClick={() => moveStep(index, 1)} disabled={index === steps.length - 1}>
+                  Down
+                </button>
+              </>
+            )}
+            <button className="btn btn-secondary btn-small" onClick={() => removeStep(index)} disabled={steps.length === 1}>
+              Remove
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="phonebook-actions">
+        {unused.map((e) => (
+          <button key={stepKey(e)} className="btn btn-secondary btn-small" onClick={() => addStep(e)}>
+            Add {describeStep(e, settings.phones)}
+          </button>
+        ))}
+        <button
+          className="btn btn-primary btn-small"
+          onClick={() => saveSequence({ mode, steps }, 'Ring sequence saved')}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        {settings.custom && (
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() => saveSequence({ steps: null }, 'Back to the default sequence')}
+            disabled={saving}
+          >
+            Use default
+          </button>
+        )}
+      </div>
+      {message && <p className="status-ready" style={{ marginTop: '8px' }}>{message}</p>}
+    </div>
+  );
+}
+
+export default RingSequence;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+
+function formatCost(amount, currency) {
+  return currency ? `${amount.toFixed(2)} ${currency}` : amount.toFixed(2);
+}
+
+function Usage() {
+  const [usage, setUsage] = useState(null);
+  const [capInput, setCapInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const fetchUsage = async () => {
+      try {
+        const response = await fetch('/api/users/usage', {
+          credentials: 'include'
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to fetch usage');
+        }
+
+        setUsage(data);
+        setCapInput(data.cap === null ? '' : String(data.cap));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchUsage();
+  }, []);
+
+  const handleSaveCap = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const cap = capInput.trim() === '' ? null : parseFloat(capInput);
+      if (cap !== null && (isNaN(cap) || cap < 0)) {
+        throw new Error('Enter a positive amount, or leave empty for no cap');
+      }
+
+      const response = await fetch('/api/users/spending-cap', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ cap })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update spending cap');
+      }
+
+      setUsage(data);
+      setCapInput(data.cap === null ? '' : String(data.cap));
+      setMessage(data.cap === null ? 'Spending cap removed' : 'Spending cap saved');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading usage...</div>;
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Usage</h3>
+      <p className="hint">
+        Calls you make, and people you add to calls, are billed to you.
+        Once you reach your monthly cap you can't start new calls until next month.
+      </p>
+
+      {error && (
+        <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+      )}
+
+      {usage && (
+        <dl className="usage-summary">
+          <div>
+            <dt>Calls this month</dt>
+            <dd>{usage.calls}</dd>
+          </div>
+          <div>
+            <dt>Minutes</dt>
+            <dd>{usage.minutes}</dd>
+          </div>
+          <div>
+            <dt>Cost</dt>
+            <dd>{formatCost(usage.cost, usage.currency)}</dd>
+          </div>
+          {usage.cap !== null && (
+            <div>
+              <dt>Left to spend</dt>
+              <dd>{formatCost(usage.remaining, usage.currency)}</dd>
+            </div>
+          )}
+        </dl>
+      )}
+
+      <form className="usage-cap" onSubmit={handleSaveCap}>
+        <div className="form-group">
+          <label htmlFor="spending-cap">Monthly spending cap</label>
+          <input
+            id="spending-cap"
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="No cap"
+            value={capInput}
+            onChange={(e) => setCapInput(e.target.value)}
+          />
+        </div>
+        <button type="submit" className="btn btn-primary btn-small" disabled={saving}>
+          {saving ? 'Saving...' : 'Save cap'}
+        </button>
+      </form>
+      {message && <p className="status-ready" style={{ marginTop: '8px' }}>{message}</p>}
+    </div>
+  );
+}
+
+export default Usage;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+function formatDuration(seconds) {
+  if (!seconds) return '0s';
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function Voicemail({ refreshKey, onUnheardCountChange }) {
+  const [voicemails, setVoicemails] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchVoicemails = useCallback(async () => {
+    try {
+      const response = await fetch('/api/voicemails', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch voicemails');
+      }
+
+      setVoicemails(data.voicemails);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchVoicemails();
+  }, [fetchVoicemails, refreshKey]);
+
+  useEffect(() => {
+    if (onUnheardCountChange) {
+      onUnheardCountChange(voicemails.filter(v => !v.heard).length);
+    }
+  }, [voicemails, onUnheardCountChange]);
+
+  const setHeard = async (id, heard) => {
+    try {
+      const response = await fetch(`/api/voicemails/${id}/heard`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ heard })
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to update voicemail');
+      }
+
+      setVoicemails(prev => prev.map(v => (v.id === id ? { ...v, heard } : v)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      const response = await fetch(`/api/voicemails/${id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to delete voicemail');
+      }
+
+      setVoicemails(prev => prev.filter(v => v.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading voicemail...</div>;
+  }
+
+  return (
+    <div>
+      {error && (
+        <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+      )}
+
+      {voicemails.length === 0 ? (
+        <div className="empty-state">
+          <p>No voicemail</p>
+        </div>
+      ) : (
+        <ul className="phonebook-list">
+          {voicemails.map((v) => (
+            <li key={v.id} className="voicemail-item">
+              <div className="voicemail-header">
+                <div>
+                  <span className={`codename ${v.heard ? '' : 'unheard'}`}>{v.from.codename}</span>
+                  <p className="history-meta">
+                    {new Date(v.createdAt).toLocaleString()} · {formatDuration(v.duration)}
+                  </p>
+                </div>
+                <div className="voicemail-actions">
+                  <button className="btn btn-secondary btn-small" onClick={() => setHeard(v.id, !v.heard)}>
+                    {v.heard ? 'Mark unheard' : 'Mark heard'}
+                  </button>
+                  <button className="btn btn-reject btn-small" onClick={() => handleDelete(v.id)}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+              <audio
+                controls
+                preload="none"
+                src={`/api/voicemails/${v.id}/audio`}
+                onPlay={() => !v.heard && setHeard(v.id, true)}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default Voicemail;
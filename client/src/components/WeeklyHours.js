@@ -0,0 +1,56 @@
+import React from 'react';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Editor for a weekly schedule of { day, start, end } windows
+function WeeklyHours({ windows, onChange, emptyText }) {
+  const updateWindow = (index, changes) => {
+    onChange(windows.map((w, i) => (i === index ? { ...w, ...changes } : w)));
+  };
+
+  const removeWindow = (index) => {
+    onChange(windows.filter((_, i) => i !== index));
+  };
+
+  if (windows.length === 0) {
+    return <p className="status-info">{emptyText}</p>;
+  }
+
+  return (
+    <ul className="availability-windows">
+      {windows.map((w, index) => (
+        <li key={index} className="availability-window">
+          <select
+            value={w.day}
+            onChange={(e) => updateWindow(index, { day: parseInt(e.target.value, 10) })}
+          >
+            {DAYS.map((day, i) => (
+              <option key={day} value={i}>{day}</option>
+            ))}
+          </select>
+          <input
+            type="time"
+            value={w.start}
+            onChange={(e) => updateWindow(index, { start: e.target.value })}
+          />
+          <span>to</span>
+          <input
+            type="time"
+            value={w.end === '24:00' ? '23:59' : w.end}
+            onChange={(e) => updateWindow(index, { end: e.target.value })}
+          />
+          <button className="btn btn-secondary btn-small" onClick={() => removeWindow(index)}>
+            Remove
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// A new window to start editing from
+export function newWindow() {
+  return { day: 1, start: '09:00', end: '17:00' };
+}
+
+export default WeeklyHours;
@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+// Members of one workspace; the owner can remove them
+function WorkspaceMembers({ workspace, onRemoved }) {
+  const [members, setMembers] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchMembers = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/workspaces/${workspace.id}/members`, {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch members');
+      }
+
+      setMembers(data.members);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [workspace.id]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.codename} from ${workspace.name}?`)) return;
+
+    try {
+      const response = await fetch(`/api/workspaces/${workspace.id}/members/${member.id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to remove member');
+      }
+
+      await fetchMembers();
+      onRemoved();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!members) {
+    return error ? <p className="error-text">{error}</p> : <div className="phonebook-more">Loading members...</div>;
+  }
+
+  return (
+    <>
+      {error && <p className="error-text">{error}</p>}
+      <ul className="workspace-members">
+        {members.map((m) => (
+          <li key={m.id} className="workspace-member">
+            <span>
+              {m.codename}
+              {m.role === 'owner' && <span className="status-info"> (owner)</span>}
+            </span>
+            {workspace.role === 'owner' && m.role !== 'owner' && (
+              <button className="btn btn-secondary btn-small" onClick={() => handleRemove(m)}>
+                Remove
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
+function Workspaces({ onChange }) {
+  const [workspaces, setWorkspaces] = useState(null);
+  const [joinable, setJoinable] = useState([]);
+  // The domain workspaces can be opened to: null unless Google verified your
+  // address and it isn't at a public mail provider like gmail.com
+  const [emailDomain, setEmailDomain] = useState(null);
+  const [codeInput, setCodeInput] = useState('');
+  const [nameInput, setNameInput] = useState('');
+  const [openToDomain, setOpenToDomain] = useState(false);
+  const [showingMembers, setShowingMembers] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchWorkspaces = useCallback(async () => {
+    try {
+      const response = await fetch('/api/workspaces', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch workspaces');
+      }
+
+      setWorkspaces(data.workspaces);
+      setJoinable(data.joinable);
+      setEmailDomain(data.emailDomain);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWorkspaces();
+  }, [fetchWorkspaces]);
+
+  // Membership changes who's in the phonebook, so the parent reloads it too
+  const request = async (url, method, body, failure) => {
+    setError('');
+    setBusy(true);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: body && JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || failure);
+      }
+
+      await fetchWorkspaces();
+      onChange();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleJoinByCode = async (e) => {
+    e.preventDefault();
+    if (await request('/api/workspaces/join', 'POST', { code: codeInput }, 'Failed to join workspace')) {
+      setCodeInput('');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const body = { name: nameInput, emailDomain: openToDomain ? emailDomain : null };
+    if (await request('/api/workspaces', 'POST', body, 'Failed to create workspace')) {
+      setNameInput('');
+      setOpenToDomain(false);
+    }
+  };
+
+  const handleLeave = (workspace) => {
+    if (!window.confirm(`Leave ${workspace.name}? You'll no longer see or be able to call its members.`)) return;
+    request(`/api/workspaces/${workspace.id}/leave`, 'POST', null, 'Failed to leave workspace');
+  };
+
+  const handleNewCode = (workspace) => {
+    if (!window.confirm('Replace the invite code? The current one will stop working.')) return;
+    request(`/api/workspaces/${workspace.id}/invite-code`, 'POST', null, 'Failed to change invite code');
+  };
+
+  const handleToggleDomain = (workspace) => {
+    const body = { emailDomain: workspace.emailDomain ? null : emailDomain };
+    request(`/api/workspaces/${workspace.id}`, 'PUT', body, 'Failed to update workspace');
+  };
+
+  if (!workspaces) {
+    return error
+      ? <p className="error-text">{error}</p>
+      : <div className="loading">Loading workspaces...</div>;
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Workspaces</h3>
+      <p className="hint">
+        You only see and can call people who share a workspace with you.
+        Join one with its invite code, or create your own and share its code.
+      </p>
+
+      {error && (
+        <p className="error-text" style={{ marginBottom: '16px' }}>{error}</p>
+      )}
+
+      {workspaces.length === 0 ? (
+        <p className="status-info">You're not in any workspace yet</p>
+      ) : (
+        <ul className="workspaces">
+          {workspaces.map((w) => (
+            <li key={w.id} className="workspace">
+              <div className="workspace-row">
+                <div>
+                  <span className="workspace-name">{w.name}</span>
+                  <p className="history-meta">
+                    {w.memberCount} {w.memberCount === 1 ? 'member' : 'members'}
+                    {w.role === 'owner' && ' · you own it'}
+                    {w.emailDomain && ` · open to @${w.emailDomain}`}
+                  </p>
+                  {w.inviteCode && (
+                    <p className="history-meta">
+                      Invite code: <code className="invite-code">{w.inviteCode}</code>
+                    </p>
+                  )}
+                </div>
+                <div className="phonebook-actions">
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => setShowingMembers(showingMembers === w.id ? null : w.id)}
+                  >
+                    Members
+                  </button>
+                  {w.role === 'owner' ? (
+                    <>
+                      <button className="btn btn-secondary btn-small" onClick={() => handleNewCode(w)} disabled={busy}>
+                        New code
+                      </button>
+                      {emailDomain && (
+                        <button className="btn btn-secondary btn-small" onClick={() => handleToggleDomain(w)} disabled={busy}>
+                          {w.emailDomain ? `Close to @${w.emailDomain}` : `Open to @${emailDomain}`}
+                        </button>
+                      )}
+                    </>
+                  ) : (
+                    <button className="btn btn-secondary btn-small" onClick={() => handleLeave(w)} disabled={busy}>
+                      Leave
+                    </button>
+                  )}
+                </div>
+              </div>
+              {showingMembers === w.id && (
+                <WorkspaceMembers
+                  workspace={w}
+                  onRemoved={() => {
+                    fetchWorkspaces();
+                    onChange();
+                  }}
+                />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {joinable.length > 0 && (
+        <ul className="workspaces">
+          {joinable.map((w) => (
+            <li key={w.id} className="workspace workspace-row">
+              <div>
+                <span className="workspace-name">{w.name}</span>
+                <p className="history-meta">Open to everyone at @{w.emailDomain}</p>
+              </div>
+              <button
+                className="btn btn-primary btn-small"
+                onClick={() => request(`/api/workspaces/${w.id}/join`, 'POST', null, 'Failed to join workspace')}
+                disabled={busy}
+              >
+                Join
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="workspace-form" onSubmit={handleJoinByCode}>
+        <input
+          type="text"
+          placeholder="Invite code"
+          value={codeInput}
+          onChange={(e) => setCodeInput(e.target.value)}
+          aria-label="Invite code"
+        />
+        <button type="submit" className="btn btn-primary btn-small" disabled={busy || !codeInput.trim()}>
+          Join
+        </button>
+      </form>
+
+      <form className="workspace-form" onSubmit={handleCreate}>
+        <input
+          type="text"
+          placeholder="New workspace name"
+          maxLength={60}
+          value={nameInput}
+          onChange={(e) => setNameInput(e.target.value)}
+          aria-label="New workspace name"
+        />
+        {emailDomain && (
+          <label className="workspace-domain-option">
+            <input
+              type="checkbox"
+              checked={openToDomain}
+              onChange={(e) => setOpenToDomain(e.target.checked)}
+            />
+            Open to @{emailDomain}
+          </label>
+        )}
+        <button type="submit" className="btn btn-primary btn-small" disabled={busy || !nameInput.trim()}>
+          Create
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default Workspaces;
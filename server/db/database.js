@@ -1,176 +1,1679 @@
-const Database = require('better-sqlite3');
+// Repository - every query the app makes, written once in Postgres-flavoured
+// SQL and run by whichever driver DATABASE_URL selects:
+//   postgres://... or postgresql://...  -> Postgres (drivers/postgres.js)
+//   sqlite:path/to/file.db, sqlite::memory: -> SQLite (drivers/sqlite.js)
+// Without DATABASE_URL a SQLite file at data/app.db is used.
 const path = require('path');
 
-const dbPath = path.join(__dirname, '../../data/app.db');
-let db;
+const DEFAULT_SQLITE_FILE = path.join(__dirname, '../../data/app.db');
+
+let driver;
+
+function createDriver(url) {
+  if (!url) {
+    return require('./drivers/sqlite').createSqliteDriver(DEFAULT_SQLITE_FILE);
+  }
+  if (/^postgres(ql)?:\/\//i.test(url)) {
+    return require('./drivers/postgres').createPostgresDriver(url);
+  }
+  if (/^sqlite:/i.test(url)) {
+    // sqlite:relative/file.db, sqlite:///absolute/file.db or sqlite::memory:
+    const filename = url.replace(/^sqlite:(\/\/)?/i, '');
+    return require('./drivers/sqlite').createSqliteDriver(filename || DEFAULT_SQLITE_FILE);
+  }
+  throw new Error('DATABASE_URL must start with postgres://, postgresql:// or sqlite:');
+}
 
 function getDatabase() {
-  if (!db) {
-    // Ensure data directory exists
-    const fs = require('fs');
-    const dataDir = path.dirname(dbPath);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-    db = new Database(dbPath);
-    db.pragma('journal_mode = WAL');
-  }
-  return db;
-}
-
-function initializeDatabase() {
-  const database = getDatabase();
-
-  // Create users table
-  database.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      google_id TEXT UNIQUE NOT NULL,
-      email TEXT UNIQUE NOT NULL,
-      first_name TEXT NOT NULL,
-      last_name TEXT NOT NULL,
-      phone_number TEXT NOT NULL,
-      codename TEXT UNIQUE NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Create call_logs table for tracking calls
-  database.exec(`
-    CREATE TABLE IF NOT EXISTS call_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      caller_id INTEGER NOT NULL,
-      callee_id INTEGER NOT NULL,
-      twilio_conference_sid TEXT,
-      status TEXT DEFAULT 'initiated',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      ended_at DATETIME,
-      FOREIGN KEY (caller_id) REFERENCES users(id),
-      FOREIGN KEY (callee_id) REFERENCES users(id)
-    )
-  `);
-
-  console.log('Database initialized successfully');
+  if (!driver) {
+    driver = createDriver(process.env.DATABASE_URL);
+  }
+  return driver;
+}
+
+async function closeDatabase() {
+  if (driver) {
+    await driver.close();
+    driver = null;
+  }
 }
 
 // User operations
-function createUser({ googleId, email, firstName, lastName, phoneNumber, codename }) {
-  const database = getDatabase();
-  const stmt = database.prepare(`
-    INSERT INTO users (google_id, email, first_name, last_name, phone_number, codename)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `);
-  const result = stmt.run(googleId, email, firstName, lastName, phoneNumber, codename);
-  return result.lastInsertRowid;
+// Users come with their primary phone's number, country, type and
+// verification, as if they were still columns of users
+const USER_WITH_PRIMARY_PHONE = `
+  SELECT u.*, p.id AS phone_id, p.phone_number, p.phone_country, p.phone_type, p.verified_at AS phone_verified_at
+  FROM users u
+  LEFT JOIN user_phones p ON p.user_id = u.id AND p.is_primary = true`;
+
+async function createUser({ googleId, email, emailVerified, firstName, lastName, phoneNumber, phoneCountry, phoneType, codename }) {
+  return getDatabase().transaction(async (tx) => {
+    const result = await tx.query(
+      `INSERT INTO users (google_id, email, email_verified, first_name, last_name, codename)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [googleId, email, Boolean(emailVerified), firstName, lastName, codename]
+    );
+    const userId = result.rows[0].id;
+    await tx.query(
+      `INSERT INTO user_phones (user_id, phone_number, phone_country, phone_type, is_primary)
+       VALUES ($1, $2, $3, $4, true)`,
+      [userId, phoneNumber, phoneCountry, phoneType]
+    );
+    return userId;
+  });
 }
 
-function getUserByGoogleId(googleId) {
+async function getUserByGoogleId(googleId) {
   const database = getDatabase();
-  const stmt = database.prepare('SELECT * FROM users WHERE google_id = ?');
-  return stmt.get(googleId);
+  const result = await database.query(`${USER_WITH_PRIMARY_PHONE} WHERE u.google_id = $1`, [googleId]);
+  return result.rows[0];
 }
 
-function getUserById(id) {
+async function getUserById(id) {
   const database = getDatabase();
-  const stmt = database.prepare('SELECT * FROM users WHERE id = ?');
-  return stmt.get(id);
+  const result = await database.query(`${USER_WITH_PRIMARY_PHONE} WHERE u.id = $1`, [id]);
+  return result.rows[0];
 }
 
-function getUserByEmail(email) {
+async function getUserByEmail(email) {
   const database = getDatabase();
-  const stmt = database.prepare('SELECT * FROM users WHERE email = ?');
-  return stmt.get(email);
+  const result = await database.query(`${USER_WITH_PRIMARY_PHONE} WHERE u.email = $1`, [email]);
+  return result.rows[0];
 }
 
-function getUserByCodename(codename) {
+async function getUserByCodename(codename) {
   const database = getDatabase();
-  const stmt = database.prepare('SELECT * FROM users WHERE codename = ?');
-  return stmt.get(codename);
+  const result = await database.query(`${USER_WITH_PRIMARY_PHONE} WHERE u.codename = $1`, [codename]);
+  return result.rows[0];
+}
+
+// SQL condition: user $1 and the users row `u` are both members of some
+// workspace (of one workspace in particular, given the placeholder for its id)
+function sharesWorkspaceCondition(workspacePlaceholder) {
+  const inWorkspace = workspacePlaceholder ? `AND mine.workspace_id = ${workspacePlaceholder}` : '';
+  return `EXISTS (
+       SELECT 1 FROM workspace_members mine
+       JOIN workspace_members theirs ON theirs.workspace_id = mine.workspace_id
+       WHERE mine.user_id = $1 AND theirs.user_id = u.id
+         AND mine.removed_at IS NULL AND theirs.removed_at IS NULL
+         ${inWorkspace}
+     )`;
 }
 
-function getAllUsersExcept(userId) {
+// Phonebook sort orders, as keys to order by before the codename and id that
+// break ties (so every row has a unique position for the cursor). Recent and
+// frequent go by the calls you've shared with each user, in either direction.
+const PHONEBOOK_SORTS = {
+  alphabetical: [],
+  recent: [{ expression: 'COALESCE(calls.last_call_id, 0)', descending: true }],
+  frequent: [{ expression: 'COALESCE(calls.call_count, 0)', descending: true }]
+};
+
+// Escape LIKE wildcards (codenames may contain "_") for use with ESCAPE '\'
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * One page of the phonebook: everyone the user shares a workspace with, except
+ * anyone blocked either way
+ * @param {number} userId - Whose phonebook
+ * @param {object} options
+ * @param {number} [options.workspaceId] - Only members of this one workspace
+ * @param {string} [options.search] - Codename search: prefix matches first, then
+ *   codenames containing it, then ones containing its letters in order
+ * @param {string} [options.sort] - One of PHONEBOOK_SORTS (default alphabetical)
+ * @param {number} [options.limit] - Page size
+ * @param {Array} [options.after] - Sort key values of the last row of the previous page
+ * @returns {Promise<object>} - { users, next } where next is the `after` for the
+ *   following page, or null on the last one
+ */
+async function getPhonebookPage(userId, { workspaceId, search, sort = 'alphabetical', limit = 50, after } = {}) {
   const database = getDatabase();
-  const stmt = database.prepare('SELECT id, codename FROM users WHERE id != ?');
-  return stmt.all(userId);
+  const conditions = [
+    'u.id != $1',
+    `NOT EXISTS (
+       SELECT 1 FROM blocks b
+       WHERE (b.blocker_id = $1 AND b.blocked_id = u.id)
+          OR (b.blocker_id = u.id AND b.blocked_id = $1)
+     )`
+  ];
+  const values = [userId];
+  let paramCount = 2;
+  const keys = [];
+
+  if (workspaceId) {
+    conditions.push(sharesWorkspaceCondition(`$${paramCount++}`));
+    values.push(workspaceId);
+  } else {
+    conditions.push(sharesWorkspaceCondition());
+  }
+
+  if (search) {
+    const term = search.toLowerCase();
+    const fuzzy = `%${[...term].map(escapeLike).join('%')}%`;
+    conditions.push(`LOWER(u.codename) LIKE $${paramCount} ESCAPE '\\'`);
+    keys.push({
+      expression: `CASE
+        WHEN LOWER(u.codename) LIKE $${paramCount + 1} ESCAPE '\\' THEN 0
+        WHEN LOWER(u.codename) LIKE $${paramCount + 2} ESCAPE '\\' THEN 1
+        ELSE 2
+      END`
+    });
+    values.push(fuzzy, `${escapeLike(term)}%`, `%${escapeLike(term)}%`);
+    paramCount += 3;
+  }
+
+  keys.push(
+    ...PHONEBOOK_SORTS[sort],
+    { expression: 'LOWER(u.codename)' },
+    { expression: 'u.id' }
+  );
+
+  // Rows after the cursor: (k1, k2, ...) past (v1, v2, ...) in each key's direction
+  if (after) {
+    const placeholders = after.map(() => `$${paramCount++}`);
+    const alternatives = keys.map((key, i) => {
+      const equal = keys.slice(0, i).map((k, j) => `${k.expression} = ${placeholders[j]}`);
+      const past = `${key.expression} ${key.descending ? '<' : '>'} ${placeholders[i]}`;
+      return `(${[...equal, past].join(' AND ')})`;
+    });
+    conditions.push(`(${alternatives.join(' OR ')})`);
+    values.push(...after);
+  }
+
+  values.push(limit + 1);
+  const result = await database.query(
+    `SELECT u.id, u.codename, u.answer_in_app, u.ring_mode, u.ring_steps, u.time_zone,
+            u.dnd_enabled, u.dnd_until,
+            ${keys.map((key, i) => `${key.expression} AS sort_key_${i}`).join(',\n            ')}
+     FROM users u
+     LEFT JOIN (
+       SELECT them.user_id, MAX(me.call_log_id) AS last_call_id,
+              CAST(COUNT(*) AS INTEGER) AS call_count
+       FROM call_participants me
+       JOIN call_participants them ON them.call_log_id = me.call_log_id AND them.user_id != me.user_id
+       WHERE me.user_id = $1
+       GROUP BY them.user_id
+     ) calls ON calls.user_id = u.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ${keys.map(key => `${key.expression}${key.descending ? ' DESC' : ''}`).join(', ')}
+     LIMIT $${paramCount}`,
+    values
+  );
+
+  const users = result.rows.slice(0, limit);
+  const last = users[users.length - 1];
+  return {
+    users,
+    next: result.rows.length > limit ? keys.map((_, i) => last[`sort_key_${i}`]) : null
+  };
 }
 
-function updateUser(id, { phoneNumber, codename }) {
+// Update the codename and primary phone number. A new number has to be
+// verified again before it is dialed. Returns the user as getUserById does.
+async function updateUser(id, { phoneNumber, phoneCountry, phoneType, codename }) {
+  await getDatabase().transaction(async (tx) => {
+    await tx.query(
+      'UPDATE users SET codename = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [codename, id]
+    );
+    await tx.query(
+      `UPDATE user_phones
+       SET phone_number = $1, phone_country = $2, phone_type = $3,
+           verified_at = CASE WHEN phone_number = $1 THEN verified_at ELSE NULL END
+       WHERE user_id = $4 AND is_primary = true`,
+      [phoneNumber, phoneCountry, phoneType, id]
+    );
+  });
+  return getUserById(id);
+}
+
+// Google says at each sign-in whether the email address is (still) verified
+async function updateUserEmailVerified(id, emailVerified) {
   const database = getDatabase();
-  const stmt = database.prepare(`
-    UPDATE users
-    SET phone_number = ?, codename = ?, updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `);
-  return stmt.run(phoneNumber, codename, id);
+  await database.query(
+    'UPDATE users SET email_verified = $1 WHERE id = $2 AND email_verified != $1',
+    [Boolean(emailVerified), id]
+  );
 }
 
-function isCodenameAvailable(codename, excludeUserId = null) {
+async function isCodenameAvailable(codename, excludeUserId = null) {
   const database = getDatabase();
-  let stmt;
+  let result;
   if (excludeUserId) {
-    stmt = database.prepare('SELECT id FROM users WHERE codename = ? AND id != ?');
-    return !stmt.get(codename, excludeUserId);
+    result = await database.query(
+      'SELECT id FROM users WHERE codename = $1 AND id != $2',
+      [codename, excludeUserId]
+    );
   } else {
-    stmt = database.prepare('SELECT id FROM users WHERE codename = ?');
-    return !stmt.get(codename);
+    result = await database.query('SELECT id FROM users WHERE codename = $1', [codename]);
+  }
+  return result.rows.length === 0;
+}
+
+async function updateUserAnswerInApp(id, answerInApp) {
+  const database = getDatabase();
+  const result = await database.query(
+    `UPDATE users
+     SET answer_in_app = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    [answerInApp, id]
+  );
+  return result.rows[0];
+}
+
+// answer_in_app follows the sequence: whether it rings the browser
+async function updateUserRingSequence(id, { mode, steps, answerInApp }) {
+  const database = getDatabase();
+  const result = await database.query(
+    `UPDATE users
+     SET ring_mode = $1, ring_steps = $2, answer_in_app = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4
+     RETURNING *`,
+    [mode, steps ? JSON.stringify(steps) : null, answerInApp, id]
+  );
+  return result.rows[0];
+}
+
+async function updateUserAvailabilitySettings(id, { timeZone, dndEnabled, dndUntil }) {
+  const database = getDatabase();
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (timeZone !== undefined) {
+    updates.push(`time_zone = $${paramCount++}`);
+    values.push(timeZone);
+  }
+  if (dndEnabled !== undefined) {
+    updates.push(`dnd_enabled = $${paramCount++}`);
+    values.push(dndEnabled);
   }
+  if (dndUntil !== undefined) {
+    updates.push(`dnd_until = $${paramCount++}`);
+    values.push(dndUntil);
+  }
+
+  if (updates.length === 0) return null;
+
+  values.push(id);
+  const result = await database.query(
+    `UPDATE users SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${paramCount} RETURNING *`,
+    values
+  );
+  return result.rows[0];
+}
+
+// Availability window operations
+async function getAvailabilityWindows(userId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT day_of_week, start_minute, end_minute FROM availability_windows
+     WHERE user_id = $1
+     ORDER BY day_of_week, start_minute`,
+    [userId]
+  );
+  return result.rows;
+}
+
+// Windows for many users at once, grouped by user id
+async function getAvailabilityWindowsForUsers(userIds) {
+  if (userIds.length === 0) return {};
+
+  const database = getDatabase();
+  const placeholders = userIds.map((_, i) => `$${i + 1}`);
+  const result = await database.query(
+    `SELECT user_id, day_of_week, start_minute, end_minute FROM availability_windows
+     WHERE user_id IN (${placeholders.join(', ')})
+     ORDER BY day_of_week, start_minute`,
+    userIds
+  );
+
+  const byUser = {};
+  for (const row of result.rows) {
+    (byUser[row.user_id] = byUser[row.user_id] || []).push(row);
+  }
+  return byUser;
+}
+
+// Replace a user's whole weekly schedule
+async function setAvailabilityWindows(userId, windows) {
+  await getDatabase().transaction(async (tx) => {
+    await tx.query('DELETE FROM availability_windows WHERE user_id = $1', [userId]);
+    for (const w of windows) {
+      await tx.query(
+        `INSERT INTO availability_windows (user_id, day_of_week, start_minute, end_minute)
+         VALUES ($1, $2, $3, $4)`,
+        [userId, w.dayOfWeek, w.startMinute, w.endMinute]
+      );
+    }
+  });
+}
+
+// User phone operations
+// Attach each phone's hours (user_phone_windows rows) as phone.windows
+async function withPhoneWindows(phones) {
+  if (phones.length === 0) return phones;
+
+  const database = getDatabase();
+  const placeholders = phones.map((_, i) => `$${i + 1}`);
+  const result = await database.query(
+    `SELECT phone_id, day_of_week, start_minute, end_minute FROM user_phone_windows
+     WHERE phone_id IN (${placeholders.join(', ')})
+     ORDER BY day_of_week, start_minute`,
+    phones.map(phone => phone.id)
+  );
+
+  for (const phone of phones) {
+    phone.windows = result.rows.filter(w => w.phone_id === phone.id);
+  }
+  return phones;
+}
+
+// A user's phone numbers with their hours, primary first
+async function getUserPhones(userId) {
+  const database = getDatabase();
+  const result = await database.query(
+    'SELECT * FROM user_phones WHERE user_id = $1 ORDER BY is_primary DESC, id',
+    [userId]
+  );
+  return withPhoneWindows(result.rows);
+}
+
+// Phones for many users at once, grouped by user id
+async function getUserPhonesForUsers(userIds) {
+  if (userIds.length === 0) return {};
+
+  const database = getDatabase();
+  const placeholders = userIds.map((_, i) => `$${i + 1}`);
+  const result = await database.query(
+    `SELECT * FROM user_phones
+     WHERE user_id IN (${placeholders.join(', ')})
+     ORDER BY is_primary DESC, id`,
+    userIds
+  );
+
+  const byUser = {};
+  for (const phone of await withPhoneWindows(result.rows)) {
+    (byUser[phone.user_id] = byUser[phone.user_id] || []).push(phone);
+  }
+  return byUser;
+}
+
+// One of a user's phones (undefined if it isn't theirs)
+async function getUserPhone(userId, phoneId) {
+  const database = getDatabase();
+  const result = await database.query(
+    'SELECT * FROM user_phones WHERE id = $1 AND user_id = $2',
+    [phoneId, userId]
+  );
+  return result.rows[0] && (await withPhoneWindows(result.rows))[0];
+}
+
+async function addUserPhone(userId, { phoneNumber, phoneCountry, phoneType, label }) {
+  const database = getDatabase();
+  const result = await database.query(
+    `INSERT INTO user_phones (user_id, phone_number, phone_country, phone_type, label)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [userId, phoneNumber, phoneCountry, phoneType, label]
+  );
+  return result.rows[0];
+}
+
+async function updateUserPhoneLabel(phoneId, label) {
+  const database = getDatabase();
+  await database.query('UPDATE user_phones SET label = $1 WHERE id = $2', [label, phoneId]);
+}
+
+// Make one of a user's phones the primary (and the others not)
+async function setPrimaryUserPhone(userId, phoneId) {
+  await getDatabase().transaction(async (tx) => {
+    await tx.query(
+      'UPDATE user_phones SET is_primary = false WHERE user_id = $1 AND is_primary = true',
+      [userId]
+    );
+    await tx.query(
+      'UPDATE user_phones SET is_primary = true WHERE id = $1 AND user_id = $2',
+      [phoneId, userId]
+    );
+  });
+}
+
+// Replace the hours a phone may be rung in (none: any time)
+async function setUserPhoneWindows(phoneId, windows) {
+  await getDatabase().transaction(async (tx) => {
+    await tx.query('DELETE FROM user_phone_windows WHERE phone_id = $1', [phoneId]);
+    for (const w of windows) {
+      await tx.query(
+        `INSERT INTO user_phone_windows (phone_id, day_of_week, start_minute, end_minute)
+         VALUES ($1, $2, $3, $4)`,
+        [phoneId, w.dayOfWeek, w.startMinute, w.endMinute]
+      );
+    }
+  });
+}
+
+async function deleteUserPhone(userId, phoneId) {
+  const database = getDatabase();
+  const result = await database.query(
+    'DELETE FROM user_phones WHERE id = $1 AND user_id = $2',
+    [phoneId, userId]
+  );
+  return result.rowCount > 0;
 }
 
 // Call log operations
-function createCallLog(callerId, calleeId) {
+// Call participant operations
+// Adding someone who left the call earlier brings them back
+async function addCallParticipant({ callLogId, userId, role, addedBy }) {
+  const database = getDatabase();
+  await database.query(
+    `INSERT INTO call_participants (call_log_id, user_id, role, added_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (call_log_id, user_id) DO UPDATE SET left_at = NULL`,
+    [callLogId, userId, role, addedBy || null]
+  );
+}
+
+// Participants of a call with their codenames, in the order they were added
+async function getCallParticipants(callLogId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT p.user_id, p.role, p.added_by, p.created_at, p.left_at, u.codename
+     FROM call_participants p
+     JOIN users u ON u.id = p.user_id
+     WHERE p.call_log_id = $1
+     ORDER BY p.created_at, p.id`,
+    [callLogId]
+  );
+  return result.rows;
+}
+
+async function getCallParticipant(callLogId, userId) {
   const database = getDatabase();
-  const stmt = database.prepare(`
-    INSERT INTO call_logs (caller_id, callee_id)
-    VALUES (?, ?)
-  `);
-  const result = stmt.run(callerId, calleeId);
-  return result.lastInsertRowid;
+  const result = await database.query(
+    'SELECT * FROM call_participants WHERE call_log_id = $1 AND user_id = $2',
+    [callLogId, userId]
+  );
+  return result.rows[0];
 }
 
-function updateCallLog(id, { twilioConferenceSid, status, endedAt }) {
+async function markCallParticipantLeft(callLogId, userId) {
+  const database = getDatabase();
+  await database.query(
+    `UPDATE call_participants SET left_at = CURRENT_TIMESTAMP
+     WHERE call_log_id = $1 AND user_id = $2 AND left_at IS NULL`,
+    [callLogId, userId]
+  );
+}
+
+// Which of the given users are currently talking in a call started after `since`
+async function getUserIdsInActiveCalls(userIds, since) {
+  if (userIds.length === 0) return [];
+
+  const database = getDatabase();
+  const placeholders = userIds.map((_, i) => `$${i + 2}`).join(', ');
+  const result = await database.query(
+    `SELECT DISTINCT l.user_id FROM call_legs l
+     JOIN call_logs cl ON cl.id = l.call_log_id
+     WHERE l.status = 'in-progress'
+       AND cl.status = 'in-progress'
+       AND cl.ended_at IS NULL
+       AND cl.created_at > $1
+       AND l.user_id IN (${placeholders})`,
+    [since, ...userIds]
+  );
+  return result.rows.map(row => row.user_id);
+}
+
+async function createCallLog(callerId, calleeId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `INSERT INTO call_logs (caller_id, callee_id)
+     VALUES ($1, $2)
+     RETURNING id`,
+    [callerId, calleeId]
+  );
+  return result.rows[0].id;
+}
+
+async function updateCallLog(id, { twilioConferenceSid, status, endedAt, endedBy, calleeDecision }) {
   const database = getDatabase();
   const updates = [];
   const values = [];
+  let paramCount = 1;
 
   if (twilioConferenceSid !== undefined) {
-    updates.push('twilio_conference_sid = ?');
+    updates.push(`twilio_conference_sid = $${paramCount++}`);
     values.push(twilioConferenceSid);
   }
   if (status !== undefined) {
-    updates.push('status = ?');
+    updates.push(`status = $${paramCount++}`);
     values.push(status);
   }
   if (endedAt !== undefined) {
-    updates.push('ended_at = ?');
+    updates.push(`ended_at = $${paramCount++}`);
     values.push(endedAt);
   }
+  if (endedBy !== undefined) {
+    updates.push(`ended_by = $${paramCount++}`);
+    values.push(endedBy);
+  }
+  if (calleeDecision !== undefined) {
+    updates.push(`callee_decision = $${paramCount++}`);
+    values.push(calleeDecision);
+  }
 
   if (updates.length === 0) return null;
 
   values.push(id);
-  const stmt = database.prepare(`UPDATE call_logs SET ${updates.join(', ')} WHERE id = ?`);
-  return stmt.run(...values);
+  const result = await database.query(
+    `UPDATE call_logs SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+    values
+  );
+  return result.rows[0];
+}
+
+async function getCallLogById(id) {
+  const database = getDatabase();
+  const result = await database.query('SELECT * FROM call_logs WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+// Call leg operations
+async function createCallLeg({ callLogId, userId, role, endpointType, billedTo, ringEndpoint, ringStep, phoneId }) {
+  const database = getDatabase();
+  const result = await database.query(
+    `INSERT INTO call_legs (call_log_id, user_id, role, endpoint_type, billed_to, ring_endpoint, ring_step, phone_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id`,
+    [callLogId, userId, role, endpointType, billedTo || null, ringEndpoint || endpointType, ringStep ?? null, phoneId || null]
+  );
+  return result.rows[0].id;
+}
+
+async function updateCallLeg(id, {
+  twilioCallSid, status, ringingAt, answeredAt, endedAt, redirectedTo, calleeDecision,
+  durationSeconds, price, priceUnit, answeredBy, supersededAt
+}) {
+  const database = getDatabase();
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (twilioCallSid !== undefined) {
+    updates.push(`twilio_call_sid = $${paramCount++}`);
+    values.push(twilioCallSid);
+  }
+  if (status !== undefined) {
+    updates.push(`status = $${paramCount++}`);
+    values.push(status);
+  }
+  if (ringingAt !== undefined) {
+    updates.push(`ringing_at = $${paramCount++}`);
+    values.push(ringingAt);
+  }
+  if (answeredAt !== undefined) {
+    updates.push(`answered_at = $${paramCount++}`);
+    values.push(answeredAt);
+  }
+  if (endedAt !== undefined) {
+    updates.push(`ended_at = $${paramCount++}`);
+    values.push(endedAt);
+  }
+  if (redirectedTo !== undefined) {
+    updates.push(`redirected_to = $${paramCount++}`);
+    values.push(redirectedTo);
+  }
+  if (calleeDecision !== undefined) {
+    updates.push(`callee_decision = $${paramCount++}`);
+    values.push(calleeDecision);
+  }
+  if (durationSeconds !== undefined) {
+    updates.push(`duration_seconds = $${paramCount++}`);
+    values.push(durationSeconds);
+  }
+  if (price !== undefined) {
+    updates.push(`price = $${paramCount++}`);
+    values.push(price);
+  }
+  if (priceUnit !== undefined) {
+    updates.push(`price_unit = $${paramCount++}`);
+    values.push(priceUnit);
+  }
+  if (answeredBy !== undefined) {
+    updates.push(`answered_by = $${paramCount++}`);
+    values.push(answeredBy);
+  }
+  if (supersededAt !== undefined) {
+    updates.push(`superseded_at = $${paramCount++}`);
+    values.push(supersededAt);
+  }
+
+  if (updates.length === 0) return null;
+
+  values.push(id);
+  const result = await database.query(
+    `UPDATE call_legs SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+    values
+  );
+  return result.rows[0];
+}
+
+async function getCallLegById(id) {
+  const database = getDatabase();
+  const result = await database.query('SELECT * FROM call_legs WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+async function getCallLegsByCallLogId(callLogId) {
+  const database = getDatabase();
+  const result = await database.query(
+    'SELECT * FROM call_legs WHERE call_log_id = $1 ORDER BY id',
+    [callLogId]
+  );
+  return result.rows;
+}
+
+// List a user's calls, newest first. Only the other party's id and codename are
+// selected so history can never leak names or phone numbers.
+async function getCallHistory(userId, { direction, statuses, from, to, limit = 20, offset = 0 } = {}) {
+  const database = getDatabase();
+  const conditions = ['me.user_id = $1'];
+  const values = [userId];
+  let paramCount = 2;
+
+  if (direction === 'outgoing') {
+    conditions.push("me.role = 'caller'");
+  } else if (direction === 'incoming') {
+    conditions.push("me.role = 'callee'");
+  }
+  if (statuses && statuses.length > 0) {
+    const placeholders = statuses.map(() => `$${paramCount++}`);
+    conditions.push(`cl.status IN (${placeholders.join(', ')})`);
+    values.push(...statuses);
+  }
+  if (from) {
+    conditions.push(`cl.created_at >= $${paramCount++}`);
+    values.push(from);
+  }
+  if (to) {
+    conditions.push(`cl.created_at < $${paramCount++}`);
+    values.push(to);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const countResult = await database.query(
+    `SELECT COUNT(*) AS total
+     FROM call_logs cl
+     JOIN call_participants me ON me.call_log_id = cl.id
+     WHERE ${where}`,
+    values
+  );
+
+  const result = await database.query(
+    `SELECT cl.id, cl.status, cl.created_at, cl.ended_at,
+            CASE WHEN me.role = 'caller' THEN 'outgoing' ELSE 'incoming' END AS direction,
+            other.id AS other_user_id,
+            other.codename AS other_codename
+     FROM call_logs cl
+     JOIN call_participants me ON me.call_log_id = cl.id
+     JOIN users other
+       ON other.id = CASE WHEN cl.caller_id = $1 THEN cl.callee_id ELSE cl.caller_id END
+     WHERE ${where}
+     ORDER BY cl.created_at DESC, cl.id DESC
+     LIMIT $${paramCount++} OFFSET $${paramCount++}`,
+    [...values, limit, offset]
+  );
+
+  // Everyone else on each call (more than one for a group call)
+  const calls = result.rows.map(row => ({ ...row, participants: [] }));
+  if (calls.length > 0) {
+    const placeholders = calls.map((_, i) => `$${i + 2}`);
+    const participantsResult = await database.query(
+      `SELECT p.call_log_id, u.id, u.codename
+       FROM call_participants p
+       JOIN users u ON u.id = p.user_id
+       WHERE p.user_id != $1 AND p.call_log_id IN (${placeholders.join(', ')})
+       ORDER BY p.created_at, p.id`,
+      [userId, ...calls.map(c => c.id)]
+    );
+    const byCall = new Map(calls.map(c => [c.id, c]));
+    for (const row of participantsResult.rows) {
+      byCall.get(row.call_log_id).participants.push({ id: row.id, codename: row.codename });
+    }
+  }
+
+  return {
+    calls,
+    total: parseInt(countResult.rows[0].total, 10)
+  };
+}
+
+// Voicemail operations
+async function createVoicemail({ callLogId, senderId, recipientId, twilioRecordingSid, recordingUrl, durationSeconds }) {
+  const database = getDatabase();
+  const result = await database.query(
+    `INSERT INTO voicemails (call_log_id, sender_id, recipient_id, twilio_recording_sid, recording_url, duration_seconds)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (twilio_recording_sid) DO NOTHING
+     RETURNING id`,
+    [callLogId, senderId, recipientId, twilioRecordingSid, recordingUrl, durationSeconds]
+  );
+  return result.rows[0]?.id;
+}
+
+// Voicemails addressed to a user, newest first, with only the sender's codename
+async function getVoicemailsForUser(recipientId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT v.id, v.call_log_id, v.duration_seconds, v.heard, v.created_at,
+            sender.id AS sender_id, sender.codename AS sender_codename
+     FROM voicemails v
+     JOIN users sender ON sender.id = v.sender_id
+     WHERE v.recipient_id = $1
+     ORDER BY v.created_at DESC, v.id DESC`,
+    [recipientId]
+  );
+  return result.rows;
+}
+
+async function getVoicemailById(id) {
+  const database = getDatabase();
+  const result = await database.query('SELECT * FROM voicemails WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+async function updateVoicemailHeard(id, heard) {
+  const database = getDatabase();
+  const result = await database.query(
+    'UPDATE voicemails SET heard = $1 WHERE id = $2 RETURNING *',
+    [heard, id]
+  );
+  return result.rows[0];
+}
+
+async function deleteVoicemail(id) {
+  const database = getDatabase();
+  await database.query('DELETE FROM voicemails WHERE id = $1', [id]);
+}
+
+// Block operations
+async function createBlock(blockerId, blockedId) {
+  const database = getDatabase();
+  await database.query(
+    `INSERT INTO blocks (blocker_id, blocked_id)
+     VALUES ($1, $2)
+     ON CONFLICT (blocker_id, blocked_id) DO NOTHING`,
+    [blockerId, blockedId]
+  );
+}
+
+async function deleteBlock(blockerId, blockedId) {
+  const database = getDatabase();
+  const result = await database.query(
+    'DELETE FROM blocks WHERE blocker_id = $1 AND blocked_id = $2',
+    [blockerId, blockedId]
+  );
+  return result.rowCount > 0;
+}
+
+// Users the given user has blocked, with only their codename
+async function getBlockedUsers(blockerId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT u.id, u.codename, b.created_at
+     FROM blocks b
+     JOIN users u ON u.id = b.blocked_id
+     WHERE b.blocker_id = $1
+     ORDER BY u.codename`,
+    [blockerId]
+  );
+  return result.rows;
+}
+
+async function isBlockedEitherWay(userId, otherUserId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT 1 FROM blocks
+     WHERE (blocker_id = $1 AND blocked_id = $2)
+        OR (blocker_id = $2 AND blocked_id = $1)
+     LIMIT 1`,
+    [userId, otherUserId]
+  );
+  return result.rows.length > 0;
+}
+
+// Workspace operations
+// Create a workspace with its owner as the first member
+async function createWorkspace({ name, inviteCode, emailDomain, ownerId }) {
+  return getDatabase().transaction(async (tx) => {
+    const result = await tx.query(
+      `INSERT INTO workspaces (name, invite_code, email_domain, owner_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [name, inviteCode, emailDomain || null, ownerId]
+    );
+    const workspaceId = result.rows[0].id;
+    await tx.query(
+      "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')",
+      [workspaceId, ownerId]
+    );
+    return workspaceId;
+  });
+}
+
+async function getWorkspaceById(id) {
+  const database = getDatabase();
+  const result = await database.query('SELECT * FROM workspaces WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+async function getWorkspaceByInviteCode(inviteCode) {
+  const database = getDatabase();
+  const result = await database.query('SELECT * FROM workspaces WHERE invite_code = $1', [inviteCode]);
+  return result.rows[0];
+}
+
+// Workspaces a user belongs to, with their role and the number of members
+async function getWorkspacesForUser(userId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT w.*, m.role, m.joined_at,
+            (SELECT COUNT(*) FROM workspace_members c
+             WHERE c.workspace_id = w.id AND c.removed_at IS NULL) AS member_count
+     FROM workspace_members m
+     JOIN workspaces w ON w.id = m.workspace_id
+     WHERE m.user_id = $1 AND m.removed_at IS NULL
+     ORDER BY LOWER(w.name), w.id`,
+    [userId]
+  );
+  return result.rows.map(row => ({ ...row, member_count: parseInt(row.member_count, 10) }));
+}
+
+// Workspaces open to an email domain that a user could join: not already a
+// member, and not removed by the owner
+async function getJoinableWorkspaces(userId, emailDomain) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT w.* FROM workspaces w
+     WHERE w.email_domain = $2
+       AND NOT EXISTS (
+         SELECT 1 FROM workspace_members m WHERE m.workspace_id = w.id AND m.user_id = $1
+       )
+     ORDER BY LOWER(w.name), w.id`,
+    [userId, emailDomain]
+  );
+  return result.rows;
+}
+
+// A user's membership row, including one the owner removed them from
+async function getWorkspaceMembership(workspaceId, userId) {
+  const database = getDatabase();
+  const result = await database.query(
+    'SELECT * FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+    [workspaceId, userId]
+  );
+  return result.rows[0];
+}
+
+// Current members, owner first (codenames only, like the phonebook)
+async function getWorkspaceMembers(workspaceId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT u.id, u.codename, m.role, m.joined_at
+     FROM workspace_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.workspace_id = $1 AND m.removed_at IS NULL
+     ORDER BY CASE WHEN m.role = 'owner' THEN 0 ELSE 1 END, LOWER(u.codename)`,
+    [workspaceId]
+  );
+  return result.rows;
+}
+
+// Add a member, or let back in one the owner removed
+async function addWorkspaceMember(workspaceId, userId) {
+  const database = getDatabase();
+  await database.query(
+    `INSERT INTO workspace_members (workspace_id, user_id, role)
+     VALUES ($1, $2, 'member')
+     ON CONFLICT (workspace_id, user_id)
+     DO UPDATE SET removed_at = NULL, joined_at = CURRENT_TIMESTAMP`,
+    [workspaceId, userId]
+  );
+}
+
+// Put a new user in every workspace open to their email domain
+async function joinWorkspacesByEmailDomain(userId, emailDomain) {
+  const database = getDatabase();
+  await database.query(
+    `INSERT INTO workspace_members (workspace_id, user_id, role)
+     SELECT id, $1, 'member' FROM workspaces WHERE email_domain = $2
+     ON CONFLICT (workspace_id, user_id) DO NOTHING`,
+    [userId, emailDomain]
+  );
+}
+
+// Removed by the owner: the row stays so the email domain can't bring them back
+async function removeWorkspaceMember(workspaceId, userId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `UPDATE workspace_members SET removed_at = CURRENT_TIMESTAMP
+     WHERE workspace_id = $1 AND user_id = $2 AND removed_at IS NULL AND role != 'owner'`,
+    [workspaceId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+// Leaving of one's own accord - free to join again later
+async function leaveWorkspace(workspaceId, userId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `DELETE FROM workspace_members
+     WHERE workspace_id = $1 AND user_id = $2 AND removed_at IS NULL AND role != 'owner'`,
+    [workspaceId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+async function updateWorkspace(id, { name, emailDomain, inviteCode }) {
+  const database = getDatabase();
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (name !== undefined) {
+    updates.push(`name = $${paramCount++}`);
+    values.push(name);
+  }
+  if (emailDomain !== undefined) {
+    updates.push(`email_domain = $${paramCount++}`);
+    values.push(emailDomain);
+  }
+  if (inviteCode !== undefined) {
+    updates.push(`invite_code = $${paramCount++}`);
+    values.push(inviteCode);
+  }
+
+  if (updates.length === 0) return getWorkspaceById(id);
+
+  values.push(id);
+  const result = await database.query(
+    `UPDATE workspaces SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+    values
+  );
+  return result.rows[0];
+}
+
+// Whether two users are both members of some workspace
+async function sharesWorkspace(userId, otherUserId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT 1 FROM users u WHERE u.id = $2 AND ${sharesWorkspaceCondition()}`,
+    [userId, otherUserId]
+  );
+  return result.rows.length > 0;
+}
+
+// Everyone who shares a workspace with a user (not the user themselves)
+async function getWorkspaceMateIds(userId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT DISTINCT theirs.user_id
+     FROM workspace_members mine
+     JOIN workspace_members theirs ON theirs.workspace_id = mine.workspace_id
+     WHERE mine.user_id = $1 AND theirs.user_id != $1
+       AND mine.removed_at IS NULL AND theirs.removed_at IS NULL`,
+    [userId]
+  );
+  return result.rows.map(row => row.user_id);
+}
+
+// Invite link operations
+async function createInvite({ token, inviterId, workspaceId, maxUses, expiresAt }) {
+  const database = getDatabase();
+  const result = await database.query(
+    `INSERT INTO invites (token, inviter_id, workspace_id, max_uses, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [token, inviterId, workspaceId || null, maxUses || null, expiresAt]
+  );
+  return result.rows[0].id;
+}
+
+const INVITE_WITH_NAMES = `
+  SELECT i.*, u.codename AS inviter_codename, w.name AS workspace_name
+  FROM invites i
+  JOIN users u ON u.id = i.inviter_id
+  LEFT JOIN workspaces w ON w.id = i.workspace_id`;
+
+async function getInviteByToken(token) {
+  const database = getDatabase();
+  const result = await database.query(`${INVITE_WITH_NAMES} WHERE i.token = $1`, [token]);
+  return result.rows[0];
+}
+
+// A user's invite links, newest first
+async function getInvitesByInviter(inviterId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `${INVITE_WITH_NAMES} WHERE i.inviter_id = $1 ORDER BY i.created_at DESC, i.id DESC`,
+    [inviterId]
+  );
+  return result.rows;
+}
+
+// Who used each of some invites, keyed by invite id
+async function getInviteUsesForInvites(inviteIds) {
+  if (inviteIds.length === 0) return {};
+  const database = getDatabase();
+  const placeholders = inviteIds.map((_, i) => `$${i + 1}`).join(', ');
+  const result = await database.query(
+    `SELECT iu.invite_id, iu.user_id, iu.new_user, iu.used_at, u.codename
+     FROM invite_uses iu
+     JOIN users u ON u.id = iu.user_id
+     WHERE iu.invite_id IN (${placeholders})
+     ORDER BY iu.used_at, iu.id`,
+    inviteIds
+  );
+  const byInvite = {};
+  for (const row of result.rows) {
+    (byInvite[row.invite_id] = byInvite[row.invite_id] || []).push(row);
+  }
+  return byInvite;
+}
+
+async function revokeInvite(id, inviterId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `UPDATE invites SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND inviter_id = $2 AND revoked_at IS NULL`,
+    [id, inviterId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Record a use of an invite, if it's still usable: not revoked, not expired
+ * and not used up. Claiming the use and checking the limit is one UPDATE, so
+ * a single-use link can't be used twice by two people at once.
+ * @returns {Promise<string>} - 'redeemed', 'already-used' (by this user) or 'unusable'
+ */
+async function redeemInvite(inviteId, userId, { newUser, now = new Date() }) {
+  return getDatabase().transaction(async (tx) => {
+    const used = await tx.query(
+      'SELECT 1 FROM invite_uses WHERE invite_id = $1 AND user_id = $2',
+      [inviteId, userId]
+    );
+    if (used.rows.length > 0) return 'already-used';
+
+    const claimed = await tx.query(
+      `UPDATE invites SET use_count = use_count + 1
+       WHERE id = $1 AND revoked_at IS NULL AND expires_at > $2
+         AND (max_uses IS NULL OR use_count < max_uses)`,
+      [inviteId, now]
+    );
+    if (claimed.rowCount === 0) return 'unusable';
+
+    await tx.query(
+      'INSERT INTO invite_uses (invite_id, user_id, new_user) VALUES ($1, $2, $3)',
+      [inviteId, userId, Boolean(newUser)]
+    );
+    return 'redeemed';
+  });
+}
+
+// Contact operations
+// A user's contacts with what the phonebook needs about each (never their name
+// or number), favorites first, then by nickname or codename. Anyone blocked
+// either way, or no longer in a workspace with the owner, is left out.
+async function getContacts(ownerId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT u.id, u.codename, u.answer_in_app, u.ring_mode, u.ring_steps, u.time_zone, u.dnd_enabled, u.dnd_until,
+            c.nickname, c.notes, c.favorite, c.created_at AS contact_added_at
+     FROM contacts c
+     JOIN users u ON u.id = c.contact_id
+     WHERE c.owner_id = $1
+       AND NOT EXISTS (
+         SELECT 1 FROM blocks b
+         WHERE (b.blocker_id = $1 AND b.blocked_id = u.id)
+            OR (b.blocker_id = u.id AND b.blocked_id = $1)
+       )
+       AND ${sharesWorkspaceCondition()}
+     ORDER BY c.favorite DESC, LOWER(COALESCE(c.nickname, u.codename))`,
+    [ownerId]
+  );
+  return result.rows;
+}
+
+// Adding someone already in the list leaves their entry as it is
+async function addContact(ownerId, contactId, { nickname, notes, favorite }) {
+  const database = getDatabase();
+  await database.query(
+    `INSERT INTO contacts (owner_id, contact_id, nickname, notes, favorite)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (owner_id, contact_id) DO NOTHING`,
+    [ownerId, contactId, nickname || null, notes || null, Boolean(favorite)]
+  );
+}
+
+async function updateContact(ownerId, contactId, { nickname, notes, favorite }) {
+  const database = getDatabase();
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (nickname !== undefined) {
+    updates.push(`nickname = $${paramCount++}`);
+    values.push(nickname);
+  }
+  if (notes !== undefined) {
+    updates.push(`notes = $${paramCount++}`);
+    values.push(notes);
+  }
+  if (favorite !== undefined) {
+    updates.push(`favorite = $${paramCount++}`);
+    values.push(favorite);
+  }
+
+  if (updates.length === 0) return null;
+
+  values.push(ownerId, contactId);
+  const result = await database.query(
+    `UPDATE contacts SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE owner_id = $${paramCount} AND contact_id = $${paramCount + 1}
+     RETURNING *`,
+    values
+  );
+  return result.rows[0];
+}
+
+async function deleteContact(ownerId, contactId) {
+  const database = getDatabase();
+  const result = await database.query(
+    'DELETE FROM contacts WHERE owner_id = $1 AND contact_id = $2',
+    [ownerId, contactId]
+  );
+  return result.rowCount > 0;
+}
+
+// Message operations
+// The conversation between two users, created the first time either writes
+// (user_a_id is always the lower id, so each pair has exactly one)
+async function getOrCreateConversation(userId, otherUserId) {
+  const database = getDatabase();
+  const [userA, userB] = userId < otherUserId ? [userId, otherUserId] : [otherUserId, userId];
+  await database.query(
+    `INSERT INTO conversations (user_a_id, user_b_id)
+     VALUES ($1, $2)
+     ON CONFLICT (user_a_id, user_b_id) DO NOTHING`,
+    [userA, userB]
+  );
+  const result = await database.query(
+    'SELECT * FROM conversations WHERE user_a_id = $1 AND user_b_id = $2',
+    [userA, userB]
+  );
+  return result.rows[0];
+}
+
+async function getConversationBetween(userId, otherUserId) {
+  const database = getDatabase();
+  const [userA, userB] = userId < otherUserId ? [userId, otherUserId] : [otherUserId, userId];
+  const result = await database.query(
+    'SELECT * FROM conversations WHERE user_a_id = $1 AND user_b_id = $2',
+    [userA, userB]
+  );
+  return result.rows[0];
+}
+
+async function getConversationById(id) {
+  const database = getDatabase();
+  const result = await database.query('SELECT * FROM conversations WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+// A user's conversations, most recent first, with the other person's codename,
+// the latest message and how many of theirs the user hasn't read. Like
+// contacts, anyone blocked either way or no longer in a workspace with the
+// user is left out.
+async function getConversationsForUser(userId) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT c.id, c.last_message_at, u.id AS other_user_id, u.codename AS other_codename,
+            m.body AS last_body, m.sender_id AS last_sender_id, m.created_at AS last_sent_at,
+            (SELECT COUNT(*) FROM messages um
+             WHERE um.conversation_id = c.id AND um.sender_id != $1
+               AND um.id > COALESCE(
+                 (SELECT r.last_read_message_id FROM conversation_reads r
+                  WHERE r.conversation_id = c.id AND r.user_id = $1), 0)) AS unread_count
+     FROM conversations c
+     JOIN users u ON u.id = CASE WHEN c.user_a_id = $1 THEN c.user_b_id ELSE c.user_a_id END
+     JOIN messages m ON m.id = (SELECT MAX(id) FROM messages WHERE conversation_id = c.id)
+     WHERE (c.user_a_id = $1 OR c.user_b_id = $1)
+       AND NOT EXISTS (
+         SELECT 1 FROM blocks b
+         WHERE (b.blocker_id = $1 AND b.blocked_id = u.id)
+            OR (b.blocker_id = u.id AND b.blocked_id = $1)
+       )
+       AND ${sharesWorkspaceCondition()}
+     ORDER BY c.last_message_at DESC, c.id DESC`,
+    [userId]
+  );
+  return result.rows.map(row => ({ ...row, unread_count: parseInt(row.unread_count, 10) }));
+}
+
+// Mark a conversation read up to a message (never moves back), or up to its
+// latest message when none is given. The mark is never set past the
+// conversation's latest message, or later ones would arrive already read.
+async function markConversationRead(conversationId, userId, upToMessageId = null) {
+  const database = getDatabase();
+  const upTo = upToMessageId === null
+    ? '(SELECT COALESCE(MAX(id), 0) FROM messages WHERE conversation_id = $1)'
+    : '(SELECT COALESCE(MAX(id), 0) FROM messages WHERE conversation_id = $1 AND id <= $3)';
+  await database.query(
+    `INSERT INTO conversation_reads (conversation_id, user_id, last_read_message_id)
+     VALUES ($1, $2, ${upTo})
+     ON CONFLICT (conversation_id, user_id) DO UPDATE SET
+       last_read_message_id = CASE
+         WHEN excluded.last_read_message_id > conversation_reads.last_read_message_id
+         THEN excluded.last_read_message_id
+         ELSE conversation_reads.last_read_message_id
+       END,
+       read_at = CURRENT_TIMESTAMP`,
+    upToMessageId === null ? [conversationId, userId] : [conversationId, userId, upToMessageId]
+  );
+}
+
+async function isMessageInConversation(conversationId, messageId) {
+  const database = getDatabase();
+  const result = await database.query(
+    'SELECT 1 FROM messages WHERE id = $1 AND conversation_id = $2',
+    [messageId, conversationId]
+  );
+  return result.rows.length > 0;
+}
+
+// Store a message and move its conversation to the top
+async function createMessage({ conversationId, senderId, body, sentVia }) {
+  return getDatabase().transaction(async (tx) => {
+    const result = await tx.query(
+      `INSERT INTO messages (conversation_id, sender_id, body, sent_via)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [conversationId, senderId, body, sentVia]
+    );
+    await tx.query(
+      'UPDATE conversations SET last_message_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [conversationId]
+    );
+    return result.rows[0];
+  });
+}
+
+// Record a text a message came in as ('in') or was relayed as ('out')
+async function addMessageSms(messageId, { phoneId, direction, smsSid }) {
+  const database = getDatabase();
+  await database.query(
+    `INSERT INTO message_sms (message_id, phone_id, direction, sms_sid)
+     VALUES ($1, $2, $3, $4)`,
+    [messageId, phoneId, direction, smsSid || null]
+  );
+}
+
+// Messages in a conversation, newest first; pass before (a message id) for
+// older ones. relayed: it was also sent on to the recipient by text.
+async function getMessages(conversationId, { before, limit }) {
+  const database = getDatabase();
+  const values = [conversationId];
+  let olderThan = '';
+  if (before) {
+    values.push(before);
+    olderThan = 'AND m.id < $2';
+  }
+  values.push(limit);
+  const result = await database.query(
+    `SELECT m.*,
+            EXISTS (SELECT 1 FROM message_sms s WHERE s.message_id = m.id AND s.direction = 'out') AS relayed
+     FROM messages m
+     WHERE m.conversation_id = $1 ${olderThan}
+     ORDER BY m.id DESC
+     LIMIT $${values.length}`,
+    values
+  );
+  return result.rows;
+}
+
+// The latest text through a verified number, either way - the conversation a
+// text from that number continues, and whose number it is
+async function getLastMessageSms(phoneNumber) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT m.conversation_id, p.user_id, p.id AS phone_id
+     FROM message_sms s
+     JOIN messages m ON m.id = s.message_id
+     JOIN user_phones p ON p.id = s.phone_id
+     WHERE p.phone_number = $1 AND p.verified_at IS NOT NULL
+     ORDER BY s.id DESC
+     LIMIT 1`,
+    [phoneNumber]
+  );
+  return result.rows[0];
+}
+
+// Verified user_phones rows with a number (usually just one)
+async function getVerifiedPhonesByNumber(phoneNumber) {
+  const database = getDatabase();
+  const result = await database.query(
+    'SELECT * FROM user_phones WHERE phone_number = $1 AND verified_at IS NOT NULL',
+    [phoneNumber]
+  );
+  return result.rows;
+}
+
+// Usage and cost operations
+// Legs a user paid for in [from, to): totals plus cost per currency
+async function getBilledUsage(userId, from, to) {
+  const database = getDatabase();
+  const totals = await database.query(
+    `SELECT COUNT(DISTINCT call_log_id) AS calls,
+            COUNT(*) AS legs,
+            COALESCE(SUM(duration_seconds), 0) AS duration_seconds
+     FROM call_legs
+     WHERE billed_to = $1 AND created_at >= $2 AND created_at < $3`,
+    [userId, from, to]
+  );
+  const costs = await database.query(
+    `SELECT price_unit, SUM(price) AS cost
+     FROM call_legs
+     WHERE billed_to = $1 AND created_at >= $2 AND created_at < $3 AND price IS NOT NULL
+     GROUP BY price_unit`,
+    [userId, from, to]
+  );
+  return { ...totals.rows[0], costs: costs.rows };
+}
+
+async function updateUserSpendingCap(id, monthlySpendCap) {
+  const database = getDatabase();
+  const result = await database.query(
+    `UPDATE users SET monthly_spend_cap = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    [monthlySpendCap, id]
+  );
+  return result.rows[0];
+}
+
+// Phone verification operations
+async function createPhoneVerification({ userId, phoneNumber, channel, codeHash, expiresAt }) {
+  const database = getDatabase();
+  const result = await database.query(
+    `INSERT INTO phone_verifications (user_id, phone_number, channel, code_hash, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [userId, phoneNumber, channel, codeHash, expiresAt]
+  );
+  return result.rows[0];
+}
+
+// The most recent code sent to one of a user's numbers (only that one can be redeemed)
+async function getLatestPhoneVerification(userId, phoneNumber) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT * FROM phone_verifications
+     WHERE user_id = $1 AND phone_number = $2
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [userId, phoneNumber]
+  );
+  return result.rows[0];
+}
+
+// How many codes a user was sent since a time, and when the oldest of those was
+async function countPhoneVerificationsSince(userId, since) {
+  const database = getDatabase();
+  const result = await database.query(
+    `SELECT COUNT(*) AS count, MIN(created_at) AS oldest FROM phone_verifications
+     WHERE user_id = $1 AND created_at > $2`,
+    [userId, since]
+  );
+  return {
+    count: parseInt(result.rows[0].count, 10),
+    oldest: result.rows[0].oldest
+  };
+}
+
+// Count a wrong guess, returning the new total
+async function incrementPhoneVerificationAttempts(id) {
+  const database = getDatabase();
+  const result = await database.query(
+    `UPDATE phone_verifications SET attempts = attempts + 1
+     WHERE id = $1
+     RETURNING attempts`,
+    [id]
+  );
+  return result.rows[0].attempts;
+}
+
+// Redeem a code and mark the phone it was sent to as verified, unless its
+// number has changed since (returns the user_phones row, or null then)
+async function completePhoneVerification(verificationId, phoneId, phoneNumber) {
+  return getDatabase().transaction(async (tx) => {
+    await tx.query(
+      'UPDATE phone_verifications SET verified_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [verificationId]
+    );
+    const result = await tx.query(
+      `UPDATE user_phones SET verified_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND phone_number = $2
+       RETURNING *`,
+      [phoneId, phoneNumber]
+    );
+    return result.rows[0] || null;
+  });
+}
+
+// Call quota operations
+// These take the connection to use, so quotas can be checked and recorded
+// inside withCallUsageLock()
+
+// Overrides that apply to a user: their own row and their role's row
+async function getCallQuotaOverrides(userId, role, database = getDatabase()) {
+  const result = await database.query(
+    'SELECT * FROM call_quotas WHERE user_id = $1 OR role = $2',
+    [userId, role]
+  );
+  return {
+    user: result.rows.find(row => row.user_id === userId) || null,
+    role: result.rows.find(row => row.role === role) || null
+  };
+}
+
+// How many people a user dialed since a time, and when the oldest of those was
+async function countCallUsage(userId, since, database = getDatabase()) {
+  const result = await database.query(
+    `SELECT COUNT(*) AS count, MIN(created_at) AS oldest FROM call_quota_usage
+     WHERE user_id = $1 AND created_at > $2`,
+    [userId, since]
+  );
+  return {
+    count: parseInt(result.rows[0].count, 10),
+    oldest: result.rows[0].oldest
+  };
+}
+
+// Same, per callee, keyed by callee id
+async function countCallUsageByCallee(userId, calleeIds, since, database = getDatabase()) {
+  if (calleeIds.length === 0) return {};
+
+  const placeholders = calleeIds.map((_, i) => `$${i + 3}`);
+  const result = await database.query(
+    `SELECT callee_id, COUNT(*) AS count, MIN(created_at) AS oldest FROM call_quota_usage
+     WHERE user_id = $1 AND created_at > $2 AND callee_id IN (${placeholders.join(', ')})
+     GROUP BY callee_id`,
+    [userId, since, ...calleeIds]
+  );
+
+  const byCallee = {};
+  for (const row of result.rows) {
+    byCallee[row.callee_id] = { count: parseInt(row.count, 10), oldest: row.oldest };
+  }
+  return byCallee;
+}
+
+// Count dialing each callee against the user's quotas (the call log can be
+// filled in later with setCallUsageCallLog); returns the new rows' ids
+async function recordCallUsage(userId, calleeIds, callLogId = null, database = getDatabase()) {
+  const ids = [];
+  for (const calleeId of calleeIds) {
+    const result = await database.query(
+      'INSERT INTO call_quota_usage (user_id, callee_id, call_log_id) VALUES ($1, $2, $3) RETURNING id',
+      [userId, calleeId, callLogId]
+    );
+    ids.push(result.rows[0].id);
+  }
+  return ids;
+}
+
+async function setCallUsageCallLog(usageIds, callLogId) {
+  if (usageIds.length === 0) return;
+
+  const database = getDatabase();
+  const placeholders = usageIds.map((_, i) => `$${i + 2}`);
+  await database.query(
+    `UPDATE call_quota_usage SET call_log_id = $1 WHERE id IN (${placeholders.join(', ')})`,
+    [callLogId, ...usageIds]
+  );
+}
+
+/**
+ * Run fn(tx) in a transaction that no other withCallUsageLock() for the same
+ * user runs alongside, so usage counted in it can't change before it's
+ * recorded. Postgres locks the user's row until commit; SQLite only ever runs
+ * one transaction at a time.
+ */
+async function withCallUsageLock(userId, fn) {
+  return getDatabase().transaction(async (tx) => {
+    if (tx.dialect === 'postgres') {
+      await tx.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    }
+    return fn(tx);
+  });
 }
 
-function getCallLogById(id) {
+// Ids of everyone the user has blocked or been blocked by
+async function getBlockedUserIdsEitherWay(userId) {
   const database = getDatabase();
-  const stmt = database.prepare('SELECT * FROM call_logs WHERE id = ?');
-  return stmt.get(id);
+  const result = await database.query(
+    `SELECT blocked_id AS user_id FROM blocks WHERE blocker_id = $1
+     UNION
+     SELECT blocker_id AS user_id FROM blocks WHERE blocked_id = $1`,
+    [userId]
+  );
+  return result.rows.map(row => row.user_id);
 }
 
 module.exports = {
   getDatabase,
-  initializeDatabase,
+  closeDatabase,
   createUser,
   getUserByGoogleId,
   getUserById,
   getUserByEmail,
   getUserByCodename,
-  getAllUsersExcept,
+  PHONEBOOK_SORTS,
+  getPhonebookPage,
+  createWorkspace,
+  getWorkspaceById,
+  getWorkspaceByInviteCode,
+  getWorkspacesForUser,
+  getJoinableWorkspaces,
+  getWorkspaceMembership,
+  getWorkspaceMembers,
+  addWorkspaceMember,
+  joinWorkspacesByEmailDomain,
+  removeWorkspaceMember,
+  leaveWorkspace,
+  updateWorkspace,
+  sharesWorkspace,
+  getWorkspaceMateIds,
+  createInvite,
+  getInviteByToken,
+  getInvitesByInviter,
+  getInviteUsesForInvites,
+  revokeInvite,
+  redeemInvite,
   updateUser,
+  updateUserEmailVerified,
+  updateUserAnswerInApp,
+  updateUserRingSequence,
+  updateUserAvailabilitySettings,
   isCodenameAvailable,
+  getAvailabilityWindows,
+  getAvailabilityWindowsForUsers,
+  setAvailabilityWindows,
+  getUserPhones,
+  getUserPhonesForUsers,
+  getUserPhone,
+  addUserPhone,
+  updateUserPhoneLabel,
+  setPrimaryUserPhone,
+  setUserPhoneWindows,
+  deleteUserPhone,
   createCallLog,
   updateCallLog,
-  getCallLogById
+  getCallLogById,
+  getCallHistory,
+  getUserIdsInActiveCalls,
+  addCallParticipant,
+  getCallParticipants,
+  getCallParticipant,
+  markCallParticipantLeft,
+  createCallLeg,
+  updateCallLeg,
+  getCallLegById,
+  getCallLegsByCallLogId,
+  createVoicemail,
+  getVoicemailsForUser,
+  getVoicemailById,
+  updateVoicemailHeard,
+  deleteVoicemail,
+  createBlock,
+  deleteBlock,
+  getBlockedUsers,
+  getBlockedUserIdsEitherWay,
+  isBlockedEitherWay,
+  getContacts,
+  addContact,
+  updateContact,
+  deleteContact,
+  getOrCreateConversation,
+  getConversationBetween,
+  getConversationById,
+  getConversationsForUser,
+  markConversationRead,
+  isMessageInConversation,
+  createMessage,
+  addMessageSms,
+  getMessages,
+  getLastMessageSms,
+  getVerifiedPhonesByNumber,
+  getBilledUsage,
+  updateUserSpendingCap,
+  createPhoneVerification,
+  getLatestPhoneVerification,
+  countPhoneVerificationsSince,
+  incrementPhoneVerificationAttempts,
+  completePhoneVerification,
+  getCallQuotaOverrides,
+  countCallUsage,
+  countCallUsageByCallee,
+  recordCallUsage,
+  setCallUsageCallLog,
+  withCallUsageLock
 };
@@ -0,0 +1,67 @@
+const pg = require('pg');
+
+// TIMESTAMP columns (no time zone) hold UTC, as on SQLite: sessions run in
+// UTC so CURRENT_TIMESTAMP defaults are written in it, JS Dates are sent in
+// it, and values are read back as UTC rather than the Node process's local
+// time. Otherwise "10:10Z" would be stored as 10:10 and read back as 10:10
+// in Berlin, and compared against CURRENT_TIMESTAMP rows in yet another zone.
+pg.defaults.parseInputDatesAsUTC = true;
+pg.types.setTypeParser(pg.types.builtins.TIMESTAMP, value => (
+  value === 'infinity' || value === '-infinity' ? value : new Date(`${value.replace(' ', 'T')}Z`)
+));
+
+/**
+ * Postgres driver for the repository in db/database.js
+ * @param {string} connectionString - postgres:// URL
+ * @returns {object} - { dialect, query, transaction, addColumnIfMissing, close }
+ */
+function createPostgresDriver(connectionString) {
+  const pool = new pg.Pool({
+    connectionString,
+    options: '-c TimeZone=UTC',
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  // Query helpers bound to the pool, or to one client inside a transaction
+  function bind(connection) {
+    return {
+      dialect: 'postgres',
+
+      query(sql, params = []) {
+        return connection.query(sql, params);
+      },
+
+      async addColumnIfMissing(table, column, definition) {
+        await connection.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+      }
+    };
+  }
+
+  return {
+    ...bind(pool),
+
+    // Run fn with query helpers bound to one connection inside BEGIN/COMMIT
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn(bind(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    close() {
+      return pool.end();
+    }
+  };
+}
+
+module.exports = {
+  createPostgresDriver
+};
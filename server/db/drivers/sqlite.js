@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+// Timestamps are stored as ISO 8601 text so they sort and compare like the
+// ISO strings the app passes in
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+/**
+ * Rewrite the repository's Postgres-flavoured SQL for SQLite:
+ * $1 placeholders become named parameters (so they can repeat), SERIAL keys
+ * become AUTOINCREMENT and CURRENT_TIMESTAMP becomes an ISO timestamp
+ */
+function translate(sql) {
+  return sql
+    .replace(/\$(\d+)/g, '@p$1')
+    .replace(/\bSERIAL PRIMARY KEY\b/g, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\bCURRENT_TIMESTAMP\b/g, NOW);
+}
+
+function toParam(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+function bindParams(params) {
+  const bound = {};
+  params.forEach((value, i) => {
+    bound[`p${i + 1}`] = toParam(value);
+  });
+  return bound;
+}
+
+// Rows written before timestamps were ISO ("2024-01-31 12:00:00") are UTC too
+function toDate(value) {
+  if (typeof value !== 'string') return value;
+  return new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+// Give rows the same JS types pg returns for BOOLEAN and TIMESTAMP columns
+function convertRows(statement, rows) {
+  const conversions = statement.columns()
+    .map(column => {
+      const type = (column.type || '').toUpperCase();
+      if (type === 'BOOLEAN') return [column.name, value => (value === null ? null : Boolean(value))];
+      if (type.startsWith('TIMESTAMP') || type === 'DATETIME') return [column.name, value => (value === null ? null : toDate(value))];
+      return null;
+    })
+    .filter(Boolean);
+
+  if (conversions.length === 0) return rows;
+  for (const row of rows) {
+    for (const [name, convert] of conversions) {
+      if (name in row) row[name] = convert(row[name]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * SQLite driver for the repository in db/database.js (a single file, or
+ * ":memory:"). better-sqlite3 is synchronous, so every query finishes before
+ * any other request's code runs. Transactions are another matter: there is
+ * one connection, so while one is open (and its fn is awaiting) every other
+ * query and transaction waits for it to finish rather than joining it
+ *
+ * @param {string} filename - Database file path or ":memory:"
+ * @returns {object} - { dialect, query, transaction, addColumnIfMissing, close }
+ */
+function createSqliteDriver(filename) {
+  // Optional dependency - only needed when DATABASE_URL points at SQLite
+  const Database = require('better-sqlite3');
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  const statements = new Map();
+  function prepare(sql) {
+    let statement = statements.get(sql);
+    if (!statement) {
+      statement = db.prepare(translate(sql));
+      statements.set(sql, statement);
+    }
+    return statement;
+  }
+
+  // Settles when the open transaction commits or rolls back (null when none is open)
+  let openTransaction = null;
+
+  function run(sql, params = []) {
+    const statement = prepare(sql);
+    const bound = bindParams(params);
+
+    if (statement.reader) {
+      const rows = convertRows(statement, statement.all(bound));
+      return { rows, rowCount: rows.length };
+    }
+
+    const info = statement.run(bound);
+    return { rows: [], rowCount: info.changes };
+  }
+
+  // Queries inside a transaction, which already holds the connection
+  async function queryInTransaction(sql, params) {
+    return run(sql, params);
+  }
+
+  async function query(sql, params) {
+    while (openTransaction) await openTransaction;
+    return run(sql, params);
+  }
+
+  async function addColumnIfMissing(table, column, definition) {
+    const columns = db.pragma(`table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+      db.exec(translate(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`));
+    }
+  }
+
+  const transactionHelpers = { dialect: 'sqlite', query: queryInTransaction, addColumnIfMissing };
+
+  return {
+    dialect: 'sqlite',
+    query,
+    addColumnIfMissing,
+
+    // One transaction at a time on the one connection: wait for the open one,
+    // then claim it in the same tick so no other waiter slips in between. fn
+    // must use the helpers it's given - the driver's own query() would wait
+    // for this very transaction.
+    async transaction(fn) {
+      while (openTransaction) await openTransaction;
+
+      let finish;
+      openTransaction = new Promise(resolve => { finish = resolve; });
+      db.exec('BEGIN');
+      try {
+        const result = await fn(transactionHelpers);
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      } finally {
+        openTransaction = null;
+        finish();
+      }
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteDriver
+};
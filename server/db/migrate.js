@@ -0,0 +1,223 @@
+// Schema migrations - numbered scripts in db/migrations (NNN_description.js),
+// each exporting async up(db) and down(db). Applied versions are recorded in
+// schema_migrations; every migration runs in its own transaction.
+//
+//   npm run migrate                 apply all pending migrations
+//   npm run migrate:rollback [n]    undo the last n migrations (default 1)
+//   npm run migrate:status          list applied and pending migrations
+//   npm run migrate:create <name>   start a new migration file
+const fs = require('fs');
+const path = require('path');
+const { getDatabase, closeDatabase } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+const TEMPLATE = `async function up(db) {
+  await db.query(\`\`);
+}
+
+async function down(db) {
+  await db.query(\`\`);
+}
+
+module.exports = { up, down };
+`;
+
+/**
+ * Migration files on disk, oldest first
+ * @returns {Array<object>} - { version, name, file }
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = MIGRATION_FILE.exec(file);
+      return match ? { version: parseInt(match[1], 10), name: match[2], file } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations share version ${migrations[i].version}: ${migrations[i - 1].file} and ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+function requireMigration(migration) {
+  return require(path.join(MIGRATIONS_DIR, migration.file));
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  const result = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+/**
+ * Every known migration with whether it has been applied
+ * @returns {Promise<object>} - { migrations: [{ version, name, appliedAt }], missing }
+ *   where missing lists applied versions whose file no longer exists
+ */
+async function getMigrationStatus() {
+  const db = getDatabase();
+  const applied = await getAppliedMigrations(db);
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const migrations = loadMigrations();
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    migrations: migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: appliedByVersion.has(m.version) ? appliedByVersion.get(m.version).applied_at : null
+    })),
+    missing: applied.filter(row => !known.has(row.version))
+  };
+}
+
+/**
+ * Migrations that still have to be applied
+ * @returns {Promise<Array<object>>} - { version, name, file }
+ */
+async function getPendingMigrations() {
+  const applied = new Set((await getAppliedMigrations(getDatabase())).map(row => row.version));
+  return loadMigrations().filter(m => !applied.has(m.version));
+}
+
+/**
+ * Apply all pending migrations, oldest first; stops at the first failure
+ * @returns {Promise<Array<object>>} - migrations applied
+ */
+async function migrate() {
+  const db = getDatabase();
+  const pending = await getPendingMigrations();
+
+  for (const migration of pending) {
+    const { up } = requireMigration(migration);
+    await db.transaction(async (tx) => {
+      await up(tx);
+      await tx.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    });
+    console.log(`Applied migration ${migration.file}`);
+  }
+  return pending;
+}
+
+/**
+ * Undo the most recently applied migrations, newest first
+ * @param {number} [steps] - How many to undo (default 1)
+ * @returns {Promise<Array<object>>} - migrations rolled back
+ */
+async function rollback(steps = 1) {
+  const db = getDatabase();
+  const applied = await getAppliedMigrations(db);
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const targets = applied.slice(-steps).reverse();
+
+  for (const row of targets) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Migration ${row.version}_${row.name} has no file to roll back with`);
+    }
+
+    const { down } = requireMigration(migration);
+    await db.transaction(async (tx) => {
+      await down(tx);
+      await tx.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    });
+    console.log(`Rolled back migration ${migration.file}`);
+  }
+  return targets;
+}
+
+/**
+ * Write an empty migration numbered after the newest one
+ * @param {string} description - e.g. "add user phones"
+ * @returns {string} - path of the new file
+ */
+function createMigration(description) {
+  const name = String(description || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!name) {
+    throw new Error('Give the migration a name, e.g. npm run migrate:create -- add_user_phones');
+  }
+
+  const migrations = loadMigrations();
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = path.join(MIGRATIONS_DIR, `${String(version).padStart(3, '0')}_${name}.js`);
+  fs.writeFileSync(file, TEMPLATE);
+  return file;
+}
+
+async function printStatus() {
+  const { migrations, missing } = await getMigrationStatus();
+  for (const m of migrations) {
+    const state = m.appliedAt ? `applied ${new Date(m.appliedAt).toISOString()}` : 'pending';
+    console.log(`${String(m.version).padStart(3, '0')}_${m.name}  ${state}`);
+  }
+  for (const row of missing) {
+    console.log(`${String(row.version).padStart(3, '0')}_${row.name}  applied, but its file is missing`);
+  }
+  const pending = migrations.filter(m => !m.appliedAt).length;
+  console.log(pending === 0 ? 'Schema is up to date' : `${pending} migration(s) pending`);
+}
+
+async function main([command = 'up', arg]) {
+  switch (command) {
+    case 'up': {
+      const applied = await migrate();
+      if (applied.length === 0) console.log('No pending migrations');
+      break;
+    }
+    case 'down': {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Rollback steps must be a positive number');
+      }
+      const rolledBack = await rollback(steps);
+      if (rolledBack.length === 0) console.log('Nothing to roll back');
+      break;
+    }
+    case 'status':
+      await printStatus();
+      break;
+    case 'create':
+      console.log(`Created ${path.relative(process.cwd(), createMigration(arg))}`);
+      break;
+    default:
+      throw new Error(`Unknown command "${command}" (expected up, down, status or create)`);
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  main(process.argv.slice(2))
+    .then(() => closeDatabase())
+    .catch(error => {
+      console.error('Migration error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrate,
+  rollback,
+  createMigration
+};
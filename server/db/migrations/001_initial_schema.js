@@ -0,0 +1,236 @@
+// Baseline - the schema as it stood when migrations were introduced. It uses
+// IF NOT EXISTS (and addColumnIfMissing) so databases created before then,
+// at whatever point in that history, are brought up to date and adopted.
+// Later migrations don't need to be defensive like this.
+
+async function up(db) {
+  // Create users table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      google_id TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      first_name TEXT NOT NULL,
+      last_name TEXT NOT NULL,
+      phone_number TEXT NOT NULL,
+      codename TEXT UNIQUE NOT NULL,
+      answer_in_app BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Add answer_in_app column if it doesn't exist (for existing databases)
+  await db.addColumnIfMissing('users', 'answer_in_app', 'BOOLEAN DEFAULT true');
+
+  // Availability settings: schedule time zone and manual do-not-disturb
+  await db.addColumnIfMissing('users', 'time_zone', "TEXT DEFAULT 'UTC'");
+  await db.addColumnIfMissing('users', 'dnd_enabled', 'BOOLEAN DEFAULT false');
+  await db.addColumnIfMissing('users', 'dnd_until', 'TIMESTAMP');
+
+  // Create call_logs table for tracking calls
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS call_logs (
+      id SERIAL PRIMARY KEY,
+      caller_id INTEGER NOT NULL,
+      callee_id INTEGER NOT NULL,
+      twilio_conference_sid TEXT,
+      status TEXT DEFAULT 'initiated',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ended_at TIMESTAMP,
+      FOREIGN KEY (caller_id) REFERENCES users(id),
+      FOREIGN KEY (callee_id) REFERENCES users(id)
+    )
+  `);
+
+  // Record who hung up or cancelled a call, if it was ended from the app
+  await db.addColumnIfMissing('call_logs', 'ended_by', 'INTEGER REFERENCES users(id)');
+
+  // What a phone callee chose at the consent prompt (accepted/declined/blocked/no-response)
+  await db.addColumnIfMissing('call_logs', 'callee_decision', 'TEXT');
+
+  // Create call_legs table - one row per dialed endpoint so each party's
+  // Twilio call can be tracked (and torn down) independently
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS call_legs (
+      id SERIAL PRIMARY KEY,
+      call_log_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      endpoint_type TEXT NOT NULL,
+      twilio_call_sid TEXT UNIQUE,
+      status TEXT DEFAULT 'queued',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ringing_at TIMESTAMP,
+      answered_at TIMESTAMP,
+      ended_at TIMESTAMP,
+      FOREIGN KEY (call_log_id) REFERENCES call_logs(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_call_legs_call_log_id ON call_legs(call_log_id)
+  `);
+
+  // Set when a leg was sent to other TwiML (e.g. voicemail) instead of being torn down
+  await db.addColumnIfMissing('call_legs', 'redirected_to', 'TEXT');
+
+  // What this leg's phone callee chose at the consent prompt (per leg, for group calls)
+  await db.addColumnIfMissing('call_legs', 'callee_decision', 'TEXT');
+
+  // Create call_participants table - everyone on a call (two for a one-to-one
+  // call, more for a group call), who added them, and when they left
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS call_participants (
+      id SERIAL PRIMARY KEY,
+      call_log_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      added_by INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      left_at TIMESTAMP,
+      UNIQUE (call_log_id, user_id),
+      FOREIGN KEY (call_log_id) REFERENCES call_logs(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (added_by) REFERENCES users(id)
+    )
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_call_participants_user_id ON call_participants(user_id)
+  `);
+
+  // Calls from before participants were tracked: the caller and the callee
+  await db.query(`
+    INSERT INTO call_participants (call_log_id, user_id, role, created_at)
+    SELECT id, caller_id, 'caller', created_at FROM call_logs
+    UNION ALL
+    SELECT id, callee_id, 'callee', created_at FROM call_logs WHERE true
+    ON CONFLICT (call_log_id, user_id) DO NOTHING
+  `);
+
+  // Create voicemails table - messages left when the callee didn't pick up
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS voicemails (
+      id SERIAL PRIMARY KEY,
+      call_log_id INTEGER NOT NULL,
+      sender_id INTEGER NOT NULL,
+      recipient_id INTEGER NOT NULL,
+      twilio_recording_sid TEXT UNIQUE NOT NULL,
+      recording_url TEXT NOT NULL,
+      duration_seconds INTEGER,
+      heard BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (call_log_id) REFERENCES call_logs(id) ON DELETE CASCADE,
+      FOREIGN KEY (sender_id) REFERENCES users(id),
+      FOREIGN KEY (recipient_id) REFERENCES users(id)
+    )
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_voicemails_recipient_id ON voicemails(recipient_id)
+  `);
+
+  // Create blocks table - blocker never wants to be called by blocked
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS blocks (
+      id SERIAL PRIMARY KEY,
+      blocker_id INTEGER NOT NULL,
+      blocked_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (blocker_id, blocked_id),
+      FOREIGN KEY (blocker_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (blocked_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create availability_windows table - weekly hours a user can be rung,
+  // in minutes since local midnight of day_of_week (0 = Sunday)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS availability_windows (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      day_of_week INTEGER NOT NULL,
+      start_minute INTEGER NOT NULL,
+      end_minute INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_availability_windows_user_id ON availability_windows(user_id)
+  `);
+
+  // What each leg cost: Twilio's billed duration and price, who pays for it
+  // (whoever caused it to be dialed) and whether a person or machine answered
+  await db.addColumnIfMissing('call_legs', 'billed_to', 'INTEGER REFERENCES users(id)');
+  await db.addColumnIfMissing('call_legs', 'duration_seconds', 'INTEGER');
+  await db.addColumnIfMissing('call_legs', 'price', 'NUMERIC(10, 4)');
+  await db.addColumnIfMissing('call_legs', 'price_unit', 'TEXT');
+  await db.addColumnIfMissing('call_legs', 'answered_by', 'TEXT');
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_call_legs_billed_to ON call_legs(billed_to, created_at)
+  `);
+
+  // Optional monthly spending cap (in the Twilio account currency); NULL means no cap
+  await db.addColumnIfMissing('users', 'monthly_spend_cap', 'NUMERIC(10, 2)');
+
+  // Role used to pick call quotas (see call_quotas)
+  await db.addColumnIfMissing('users', 'role', "TEXT DEFAULT 'user'");
+
+  // Create call_quotas table - call limit overrides for a role or a single
+  // user (a NULL limit falls back to the role's, then the default)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS call_quotas (
+      id SERIAL PRIMARY KEY,
+      role TEXT UNIQUE,
+      user_id INTEGER UNIQUE,
+      per_minute INTEGER,
+      per_day INTEGER,
+      per_callee_per_day INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      CHECK ((role IS NULL) <> (user_id IS NULL))
+    )
+  `);
+
+  // Create call_quota_usage table - one row per person dialed, counted against
+  // the caller's quotas
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS call_quota_usage (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      callee_id INTEGER NOT NULL,
+      call_log_id INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (callee_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (call_log_id) REFERENCES call_logs(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_call_quota_usage_user_created ON call_quota_usage(user_id, created_at)
+  `);
+}
+
+// Dependent tables first
+async function down(db) {
+  const tables = [
+    'call_quota_usage',
+    'call_quotas',
+    'availability_windows',
+    'blocks',
+    'voicemails',
+    'call_participants',
+    'call_legs',
+    'call_logs',
+    'users'
+  ];
+  for (const table of tables) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
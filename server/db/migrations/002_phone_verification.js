@@ -0,0 +1,35 @@
+// Phone number ownership - a number is only dialed once its owner has typed
+// back a one-time code sent to it. Existing numbers start out unverified.
+
+async function up(db) {
+  // When the current phone_number was verified (NULL until it is, and again
+  // whenever the number changes)
+  await db.query('ALTER TABLE users ADD COLUMN phone_verified_at TIMESTAMP');
+
+  // One-time codes sent to a number; only a hash of the code is kept
+  await db.query(`
+    CREATE TABLE phone_verifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      phone_number TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      expires_at TIMESTAMP NOT NULL,
+      verified_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.query(`
+    CREATE INDEX idx_phone_verifications_user_created ON phone_verifications(user_id, created_at)
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE phone_verifications');
+  await db.query('ALTER TABLE users DROP COLUMN phone_verified_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+// Phone numbers are stored in E.164 with their country and line type. Existing
+// numbers are normalized where they parse (numbers without a country code are
+// read in DEFAULT_PHONE_COUNTRY); a number that changes has to be verified
+// again, and one that doesn't parse is left unverified for its owner to fix.
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+const { PHONE_TYPES } = require('../../services/phoneNumbers');
+
+async function up(db) {
+  await db.query('ALTER TABLE users ADD COLUMN phone_country TEXT');
+  await db.query('ALTER TABLE users ADD COLUMN phone_type TEXT');
+
+  const defaultCountry = (process.env.DEFAULT_PHONE_COUNTRY || 'US').toUpperCase();
+  const users = await db.query('SELECT id, phone_number FROM users');
+
+  for (const user of users.rows) {
+    const parsed = parsePhoneNumberFromString(user.phone_number, { defaultCountry });
+    if (!parsed || !parsed.isValid()) {
+      await db.query('UPDATE users SET phone_verified_at = NULL WHERE id = $1', [user.id]);
+      continue;
+    }
+
+    await db.query(
+      `UPDATE users
+       SET phone_number = $1, phone_country = $2, phone_type = $3,
+           phone_verified_at = CASE WHEN phone_number = $1 THEN phone_verified_at ELSE NULL END
+       WHERE id = $4`,
+      [parsed.number, parsed.country || null, PHONE_TYPES[parsed.getType()] || null, user.id]
+    );
+  }
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE users DROP COLUMN phone_type');
+  await db.query('ALTER TABLE users DROP COLUMN phone_country');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// Ring sequences - instead of either the browser or the phone, each user picks
+// the endpoints they are rung on: one after the other with a timeout each, or
+// all at once. A secondary phone number can be one of them. Every attempt at
+// reaching someone is a call leg of its own, recording which step it was and
+// when a later (or faster) attempt superseded it.
+
+async function up(db) {
+  // 'sequential' or 'simultaneous'
+  await db.query("ALTER TABLE users ADD COLUMN ring_mode TEXT NOT NULL DEFAULT 'sequential'");
+  // JSON list of { endpoint, timeout }; NULL rings the browser (if answer_in_app) then the phone
+  await db.query('ALTER TABLE users ADD COLUMN ring_steps TEXT');
+
+  await db.query('ALTER TABLE users ADD COLUMN secondary_phone_number TEXT');
+  await db.query('ALTER TABLE users ADD COLUMN secondary_phone_country TEXT');
+  await db.query('ALTER TABLE users ADD COLUMN secondary_phone_type TEXT');
+  await db.query('ALTER TABLE users ADD COLUMN secondary_phone_verified_at TIMESTAMP');
+
+  // browser | phone | secondary_phone, and its position in the user's sequence
+  await db.query('ALTER TABLE call_legs ADD COLUMN ring_endpoint TEXT');
+  await db.query('ALTER TABLE call_legs ADD COLUMN ring_step INTEGER');
+  await db.query('ALTER TABLE call_legs ADD COLUMN superseded_at TIMESTAMP');
+
+  await db.query('UPDATE call_legs SET ring_endpoint = endpoint_type');
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE call_legs DROP COLUMN superseded_at');
+  await db.query('ALTER TABLE call_legs DROP COLUMN ring_step');
+  await db.query('ALTER TABLE call_legs DROP COLUMN ring_endpoint');
+
+  await db.query('ALTER TABLE users DROP COLUMN secondary_phone_verified_at');
+  await db.query('ALTER TABLE users DROP COLUMN secondary_phone_type');
+  await db.query('ALTER TABLE users DROP COLUMN secondary_phone_country');
+  await db.query('ALTER TABLE users DROP COLUMN secondary_phone_number');
+
+  await db.query('ALTER TABLE users DROP COLUMN ring_steps');
+  await db.query('ALTER TABLE users DROP COLUMN ring_mode');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,139 @@
+// Several phone numbers per account - each with a label, its own verification
+// and optional weekly hours it may be rung in; exactly one is the primary.
+// The users phone columns (and the secondary number) move into user_phones,
+// and ring steps naming the secondary phone now name its user_phones row.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE user_phones (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      phone_number TEXT NOT NULL,
+      phone_country TEXT,
+      phone_type TEXT,
+      label TEXT NOT NULL DEFAULT 'mobile',
+      is_primary BOOLEAN NOT NULL DEFAULT false,
+      verified_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, phone_number),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query('CREATE INDEX idx_user_phones_user_id ON user_phones(user_id)');
+
+  // Weekly hours a number may be rung in, like availability_windows (none: any time)
+  await db.query(`
+    CREATE TABLE user_phone_windows (
+      id SERIAL PRIMARY KEY,
+      phone_id INTEGER NOT NULL,
+      day_of_week INTEGER NOT NULL,
+      start_minute INTEGER NOT NULL,
+      end_minute INTEGER NOT NULL,
+      FOREIGN KEY (phone_id) REFERENCES user_phones(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query('CREATE INDEX idx_user_phone_windows_phone_id ON user_phone_windows(phone_id)');
+
+  // Which number a phone leg rang (no foreign key, so SQLite can drop it again)
+  await db.query('ALTER TABLE call_legs ADD COLUMN phone_id INTEGER');
+
+  const users = await db.query(
+    `SELECT id, phone_number, phone_country, phone_type, phone_verified_at,
+            secondary_phone_number, secondary_phone_country, secondary_phone_type, secondary_phone_verified_at,
+            ring_steps
+     FROM users`
+  );
+
+  for (const user of users.rows) {
+    await db.query(
+      `INSERT INTO user_phones (user_id, phone_number, phone_country, phone_type, label, is_primary, verified_at)
+       VALUES ($1, $2, $3, $4, 'mobile', true, $5)`,
+      [user.id, user.phone_number, user.phone_country, user.phone_type, user.phone_verified_at]
+    );
+
+    let secondaryId = null;
+    if (user.secondary_phone_number) {
+      const secondary = await db.query(
+        `INSERT INTO user_phones (user_id, phone_number, phone_country, phone_type, label, is_primary, verified_at)
+         VALUES ($1, $2, $3, $4, 'other', false, $5)
+         RETURNING id`,
+        [user.id, user.secondary_phone_number, user.secondary_phone_country, user.secondary_phone_type,
+          user.secondary_phone_verified_at]
+      );
+      secondaryId = secondary.rows[0].id;
+    }
+
+    if (user.ring_steps) {
+      const steps = JSON.parse(user.ring_steps)
+        .map(step => (step.endpoint === 'secondary_phone'
+          ? secondaryId && { endpoint: 'phone', phoneId: secondaryId, timeout: step.timeout }
+          : step))
+        .filter(Boolean);
+      await db.query('UPDATE users SET ring_steps = $1 WHERE id = $2',
+        [steps.length > 0 ? JSON.stringify(steps) : null, user.id]);
+    }
+  }
+
+  for (const column of [
+    'phone_number', 'phone_country', 'phone_type', 'phone_verified_at',
+    'secondary_phone_number', 'secondary_phone_country', 'secondary_phone_type', 'secondary_phone_verified_at'
+  ]) {
+    await db.query(`ALTER TABLE users DROP COLUMN ${column}`);
+  }
+}
+
+// The primary number and one other go back on users; any more are lost
+async function down(db) {
+  await db.query('ALTER TABLE users ADD COLUMN phone_number TEXT');
+  await db.query('ALTER TABLE users ADD COLUMN phone_country TEXT');
+  await db.query('ALTER TABLE users ADD COLUMN phone_type TEXT');
+  await db.query('ALTER TABLE users ADD COLUMN phone_verified_at TIMESTAMP');
+  await db.query('ALTER TABLE users ADD COLUMN secondary_phone_number TEXT');
+  await db.query('ALTER TABLE users ADD COLUMN secondary_phone_country TEXT');
+  await db.query('ALTER TABLE users ADD COLUMN secondary_phone_type TEXT');
+  await db.query('ALTER TABLE users ADD COLUMN secondary_phone_verified_at TIMESTAMP');
+
+  const users = await db.query('SELECT id, ring_steps FROM users');
+  for (const user of users.rows) {
+    const phones = await db.query(
+      'SELECT * FROM user_phones WHERE user_id = $1 ORDER BY is_primary DESC, id',
+      [user.id]
+    );
+    const [primary, secondary] = phones.rows;
+
+    if (primary) {
+      await db.query(
+        `UPDATE users SET phone_number = $1, phone_country = $2, phone_type = $3, phone_verified_at = $4
+         WHERE id = $5`,
+        [primary.phone_number, primary.phone_country, primary.phone_type, primary.verified_at, user.id]
+      );
+    }
+    if (secondary) {
+      await db.query(
+        `UPDATE users SET secondary_phone_number = $1, secondary_phone_country = $2, secondary_phone_type = $3,
+                          secondary_phone_verified_at = $4
+         WHERE id = $5`,
+        [secondary.phone_number, secondary.phone_country, secondary.phone_type, secondary.verified_at, user.id]
+      );
+    }
+
+    if (user.ring_steps) {
+      const steps = JSON.parse(user.ring_steps)
+        .map(step => {
+          if (step.endpoint !== 'phone' || !step.phoneId) return step;
+          if (primary && step.phoneId === primary.id) return { endpoint: 'phone', timeout: step.timeout };
+          if (secondary && step.phoneId === secondary.id) return { endpoint: 'secondary_phone', timeout: step.timeout };
+          return null;
+        })
+        .filter(Boolean);
+      await db.query('UPDATE users SET ring_steps = $1 WHERE id = $2',
+        [steps.length > 0 ? JSON.stringify(steps) : null, user.id]);
+    }
+  }
+
+  await db.query('ALTER TABLE call_legs DROP COLUMN phone_id');
+  await db.query('DROP TABLE user_phone_windows');
+  await db.query('DROP TABLE user_phones');
+}
+
+module.exports = { up, down };
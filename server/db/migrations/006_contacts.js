@@ -0,0 +1,27 @@
+// Personal contacts - each user keeps their own list of people they call,
+// with a private nickname and notes, and can pin favorites. Only the owner
+// ever sees these; the other user is still known to them by codename.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE contacts (
+      id SERIAL PRIMARY KEY,
+      owner_id INTEGER NOT NULL,
+      contact_id INTEGER NOT NULL,
+      nickname TEXT,
+      notes TEXT,
+      favorite BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (owner_id, contact_id),
+      FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (contact_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE contacts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Indexes for phonebook search and sorting: codenames in lower case (the
+// alphabetical order, and on Postgres also prefix search with LIKE), and
+// each user's calls for the recently and most called orders.
+
+async function up(db) {
+  await db.query('CREATE INDEX idx_users_codename_lower ON users (LOWER(codename))');
+  if (db.dialect === 'postgres') {
+    // A plain index can't serve LIKE 'abc%' unless the database collation is C
+    await db.query('CREATE INDEX idx_users_codename_pattern ON users (LOWER(codename) text_pattern_ops)');
+  }
+  await db.query('CREATE INDEX idx_call_participants_user_call ON call_participants (user_id, call_log_id)');
+}
+
+async function down(db) {
+  await db.query('DROP INDEX idx_call_participants_user_call');
+  if (db.dialect === 'postgres') {
+    await db.query('DROP INDEX idx_users_codename_pattern');
+  }
+  await db.query('DROP INDEX idx_users_codename_lower');
+}
+
+module.exports = { up, down };
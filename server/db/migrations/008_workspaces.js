@@ -0,0 +1,69 @@
+// Workspaces - separate phonebooks. Users only see and call people they share
+// a workspace with, joining one by its invite code or, when the workspace is
+// open to an email domain, with a Google account on that domain.
+//
+// Everyone registered so far shared one global directory, so they all start
+// out in one workspace, owned by whoever registered first. That's the intended
+// upgrade path (see "Database Migrations" in the README): nobody's phonebook
+// changes until people move into workspaces of their own and leave this one.
+const crypto = require('crypto');
+
+// Same format as services/workspaces.js generateInviteCode()
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateInviteCode() {
+  return Array.from({ length: 10 }, () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]).join('');
+}
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE workspaces (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      invite_code TEXT UNIQUE NOT NULL,
+      email_domain TEXT,
+      owner_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query('CREATE INDEX idx_workspaces_email_domain ON workspaces(email_domain)');
+
+  // removed_at marks a member the owner removed: they no longer belong, and
+  // can't come back through the email domain (a new invite code lets them in)
+  await db.query(`
+    CREATE TABLE workspace_members (
+      workspace_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL DEFAULT 'member',
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      removed_at TIMESTAMP,
+      PRIMARY KEY (workspace_id, user_id),
+      FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query('CREATE INDEX idx_workspace_members_user_id ON workspace_members(user_id, workspace_id)');
+
+  const first = await db.query('SELECT id FROM users ORDER BY id LIMIT 1');
+  if (first.rows.length > 0) {
+    const created = await db.query(
+      `INSERT INTO workspaces (name, invite_code, owner_id)
+       VALUES ('Everyone', $1, $2)
+       RETURNING id`,
+      [generateInviteCode(), first.rows[0].id]
+    );
+    await db.query(
+      `INSERT INTO workspace_members (workspace_id, user_id, role)
+       SELECT $1, id, CASE WHEN id = $2 THEN 'owner' ELSE 'member' END FROM users`,
+      [created.rows[0].id, first.rows[0].id]
+    );
+  }
+}
+
+async function down(db) {
+  await db.query('DROP TABLE workspace_members');
+  await db.query('DROP TABLE workspaces');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+// Invite links - a user shares a link that expires (and can be single-use);
+// whoever signs up or signs in through it is connected to the inviter as a
+// contact and joins the workspace the link was made for. Every use is
+// recorded, and the inviter can revoke a link at any time.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE invites (
+      id SERIAL PRIMARY KEY,
+      token TEXT UNIQUE NOT NULL,
+      inviter_id INTEGER NOT NULL,
+      workspace_id INTEGER,
+      max_uses INTEGER,
+      use_count INTEGER NOT NULL DEFAULT 0,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (inviter_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query('CREATE INDEX idx_invites_inviter_id ON invites(inviter_id)');
+
+  await db.query(`
+    CREATE TABLE invite_uses (
+      id SERIAL PRIMARY KEY,
+      invite_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      new_user BOOLEAN NOT NULL DEFAULT false,
+      used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (invite_id, user_id),
+      FOREIGN KEY (invite_id) REFERENCES invites(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE invite_uses');
+  await db.query('DROP TABLE invites');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,61 @@
+// Text messages between codenames. Each pair of users has one conversation
+// (user_a_id is the lower id). A message is written in the web app or texted
+// to the shared Twilio number, and relayed by text to the recipient's phone
+// when they aren't in the app; message_sms records each of those texts and
+// the number it came from or went to, so that a text coming in from a number
+// can be routed into the conversation that number last took part in.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE conversations (
+      id SERIAL PRIMARY KEY,
+      user_a_id INTEGER NOT NULL,
+      user_b_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_a_id, user_b_id),
+      FOREIGN KEY (user_a_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_b_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query('CREATE INDEX idx_conversations_user_b_id ON conversations(user_b_id)');
+
+  await db.query(`
+    CREATE TABLE messages (
+      id SERIAL PRIMARY KEY,
+      conversation_id INTEGER NOT NULL,
+      sender_id INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      sent_via TEXT NOT NULL DEFAULT 'app',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query('CREATE INDEX idx_messages_conversation_id ON messages(conversation_id, id)');
+
+  // direction is 'in' (texted to us) or 'out' (relayed to the recipient).
+  // phone_id has no foreign key, like call_legs.phone_id: a removed number
+  // only means texts from it can't be routed by it any more
+  await db.query(`
+    CREATE TABLE message_sms (
+      id SERIAL PRIMARY KEY,
+      message_id INTEGER NOT NULL,
+      phone_id INTEGER NOT NULL,
+      direction TEXT NOT NULL,
+      sms_sid TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query('CREATE INDEX idx_message_sms_message_id ON message_sms(message_id)');
+  await db.query('CREATE INDEX idx_message_sms_phone_id ON message_sms(phone_id, id)');
+}
+
+async function down(db) {
+  await db.query('DROP TABLE message_sms');
+  await db.query('DROP TABLE messages');
+  await db.query('DROP TABLE conversations');
+}
+
+module.exports = { up, down };
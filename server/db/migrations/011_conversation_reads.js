@@ -0,0 +1,22 @@
+// How far each user has read in each of their conversations: messages from
+// the other side after last_read_message_id count as unread.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE conversation_reads (
+      conversation_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      last_read_message_id INTEGER NOT NULL DEFAULT 0,
+      read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (conversation_id, user_id),
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE conversation_reads');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+// Whether Google has verified the user's email address. Only a verified
+// address lets someone into a workspace by its email domain, or open one to
+// it. Existing users start out unverified and are updated at their next sign-in.
+
+async function up(db) {
+  await db.query('ALTER TABLE users ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT false');
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE users DROP COLUMN email_verified');
+}
+
+module.exports = { up, down };
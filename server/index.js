@@ -7,10 +7,17 @@ const rateLimit = require('express-rate-limit');
 const passport = require('passport');
 const path = require('path');
 
-const { initializeDatabase } = require('./db/database-pg');
+const { getPendingMigrations } = require('./db/migrate');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const callRoutes = require('./routes/calls');
+const eventRoutes = require('./routes/events');
+const voicemailRoutes = require('./routes/voicemails');
+const contactRoutes = require('./routes/contacts');
+const workspaceRoutes = require('./routes/workspaces');
+const inviteRoutes = require('./routes/invites');
+const messageRoutes = require('./routes/messages');
+const { QUOTA_HEADERS } = require('./middleware/callQuota');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -20,12 +27,6 @@ if (process.env.NODE_ENV === 'production') {
   app.set('trust proxy', 1);
 }
 
-// Initialize database
-initializeDatabase().catch(err => {
-  console.error('Database initialization failed:', err);
-  process.exit(1);
-});
-
 // Security middleware - helmet for security headers
 app.use(helmet({
   contentSecurityPolicy: {
@@ -38,18 +39,15 @@ app.use(helmet({
   },
 }));
 
-// Rate limiting - general API limit
+// Rate limiting - general API limit. Presence heartbeats (every 25s per open
+// tab) and the event stream would use up an office's shared IP on their own,
+// so they don't count - both need a session and do nothing else.
+const UNLIMITED_API_PATHS = new Set(['/users/presence', '/events']);
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: { error: 'Too many requests, please try again later' }
-});
-
-// Stricter rate limit for call initiation (prevents phone spam)
-const callLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 5, // limit each IP to 5 call initiations per minute
-  message: { error: 'Too many call attempts, please try again later' }
+  message: { error: 'Too many requests, please try again later' },
+  skip: req => UNLIMITED_API_PATHS.has(req.path.replace(/\/$/, ''))
 });
 
 app.use('/api/', generalLimiter);
@@ -57,7 +55,11 @@ app.use('/api/', generalLimiter);
 // Middleware
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  // Call quota headers (call initiation is limited per account, see middleware/callQuota.js)
+  exposedHeaders: Object.values(QUOTA_HEADERS)
+    .flatMap(header => [`${header}-Limit`, `${header}-Remaining`])
+    .concat('Retry-After')
 }));
 app.use(express.json({ limit: '10kb' })); // Limit body size
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
@@ -76,9 +78,6 @@ app.use(session({
   }
 }));
 
-// Export call limiter for use in routes
-app.set('callLimiter', callLimiter);
-
 // Initialize Passport
 app.use(passport.initialize());
 app.use(passport.session());
@@ -87,6 +86,12 @@ app.use(passport.session());
 app.use('/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/calls', callRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/voicemails', voicemailRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/messages', messageRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -101,6 +106,20 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Refuse to serve until the schema is current (run `npm run migrate`)
+getPendingMigrations()
+  .then(pending => {
+    if (pending.length > 0) {
+      console.error(`Database has ${pending.length} pending migration(s): ${pending.map(m => m.file).join(', ')}`);
+      console.error('Run "npm run migrate" and start the server again.');
+      process.exit(1);
+    }
+
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  })
+  .catch(err => {
+    console.error('Database check failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,76 @@
+const { checkCallQuota } = require('../services/quotas');
+
+// Response headers reporting what is left after this call (exposed via CORS in index.js)
+const QUOTA_HEADERS = {
+  minute: 'X-Call-Quota-Minute',
+  day: 'X-Call-Quota-Day',
+  callee: 'X-Call-Quota-Callee'
+};
+
+const QUOTA_MESSAGES = {
+  minute: limit => `You can call at most ${limit} people per minute`,
+  day: limit => `You can call at most ${limit} people per day`,
+  callee: limit => `You can call the same person at most ${limit} times per day`
+};
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.ceil(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+/**
+ * Answer 429 for a call that would go over a quota
+ * @param {object} res - Express response
+ * @param {object} exceeded - checkCallQuota()'s exceeded
+ */
+function sendQuotaExceeded(res, exceeded) {
+  res.set('Retry-After', String(exceeded.retryAfter));
+  res.status(429).json({
+    error: `${QUOTA_MESSAGES[exceeded.quota](exceeded.limit)}. Try again in ${formatWait(exceeded.retryAfter)}.`,
+    quota: exceeded.quota,
+    limit: exceeded.limit,
+    retryAfter: exceeded.retryAfter
+  });
+}
+
+/**
+ * Middleware factory enforcing the logged-in user's call quotas
+ * Must run after the registration check (needs req.user.user). This only
+ * turns away calls early and sets the headers - the route still has to
+ * reserveCallQuota() before dialing, since another call may take the
+ * remaining quota in between
+ * @param {function} getCalleeIds - (req) => ids of the users about to be dialed
+ * @returns {function} - Express middleware
+ */
+function enforceCallQuota(getCalleeIds) {
+  return async (req, res, next) => {
+    try {
+      const calleeIds = [...new Set(getCalleeIds(req).filter(Number.isInteger))];
+      const { usage, exceeded } = await checkCallQuota(req.user.user, calleeIds);
+
+      for (const [quota, header] of Object.entries(QUOTA_HEADERS)) {
+        if (quota === 'callee' && calleeIds.length === 0) continue;
+        res.set(`${header}-Limit`, String(usage[quota].limit));
+        res.set(`${header}-Remaining`, String(usage[quota].remaining));
+      }
+
+      if (exceeded) {
+        return sendQuotaExceeded(res, exceeded);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Call quota check error:', error);
+      res.status(500).json({ error: 'Failed to check call quota' });
+    }
+  };
+}
+
+module.exports = {
+  QUOTA_HEADERS,
+  sendQuotaExceeded,
+  enforceCallQuota
+};
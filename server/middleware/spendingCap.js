@@ -0,0 +1,33 @@
+const { checkSpendingCap } = require('../services/billing');
+
+function formatAmount(amount, currency) {
+  return currency ? `${amount.toFixed(2)} ${currency}` : amount.toFixed(2);
+}
+
+/**
+ * Middleware refusing to dial once the logged-in user has spent their monthly cap
+ * Must run after the registration check (needs req.user.user)
+ */
+async function enforceSpendingCap(req, res, next) {
+  try {
+    const { exceeded, cap, spent, currency } = await checkSpendingCap(req.user.user);
+
+    if (exceeded) {
+      return res.status(402).json({
+        error: `You've reached your monthly spending cap of ${formatAmount(cap, currency)}. Raise it in Settings to keep calling.`,
+        cap,
+        spent,
+        currency
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Spending cap check error:', error);
+    res.status(500).json({ error: 'Failed to check spending cap' });
+  }
+}
+
+module.exports = {
+  enforceSpendingCap
+};
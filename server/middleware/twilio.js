@@ -0,0 +1,32 @@
+const { getBaseUrl, validateWebhook } = require('../services/telephony');
+
+// Middleware to validate webhook signatures from the telephony provider
+function validateTwilioRequest(req, res, next) {
+  const twilioSignature = req.headers['x-twilio-signature'];
+
+  // The provider signs the full URL it requested, query string included
+  const url = `${getBaseUrl()}${req.originalUrl}`;
+  const isValid = validateWebhook(twilioSignature || '', url, req.body || {});
+
+  // Skip validation if Twilio credentials aren't configured (dev mode)
+  if (isValid === null) {
+    console.warn('WARNING: Twilio auth token not set, skipping webhook validation');
+    return next();
+  }
+
+  if (!twilioSignature) {
+    console.error('Missing Twilio signature header');
+    return res.status(403).send('Forbidden: Missing signature');
+  }
+
+  if (!isValid) {
+    console.error('Invalid Twilio signature for request:', req.originalUrl);
+    return res.status(403).send('Forbidden: Invalid signature');
+  }
+
+  next();
+}
+
+module.exports = {
+  validateTwilioRequest
+};
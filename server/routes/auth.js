@@ -1,10 +1,16 @@
 const express = require('express');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
-const { getUserByGoogleId, getUserById } = require('../db/database-pg');
+const { getUserByGoogleId, getUserById, updateUserEmailVerified } = require('../db/database');
 
 const router = express.Router();
 
+// Google's email_verified can come through as a boolean or as the string "true"
+function isEmailVerified(profile) {
+  const verified = profile.emails?.[0]?.verified;
+  return verified === true || verified === 'true';
+}
+
 // Configure Passport Google Strategy
 passport.use(new GoogleStrategy({
     clientID: process.env.GOOGLE_CLIENT_ID,
@@ -16,15 +22,19 @@ passport.use(new GoogleStrategy({
       // We don't create the user here - we just pass the Google profile data
       // User creation happens in the registration step
       const existingUser = await getUserByGoogleId(profile.id);
+      // Only a verified address counts towards joining workspaces by email domain
+      const emailVerified = isEmailVerified(profile);
 
       if (existingUser) {
-        return done(null, { type: 'existing', user: existingUser });
+        await updateUserEmailVerified(existingUser.id, emailVerified);
+        return done(null, { type: 'existing', user: { ...existingUser, email_verified: emailVerified } });
       }
 
       // Extract data from Google profile
       const googleData = {
         googleId: profile.id,
         email: profile.emails?.[0]?.value || '',
+        emailVerified,
         firstName: profile.name?.givenName || '',
         lastName: profile.name?.familyName || '',
         // Note: Google People API doesn't provide phone numbers in standard OAuth
@@ -106,9 +116,13 @@ router.get('/status', (req, res) => {
         email: req.user.user.email,
         firstName: req.user.user.first_name,
         lastName: req.user.user.last_name,
+        phoneId: req.user.user.phone_id,
         phoneNumber: req.user.user.phone_number,
+        phoneCountry: req.user.user.phone_country,
+        phoneType: req.user.user.phone_type,
         codename: req.user.user.codename,
-        answerInApp: req.user.user.answer_in_app
+        answerInApp: req.user.user.answer_in_app,
+        phoneVerified: Boolean(req.user.user.phone_verified_at)
       }
     });
   } else {
@@ -1,14 +1,62 @@
 const express = require('express');
-const twilio = require('twilio');
-const { getUserById, createCallLog, updateCallLog, getCallLogById } = require('../db/database-pg');
-const { initiateBridgedCall, generateConferenceTwiML, generateAccessToken } = require('../services/twilio');
+const {
+  getUserById,
+  createCallLog,
+  updateCallLog,
+  getCallLogById,
+  getCallHistory,
+  updateCallLeg,
+  getCallLegById,
+  getCallLegsByCallLogId,
+  isBlockedEitherWay,
+  sharesWorkspace,
+  getAvailabilityWindows,
+  getUserPhones,
+  addCallParticipant,
+  getCallParticipants,
+  getCallParticipant
+} = require('../db/database');
+const {
+  MAX_CALL_PARTICIPANTS,
+  getBaseUrl,
+  createConferenceName,
+  dialLegs,
+  dialCallerToVoicemail,
+  generateConferenceTwiML,
+  generateConsentTwiML,
+  generateSayAndHangupTwiML,
+  generateAccessToken
+} = require('../services/telephony');
+const {
+  isLegLive,
+  activeLegs,
+  isGroupCall,
+  recordLegStatus,
+  recordCalleeDecision,
+  cancelCall,
+  publishCallEvent
+} = require('../services/calls');
+const { getAvailability } = require('../services/availability');
+const { getClientIdentity, isDialable, createRingLegs } = require('../services/ringing');
+const { reserveCallQuota, setCallUsageCallLog } = require('../services/quotas');
+const { validateTwilioRequest } = require('../middleware/twilio');
+const { enforceCallQuota, sendQuotaExceeded } = require('../middleware/callQuota');
+const { enforceSpendingCap } = require('../middleware/spendingCap');
 
 const router = express.Router();
 
-// Generate a client identity from user id
-function getClientIdentity(userId) {
-  return `user_${userId}`;
-}
+const CALL_STATUSES = ['initiated', 'connecting', 'ringing', 'in-progress', 'completed', 'busy', 'no-answer', 'canceled', 'failed', 'declined'];
+
+// Keys a phone callee can press at the consent prompt
+const CONSENT_DIGITS = {
+  1: 'accepted',
+  2: 'declined',
+  3: 'blocked'
+};
+const HISTORY_MAX_LIMIT = 100;
+
+// Same response for a missing user and a block, so a block is never disclosed
+const UNAVAILABLE_RESPONSE = { error: 'This user is unavailable' };
 
 // Middleware to check if user is authenticated and registered
 function isRegistered(req, res, next) {
@@ -18,36 +66,20 @@ function isRegistered(req, res, next) {
   res.status(401).json({ error: 'Not authenticated or not registered' });
 }
 
-// Middleware to validate Twilio webhook signatures
-function validateTwilioRequest(req, res, next) {
-  // Skip validation if Twilio credentials aren't configured (dev mode)
-  if (!process.env.TWILIO_AUTH_TOKEN) {
-    console.warn('WARNING: Twilio auth token not set, skipping webhook validation');
-    return next();
-  }
-
-  const twilioSignature = req.headers['x-twilio-signature'];
-  if (!twilioSignature) {
-    console.error('Missing Twilio signature header');
-    return res.status(403).send('Forbidden: Missing signature');
-  }
-
-  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
-  const url = `${baseUrl}${req.originalUrl.split('?')[0]}`; // Remove query params for signature
-
-  const isValid = twilio.validateRequest(
-    process.env.TWILIO_AUTH_TOKEN,
-    twilioSignature,
-    url,
-    req.body || {}
-  );
-
-  if (!isValid) {
-    console.error('Invalid Twilio signature for request:', req.originalUrl);
-    return res.status(403).send('Forbidden: Invalid signature');
+// The caller is rung first, so their ring sequence needs an endpoint we can ring
+async function isCallerDialable(req, res, next) {
+  try {
+    if (isDialable(req.user.user, await getUserPhones(req.user.user.id))) {
+      return next();
+    }
+    res.status(403).json({
+      error: 'Verify your phone number before making calls, or answer calls in the browser',
+      phoneVerificationRequired: true
+    });
+  } catch (error) {
+    console.error('Caller dialable check error:', error);
+    res.status(500).json({ error: 'Failed to initiate call' });
   }
-
-  next();
 }
 
 // Get Twilio access token for browser-based calling
@@ -68,67 +100,137 @@ router.get('/token', isRegistered, (req, res) => {
   }
 });
 
-// Initiate a call to another user (with rate limiting)
-router.post('/initiate/:calleeId', (req, res, next) => {
-  // Apply call-specific rate limiter
-  const callLimiter = req.app.get('callLimiter');
-  if (callLimiter) {
-    return callLimiter(req, res, next);
-  }
-  next();
-}, isRegistered, async (req, res) => {
-  const callerId = req.user.user.id;
-  const calleeId = parseInt(req.params.calleeId, 10);
+// How a party is first rung, e.g. "in browser" or "in browser and on phone"
+const RING_ENDPOINT_PHRASES = {
+  browser: 'in browser',
+  phone: 'on phone'
+};
 
-  // Prevent calling yourself
-  if (callerId === calleeId) {
-    return res.status(400).json({ error: 'Cannot call yourself' });
-  }
+function describeRinging(legs) {
+  return legs.map(leg => RING_ENDPOINT_PHRASES[leg.endpoint]).join(' and ');
+}
 
-  // Get callee information
+// Store the call sids of freshly dialed legs (a no-op if status callbacks got there first)
+function recordCallSids(legs, callSids) {
+  return Promise.all(legs.map((leg, index) => updateCallLeg(leg.legId, { twilioCallSid: callSids[index] })));
+}
+
+// Look up a user to call, or null if they don't exist, have a block with any of
+// the given participants or don't share a workspace with each of them
+// (indistinguishable on purpose)
+async function findCallee(calleeId, participantIds) {
   const callee = await getUserById(calleeId);
-  if (!callee) {
-    return res.status(404).json({ error: 'User not found' });
+  if (!callee) return null;
+
+  for (const participantId of participantIds) {
+    if (await isBlockedEitherWay(participantId, calleeId) || !await sharesWorkspace(participantId, calleeId)) {
+      return null;
+    }
+  }
+  return callee;
+}
+
+// A callee who can't be rung (no verified phone, or none within its hours, to
+// fall back on) is treated as unavailable
+async function getCalleeAvailability(callee) {
+  if (!isDialable(callee, await getUserPhones(callee.id))) {
+    return { available: false, availableAt: null };
   }
+  return getAvailability(callee, await getAvailabilityWindows(callee.id));
+}
+
+/**
+ * Create the call log, participants and legs, then dial everyone
+ * @param {object} req - Express request (the caller is the logged-in user)
+ * @param {object} res - Express response
+ * @param {Array<object>} callees - users rows to call
+ * @param {object} options - { toVoicemail } to dial only the caller into the
+ *   (single) callee's voicemail
+ */
+async function startCall(req, res, callees, { toVoicemail }) {
+  const callerId = req.user.user.id;
 
+  let callLogId;
   try {
-    // Create a call log entry
-    const callLogId = await createCallLog(callerId, calleeId);
-
-    // Build caller and callee objects with their preferences
-    const caller = {
-      phone: req.user.user.phone_number,
-      identity: getClientIdentity(callerId),
-      answerInApp: req.user.user.answer_in_app
-    };
+    // Count the call against the caller's quotas before anything is dialed
+    const reservation = await reserveCallQuota(req.user.user, callees.map(c => c.id));
+    if (reservation.exceeded) {
+      return sendQuotaExceeded(res, reservation.exceeded);
+    }
 
-    const calleeData = {
-      phone: callee.phone_number,
-      identity: getClientIdentity(calleeId),
-      answerInApp: callee.answer_in_app
-    };
+    // Create a call log entry (callee_id is the first person called)
+    callLogId = await createCallLog(callerId, callees[0].id);
+    await setCallUsageCallLog(reservation.usageIds, callLogId);
+
+    await addCallParticipant({ callLogId, userId: callerId, role: 'caller' });
+    for (const callee of callees) {
+      await addCallParticipant({ callLogId, userId: callee.id, role: 'callee', addedBy: callerId });
+    }
+
+    // Track each attempt at reaching someone as its own leg, so status
+    // callbacks can't overwrite each other
+    const callerLegs = await createRingLegs({ callLogId, user: req.user.user, role: 'caller', billedTo: callerId });
 
-    // Initiate the bridged call via Twilio
-    const callDetails = await initiateBridgedCall(caller, calleeData, callLogId);
+    if (toVoicemail) {
+      // The callee is never rung - only the caller is dialed, straight into voicemail
+      const callLog = await updateCallLog(callLogId, { status: 'connecting', calleeDecision: 'unavailable' });
+      await publishCallEvent(callLog);
 
-    // Update call log with conference details
-    await updateCallLog(callLogId, {
-      twilioConferenceSid: callDetails.conferenceName,
-      status: 'connecting'
+      await recordCallSids(callerLegs, await dialCallerToVoicemail(callerLegs, callLogId));
+
+      return res.json({
+        success: true,
+        callId: callLogId,
+        voicemail: true,
+        message: `${callees[0].codename} is not available. You'll be connected to their voicemail ${describeRinging(callerLegs)}.`
+      });
+    }
+
+    const calleeLegs = [];
+    for (const callee of callees) {
+      calleeLegs.push(await createRingLegs({ callLogId, user: callee, role: 'callee', billedTo: callerId }));
+    }
+
+    // Mark as connecting before dialing so early status callbacks aren't
+    // overwritten; the conference is named up front so later ring steps can join it
+    const callLog = await updateCallLog(callLogId, {
+      status: 'connecting',
+      twilioConferenceSid: createConferenceName(callLogId)
     });
+    await publishCallEvent(callLog);
+
+    // Initiate the conference call via Twilio
+    const legs = [...callerLegs, ...calleeLegs.flat()];
+    await recordCallSids(legs, await dialLegs(legs, callLog.twilio_conference_sid, callLogId));
 
     // Determine where each party will receive the call
-    const callerMethod = caller.answerInApp ? 'in browser' : 'on phone';
-    const calleeMethod = calleeData.answerInApp ? 'in browser' : 'on phone';
+    const callerMethod = describeRinging(callerLegs);
+    const calleeMethod = describeRinging(calleeLegs[0]);
 
     res.json({
       success: true,
       callId: callLogId,
-      message: `Call initiated. You'll receive the call ${callerMethod}, they'll receive it ${calleeMethod}.`
+      message: callees.length === 1
+        ? `Call initiated. You'll receive the call ${callerMethod}, they'll receive it ${calleeMethod}.`
+        : `Group call initiated. You'll receive the call ${callerMethod}; ${callees.length} people are being called.`
     });
   } catch (error) {
     console.error('Call initiation error:', error);
 
+    if (callLogId) {
+      const endedAt = new Date().toISOString();
+      try {
+        const legs = await getCallLegsByCallLogId(callLogId);
+        await Promise.all(legs
+          .filter(leg => leg.status === 'queued')
+          .map(leg => updateCallLeg(leg.id, { status: 'failed', endedAt })));
+        const failedCallLog = await updateCallLog(callLogId, { status: 'failed', endedAt });
+        await publishCallEvent(failedCallLog);
+      } catch (err) {
+        console.error('Failed to mark call as failed:', err);
+      }
+    }
+
     // Check for specific Twilio errors
     if (error.message.includes('not configured')) {
       return res.status(503).json({
@@ -139,6 +241,213 @@ router.post('/initiate/:calleeId', (req, res, next) => {
 
     res.status(500).json({ error: 'Failed to initiate call' });
   }
+}
+
+// Initiate a call to another user (subject to the caller's call quotas)
+router.post('/initiate/:calleeId', isRegistered, isCallerDialable, enforceSpendingCap, enforceCallQuota(req => [parseInt(req.params.calleeId, 10)]), async (req, res) => {
+  const callerId = req.user.user.id;
+  const calleeId = parseInt(req.params.calleeId, 10);
+
+  // Prevent calling yourself
+  if (callerId === calleeId) {
+    return res.status(400).json({ error: 'Cannot call yourself' });
+  }
+
+  try {
+    // Get callee information
+    const callee = await findCallee(calleeId, [callerId]);
+    if (!callee) {
+      return res.status(404).json(UNAVAILABLE_RESPONSE);
+    }
+
+    // Outside the callee's hours or on do-not-disturb: offer voicemail instead of ringing
+    const { available, availableAt } = await getCalleeAvailability(callee);
+    if (!available && req.body.voicemail !== true) {
+      return res.status(409).json({
+        error: `${callee.codename} is not available right now`,
+        availableAt,
+        canLeaveVoicemail: true
+      });
+    }
+
+    await startCall(req, res, [callee], { toVoicemail: !available });
+  } catch (error) {
+    console.error('Call initiation error:', error);
+    res.status(500).json({ error: 'Failed to initiate call' });
+  }
+});
+
+// Initiate a group call with several users at once (each callee counts against the quotas)
+router.post('/initiate', isRegistered, isCallerDialable, enforceSpendingCap, enforceCallQuota(req => (Array.isArray(req.body.calleeIds) ? req.body.calleeIds : [])), async (req, res) => {
+  const callerId = req.user.user.id;
+  const { calleeIds } = req.body;
+
+  if (!Array.isArray(calleeIds) || calleeIds.length === 0 || !calleeIds.every(Number.isInteger)) {
+    return res.status(400).json({ error: 'calleeIds must be a non-empty array of user ids' });
+  }
+
+  const uniqueIds = [...new Set(calleeIds)];
+  if (uniqueIds.includes(callerId)) {
+    return res.status(400).json({ error: 'Cannot call yourself' });
+  }
+  if (uniqueIds.length + 1 > MAX_CALL_PARTICIPANTS) {
+    return res.status(400).json({ error: `A call can have at most ${MAX_CALL_PARTICIPANTS} participants` });
+  }
+
+  try {
+    const callees = [];
+    for (const calleeId of uniqueIds) {
+      const callee = await findCallee(calleeId, [callerId]);
+      if (!callee) {
+        return res.status(404).json(UNAVAILABLE_RESPONSE);
+      }
+
+      const { available, availableAt } = await getCalleeAvailability(callee);
+      if (!available) {
+        return res.status(409).json({
+          error: `${callee.codename} is not available right now`,
+          availableAt
+        });
+      }
+      callees.push(callee);
+    }
+
+    await startCall(req, res, callees, { toVoicemail: false });
+  } catch (error) {
+    console.error('Group call initiation error:', error);
+    res.status(500).json({ error: 'Failed to initiate call' });
+  }
+});
+
+// Add another user to a running call (any participant still on it)
+router.post('/:callLogId/participants', isRegistered, enforceSpendingCap, enforceCallQuota(req => [req.body.userId]), async (req, res) => {
+  const callLogId = parseInt(req.params.callLogId, 10);
+  const userId = req.user.user.id;
+  const newUserId = req.body.userId;
+
+  if (!Number.isInteger(newUserId)) {
+    return res.status(400).json({ error: 'userId must be a user id' });
+  }
+  if (newUserId === userId) {
+    return res.status(400).json({ error: 'Cannot call yourself' });
+  }
+
+  let newLegs = [];
+  try {
+    const callLog = await getCallLogById(callLogId);
+    if (!callLog) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    // Verify user is part of this call
+    const participant = await getCallParticipant(callLogId, userId);
+    if (!participant) {
+      return res.status(403).json({ error: 'Not authorized to add people to this call' });
+    }
+
+    if (callLog.ended_at || participant.left_at) {
+      return res.status(409).json({ error: 'Call has already ended' });
+    }
+    if (!callLog.twilio_conference_sid || callLog.callee_decision === 'unavailable') {
+      return res.status(409).json({ error: 'Nobody can be added to this call yet' });
+    }
+
+    const legs = activeLegs(await getCallLegsByCallLogId(callLogId));
+    const liveUserIds = new Set(legs.filter(isLegLive).map(leg => leg.user_id));
+    if (liveUserIds.has(newUserId)) {
+      return res.status(409).json({ error: 'Already on this call' });
+    }
+    if (liveUserIds.size >= MAX_CALL_PARTICIPANTS) {
+      return res.status(409).json({ error: 'This call is full' });
+    }
+
+    // Nobody gets pulled into a call with someone they have a block with
+    const participants = await getCallParticipants(callLogId);
+    const callee = await findCallee(newUserId, participants.map(p => p.user_id));
+    if (!callee) {
+      return res.status(404).json(UNAVAILABLE_RESPONSE);
+    }
+
+    const { available, availableAt } = await getCalleeAvailability(callee);
+    if (!available) {
+      return res.status(409).json({
+        error: `${callee.codename} is not available right now`,
+        availableAt
+      });
+    }
+
+    const reservation = await reserveCallQuota(req.user.user, [callee.id]);
+    if (reservation.exceeded) {
+      return sendQuotaExceeded(res, reservation.exceeded);
+    }
+    await setCallUsageCallLog(reservation.usageIds, callLogId);
+
+    await addCallParticipant({ callLogId, userId: callee.id, role: 'callee', addedBy: userId });
+
+    newLegs = await createRingLegs({ callLogId, user: callee, role: 'callee', billedTo: userId });
+    await recordCallSids(newLegs, await dialLegs(newLegs, callLog.twilio_conference_sid, callLogId));
+
+    // Let everyone on the call see the new participant
+    await publishCallEvent(await getCallLogById(callLogId));
+
+    res.json({
+      success: true,
+      participant: {
+        id: callee.id,
+        codename: callee.codename
+      }
+    });
+  } catch (error) {
+    console.error('Add participant error:', error);
+
+    const endedAt = new Date().toISOString();
+    await Promise.all(newLegs.map(leg => updateCallLeg(leg.legId, { status: 'failed', endedAt })
+      .catch(err => console.error('Failed to mark leg as failed:', err))));
+
+    if (error.message.includes('not configured')) {
+      return res.status(503).json({
+        error: 'Phone service not configured',
+        details: 'Twilio credentials are missing. Please contact the administrator.'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to add participant' });
+  }
+});
+
+// Hang up or cancel a call (any participant; leaving a group call that can go on without you)
+router.post('/:callLogId/cancel', isRegistered, async (req, res) => {
+  const callLogId = parseInt(req.params.callLogId, 10);
+  const userId = req.user.user.id;
+
+  try {
+    const callLog = await getCallLogById(callLogId);
+    if (!callLog) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    // Verify user is part of this call
+    const participant = await getCallParticipant(callLogId, userId);
+    if (!participant) {
+      return res.status(403).json({ error: 'Not authorized to end this call' });
+    }
+
+    if (callLog.ended_at || participant.left_at) {
+      return res.status(409).json({ error: 'Call has already ended' });
+    }
+
+    const updated = await cancelCall(callLog, userId);
+
+    res.json({
+      success: true,
+      id: updated.id,
+      status: updated.status,
+      endedAt: updated.ended_at
+    });
+  } catch (error) {
+    console.error('Cancel call error:', error);
+    res.status(500).json({ error: 'Failed to end call' });
+  }
 });
 
 // TwiML endpoint for conference (called by Twilio)
@@ -155,49 +464,133 @@ router.all('/twiml/conference', validateTwilioRequest, (req, res) => {
   res.send(twiml);
 });
 
-// Status callback from Twilio (POST from Twilio webhooks)
-router.post('/status/:callLogId', validateTwilioRequest, async (req, res) => {
-  const { callLogId } = req.params;
-  const { CallStatus } = req.body;
+// Load the call log and leg named in a webhook URL, or null if they don't match
+async function loadCallLeg(callLogIdParam, legIdParam) {
+  const callLog = await getCallLogById(parseInt(callLogIdParam, 10));
+  const leg = await getCallLegById(parseInt(legIdParam, 10));
+  if (!callLog || !leg || leg.call_log_id !== callLog.id) {
+    return null;
+  }
+  return { callLog, leg };
+}
 
-  // Log without sensitive data
-  console.log(`Call ${callLogId} status update: ${CallStatus}`);
+// Build the consent prompt TwiML for a callee's leg, announcing whoever invited them
+async function consentPromptTwiML(callLog, leg) {
+  const participant = await getCallParticipant(callLog.id, leg.user_id);
+  const inviter = await getUserById((participant && participant.added_by) || callLog.caller_id);
+  const decisionUrl = `${getBaseUrl()}/api/calls/twiml/consent/${callLog.id}/legs/${leg.id}/decision`;
+  return generateConsentTwiML(inviter ? inviter.codename : 'an unknown caller', decisionUrl);
+}
 
+// TwiML consent prompt for a callee answering on the phone (called by Twilio)
+router.all('/twiml/consent/:callLogId/legs/:legId', validateTwilioRequest, async (req, res) => {
   try {
-    const callLog = await getCallLogById(parseInt(callLogId, 10));
+    const found = await loadCallLeg(req.params.callLogId, req.params.legId);
+    if (!found) {
+      return res.status(404).send('Call leg not found');
+    }
+
+    res.type('text/xml');
+    res.send(await consentPromptTwiML(found.callLog, found.leg));
+  } catch (error) {
+    console.error('Consent TwiML error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Callee's choice at the consent prompt (Gather action, called by Twilio)
+router.all('/twiml/consent/:callLogId/legs/:legId/decision', validateTwilioRequest, async (req, res) => {
+  const digits = req.body.Digits;
+
+  try {
+    const found = await loadCallLeg(req.params.callLogId, req.params.legId);
+    if (!found) {
+      return res.status(404).send('Call leg not found');
+    }
+    const { callLog, leg } = found;
+
+    res.type('text/xml');
+
+    // Any other key: ask again
+    if (digits && !CONSENT_DIGITS[digits]) {
+      return res.send(await consentPromptTwiML(callLog, leg));
+    }
+
+    const decision = digits ? CONSENT_DIGITS[digits] : 'no-response';
+    console.log(`Call ${callLog.id} callee decision: ${decision}`);
+
+    if (decision === 'accepted') {
+      const legs = activeLegs(await getCallLegsByCallLogId(callLog.id));
+      if (isGroupCall(legs)) {
+        const othersLive = legs.some(l => l.user_id !== leg.user_id && isLegLive(l));
+        if (callLog.ended_at || !othersLive) {
+          return res.send(generateSayAndHangupTwiML('Sorry, this call has ended. Goodbye.'));
+        }
+      } else {
+        const callerLeg = legs.find(l => l.role === 'caller');
+        if (callLog.ended_at || !callerLeg || !isLegLive(callerLeg)) {
+          return res.send(generateSayAndHangupTwiML('Sorry, the caller has hung up. Goodbye.'));
+        }
+      }
+
+      await recordCalleeDecision(callLog, leg, decision);
+      return res.send(generateConferenceTwiML(callLog.twilio_conference_sid, 'accepted'));
+    }
+
+    await recordCalleeDecision(callLog, leg, decision);
+
+    const messages = {
+      declined: 'Call declined. Goodbye.',
+      blocked: 'Call declined. This caller has been blocked. Goodbye.',
+      'no-response': 'No response received. Goodbye.'
+    };
+    res.send(generateSayAndHangupTwiML(messages[decision]));
+  } catch (error) {
+    console.error('Consent decision error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// TwiML the caller hears after the callee declined (called by Twilio)
+router.all('/twiml/declined/:callLogId', validateTwilioRequest, async (req, res) => {
+  try {
+    const callLog = await getCallLogById(parseInt(req.params.callLogId, 10));
     if (!callLog) {
       return res.status(404).send('Call log not found');
     }
 
-    // Map Twilio status to our status
-    let status;
-    switch (CallStatus) {
-      case 'initiated':
-      case 'ringing':
-        status = 'ringing';
-        break;
-      case 'in-progress':
-        status = 'in-progress';
-        break;
-      case 'completed':
-        status = 'completed';
-        break;
-      case 'busy':
-      case 'no-answer':
-      case 'canceled':
-      case 'failed':
-        status = CallStatus;
-        break;
-      default:
-        status = callLog.status;
-    }
-
-    const updates = { status };
-    if (['completed', 'busy', 'no-answer', 'canceled', 'failed'].includes(CallStatus)) {
-      updates.endedAt = new Date().toISOString();
-    }
-
-    await updateCallLog(parseInt(callLogId, 10), updates);
+    const callee = await getUserById(callLog.callee_id);
+    res.type('text/xml');
+    res.send(generateSayAndHangupTwiML(`${callee ? callee.codename : 'The person you called'} declined your call. Goodbye.`));
+  } catch (error) {
+    console.error('Declined TwiML error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Per-leg status callback from Twilio (POST from Twilio webhooks)
+router.post('/status/:callLogId/legs/:legId', validateTwilioRequest, async (req, res) => {
+  const callLogId = parseInt(req.params.callLogId, 10);
+  const legId = parseInt(req.params.legId, 10);
+  const { CallStatus, CallSid, CallDuration, Price, PriceUnit, AnsweredBy } = req.body;
+
+  // Log without sensitive data
+  console.log(`Call ${callLogId} leg ${legId} status update: ${CallStatus}`);
+
+  try {
+    const found = await loadCallLeg(callLogId, legId);
+    if (!found) {
+      return res.status(404).send('Call leg not found');
+    }
+
+    await recordLegStatus(found.callLog, found.leg, {
+      callStatus: CallStatus,
+      callSid: CallSid,
+      duration: CallDuration,
+      price: Price,
+      priceUnit: PriceUnit,
+      answeredBy: AnsweredBy
+    });
     res.sendStatus(200);
   } catch (error) {
     console.error('Status callback error:', error);
@@ -205,6 +598,64 @@ router.post('/status/:callLogId', validateTwilioRequest, async (req, res) => {
   }
 });
 
+// Get the current user's call history (paginated, filterable)
+router.get('/history', isRegistered, async (req, res) => {
+  const userId = req.user.user.id;
+  const { direction, status, from, to } = req.query;
+
+  if (direction && !['incoming', 'outgoing'].includes(direction)) {
+    return res.status(400).json({ error: 'direction must be incoming or outgoing' });
+  }
+
+  // Accept a comma-separated list of statuses, e.g. status=no-answer,busy
+  const statuses = status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : [];
+  if (statuses.some(s => !CALL_STATUSES.includes(s))) {
+    return res.status(400).json({ error: 'Invalid status filter' });
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+    return res.status(400).json({ error: 'from and to must be valid dates' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), HISTORY_MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const { calls, total } = await getCallHistory(userId, {
+      direction,
+      statuses,
+      from: fromDate ? fromDate.toISOString() : null,
+      to: toDate ? toDate.toISOString() : null,
+      limit,
+      offset
+    });
+
+    res.json({
+      calls: calls.map(c => ({
+        id: c.id,
+        direction: c.direction,
+        status: c.status,
+        createdAt: c.created_at,
+        endedAt: c.ended_at,
+        otherParty: {
+          id: c.other_user_id,
+          codename: c.other_codename
+        },
+        participants: c.participants
+      })),
+      total,
+      limit,
+      offset,
+      hasMore: offset + calls.length < total
+    });
+  } catch (error) {
+    console.error('Call history error:', error);
+    res.status(500).json({ error: 'Failed to fetch call history' });
+  }
+});
+
 // Get call status
 router.get('/status/:callLogId', isRegistered, async (req, res) => {
   const { callLogId } = req.params;
@@ -217,15 +668,35 @@ router.get('/status/:callLogId', isRegistered, async (req, res) => {
     }
 
     // Verify user is part of this call
-    if (callLog.caller_id !== userId && callLog.callee_id !== userId) {
+    if (!await getCallParticipant(callLog.id, userId)) {
       return res.status(403).json({ error: 'Not authorized to view this call' });
     }
 
+    const legs = await getCallLegsByCallLogId(callLog.id);
+    const participants = await getCallParticipants(callLog.id);
+
     res.json({
       id: callLog.id,
       status: callLog.status,
       createdAt: callLog.created_at,
-      endedAt: callLog.ended_at
+      endedAt: callLog.ended_at,
+      legs: legs.map(leg => ({
+        userId: leg.user_id,
+        role: leg.role,
+        endpointType: leg.endpoint_type,
+        ringEndpoint: leg.ring_endpoint,
+        ringStep: leg.ring_step,
+        superseded: Boolean(leg.superseded_at),
+        status: leg.status,
+        answeredAt: leg.answered_at,
+        endedAt: leg.ended_at
+      })),
+      participants: participants.map(p => ({
+        id: p.user_id,
+        codename: p.codename,
+        role: p.role,
+        leftAt: p.left_at
+      }))
     });
   } catch (error) {
     console.error('Get call status error:', error);
@@ -0,0 +1,165 @@
+const express = require('express');
+const {
+  getUserById,
+  getUserByCodename,
+  isBlockedEitherWay,
+  sharesWorkspace,
+  getContacts,
+  addContact,
+  updateContact,
+  deleteContact
+} = require('../db/database');
+const { describePhonebookEntries } = require('../services/phonebook');
+
+const router = express.Router();
+
+const MAX_NICKNAME_LENGTH = 50;
+const MAX_NOTES_LENGTH = 1000;
+
+// Same response for a missing user, a block and someone outside your
+// workspaces, so neither a block nor another workspace's member is disclosed
+const NOT_FOUND_RESPONSE = { error: 'User not found' };
+
+// Middleware to check if user is authenticated and registered
+function isRegistered(req, res, next) {
+  if (req.user && req.user.type === 'existing') {
+    return next();
+  }
+  res.status(401).json({ error: 'Not authenticated or not registered' });
+}
+
+// Optional text field: undefined when absent, null when cleared, else trimmed
+function parseText(value, name, maxLength) {
+  if (value === undefined) return { value: undefined };
+  if (value === null) return { value: null };
+  if (typeof value !== 'string') {
+    return { error: `${name} must be a string` };
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) {
+    return { error: `${name} must be ${maxLength} characters or less` };
+  }
+  return { value: trimmed || null };
+}
+
+// Validate the nickname, notes and favorite flag of a contact
+function validateContactFields({ nickname, notes, favorite }) {
+  const parsedNickname = parseText(nickname, 'nickname', MAX_NICKNAME_LENGTH);
+  if (parsedNickname.error) return { valid: false, error: parsedNickname.error };
+
+  const parsedNotes = parseText(notes, 'notes', MAX_NOTES_LENGTH);
+  if (parsedNotes.error) return { valid: false, error: parsedNotes.error };
+
+  if (favorite !== undefined && typeof favorite !== 'boolean') {
+    return { valid: false, error: 'favorite must be a boolean' };
+  }
+
+  return {
+    valid: true,
+    fields: { nickname: parsedNickname.value, notes: parsedNotes.value, favorite }
+  };
+}
+
+// Phonebook entries for contacts rows, with the owner's own nickname, notes and favorite flag
+async function describeContacts(rows) {
+  const entries = await describePhonebookEntries(rows);
+  return entries.map((entry, index) => ({
+    ...entry,
+    nickname: rows[index].nickname,
+    notes: rows[index].notes,
+    favorite: rows[index].favorite,
+    addedAt: rows[index].contact_added_at
+  }));
+}
+
+// One of your contacts as listed by GET /api/contacts
+async function findContactEntry(ownerId, contactId) {
+  const rows = (await getContacts(ownerId)).filter(row => row.id === contactId);
+  return rows.length > 0 ? (await describeContacts(rows))[0] : null;
+}
+
+// List your contacts, favorites first
+router.get('/', isRegistered, async (req, res) => {
+  try {
+    const rows = await getContacts(req.user.user.id);
+    res.json({ contacts: await describeContacts(rows) });
+  } catch (error) {
+    console.error('Get contacts error:', error);
+    res.status(500).json({ error: 'Failed to fetch contacts' });
+  }
+});
+
+// Add someone to your contacts by id or codename ({ userId } or { codename }),
+// optionally with a nickname, notes and favorite flag
+router.post('/', isRegistered, async (req, res) => {
+  const ownerId = req.user.user.id;
+  const { userId, codename } = req.body;
+
+  if (!userId && !codename) {
+    return res.status(400).json({ error: 'userId or codename is required' });
+  }
+
+  const validation = validateContactFields(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const contact = userId
+      ? await getUserById(parseInt(userId, 10))
+      : await getUserByCodename(String(codename).trim());
+    if (contact && contact.id === ownerId) {
+      return res.status(400).json({ error: 'Cannot add yourself as a contact' });
+    }
+    if (!contact || await isBlockedEitherWay(ownerId, contact.id) || !await sharesWorkspace(ownerId, contact.id)) {
+      return res.status(404).json(NOT_FOUND_RESPONSE);
+    }
+
+    await addContact(ownerId, contact.id, validation.fields);
+    res.status(201).json({ success: true, contact: await findContactEntry(ownerId, contact.id) });
+  } catch (error) {
+    console.error('Add contact error:', error);
+    res.status(500).json({ error: 'Failed to add contact' });
+  }
+});
+
+// Change a contact's nickname, notes or favorite flag (null clears a nickname or notes)
+router.put('/:userId', isRegistered, async (req, res) => {
+  const ownerId = req.user.user.id;
+  const contactId = parseInt(req.params.userId, 10);
+
+  const validation = validateContactFields(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    // Contacts hidden from the list (blocked either way, or no longer in a
+    // workspace with you) can't be edited either
+    if (!await findContactEntry(ownerId, contactId)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    await updateContact(ownerId, contactId, validation.fields);
+    res.json({ success: true, contact: await findContactEntry(ownerId, contactId) });
+  } catch (error) {
+    console.error('Update contact error:', error);
+    res.status(500).json({ error: 'Failed to update contact' });
+  }
+});
+
+// Remove someone from your contacts
+router.delete('/:userId', isRegistered, async (req, res) => {
+  try {
+    const removed = await deleteContact(req.user.user.id, parseInt(req.params.userId, 10));
+    if (!removed) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete contact error:', error);
+    res.status(500).json({ error: 'Failed to remove contact' });
+  }
+});
+
+module.exports = router;
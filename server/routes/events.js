@@ -0,0 +1,31 @@
+const express = require('express');
+const { subscribe } = require('../services/events');
+
+const router = express.Router();
+
+// Middleware to check if user is authenticated and registered
+function isRegistered(req, res, next) {
+  if (req.user && req.user.type === 'existing') {
+    return next();
+  }
+  res.status(401).json({ error: 'Not authenticated or not registered' });
+}
+
+// Server-Sent Events stream for the logged-in user (call lifecycle etc.)
+router.get('/', isRegistered, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable response buffering behind nginx-style proxies
+  });
+  res.flushHeaders();
+
+  // Tell the browser how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(req.user.user.id, res);
+  req.on('close', unsubscribe);
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const {
+  createInvite,
+  getInviteByToken,
+  getInvitesByInviter,
+  getInviteUsesForInvites,
+  revokeInvite,
+  getWorkspacesForUser
+} = require('../db/database');
+const {
+  DEFAULT_INVITE_HOURS,
+  MAX_INVITE_HOURS,
+  INVALID_INVITE,
+  generateInviteToken,
+  getInviteUrl,
+  getInviteStatus,
+  acceptInvite
+} = require('../services/invites');
+
+const router = express.Router();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Middleware to check if user is authenticated and registered
+function isRegistered(req, res, next) {
+  if (req.user && req.user.type === 'existing') {
+    return next();
+  }
+  res.status(401).json({ error: 'Not authenticated or not registered' });
+}
+
+// An invite as its inviter sees it, with who has used it
+function formatInvite(invite, uses, now) {
+  return {
+    id: invite.id,
+    url: getInviteUrl(invite.token),
+    workspace: invite.workspace_id ? { id: invite.workspace_id, name: invite.workspace_name } : null,
+    maxUses: invite.max_uses,
+    useCount: invite.use_count,
+    expiresAt: invite.expires_at,
+    revokedAt: invite.revoked_at,
+    createdAt: invite.created_at,
+    status: getInviteStatus(invite, now),
+    uses: uses.map(u => ({ userId: u.user_id, codename: u.codename, newUser: u.new_user, usedAt: u.used_at }))
+  };
+}
+
+// Your invite links, newest first
+router.get('/', isRegistered, async (req, res) => {
+  try {
+    const invites = await getInvitesByInviter(req.user.user.id);
+    const uses = await getInviteUsesForInvites(invites.map(i => i.id));
+    const now = new Date();
+    res.json({ invites: invites.map(i => formatInvite(i, uses[i.id] || [], now)) });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+// Create an invite link ({ expiresInHours?, singleUse?, workspaceId? }). With
+// no workspace given, your only workspace is used; with several, pick one.
+// Without a workspace there's none - people only reach each other within one.
+router.post('/', isRegistered, async (req, res) => {
+  const userId = req.user.user.id;
+  const { expiresInHours = DEFAULT_INVITE_HOURS, singleUse = false, workspaceId } = req.body;
+
+  if (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > MAX_INVITE_HOURS) {
+    return res.status(400).json({ error: `expiresInHours must be between 1 and ${MAX_INVITE_HOURS}` });
+  }
+  if (typeof singleUse !== 'boolean') {
+    return res.status(400).json({ error: 'singleUse must be a boolean' });
+  }
+
+  try {
+    const workspaces = await getWorkspacesForUser(userId);
+    let workspace = null;
+    if (workspaceId !== undefined && workspaceId !== null) {
+      workspace = workspaces.find(w => w.id === workspaceId);
+      if (!workspace) {
+        return res.status(404).json({ error: 'Workspace not found' });
+      }
+    } else if (workspaces.length === 1) {
+      workspace = workspaces[0];
+    } else if (workspaces.length > 1) {
+      return res.status(400).json({ error: 'Choose which workspace to invite to (workspaceId)' });
+    } else {
+      return res.status(409).json({ error: 'Join or create a workspace before inviting people to it' });
+    }
+
+    const token = generateInviteToken();
+    await createInvite({
+      token,
+      inviterId: userId,
+      workspaceId: workspace.id,
+      maxUses: singleUse ? 1 : null,
+      expiresAt: new Date(Date.now() + expiresInHours * HOUR_MS)
+    });
+
+    const invite = await getInviteByToken(token);
+    res.status(201).json({ success: true, invite: formatInvite(invite, [], new Date()) });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// Revoke one of your invite links
+router.delete('/:id', isRegistered, async (req, res) => {
+  try {
+    const revoked = await revokeInvite(parseInt(req.params.id, 10), req.user.user.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// Who an invite link is from - shown before signing in, so no login needed
+router.get('/:token/preview', async (req, res) => {
+  try {
+    const invite = await getInviteByToken(req.params.token);
+    if (!invite || !invite.workspace_id || getInviteStatus(invite) !== 'active') {
+      return res.status(404).json({ error: INVALID_INVITE });
+    }
+    res.json({
+      inviter: { codename: invite.inviter_codename },
+      workspace: { name: invite.workspace_name },
+      expiresAt: invite.expires_at
+    });
+  } catch (error) {
+    console.error('Invite preview error:', error);
+    res.status(500).json({ error: 'Failed to fetch invite' });
+  }
+});
+
+// Accept an invite with an account you already have ({ token }); new users
+// accept theirs when they register
+router.post('/accept', isRegistered, async (req, res) => {
+  try {
+    const result = await acceptInvite(req.body.token, req.user.user);
+    if (!result.valid) {
+      return res.status(result.error === INVALID_INVITE ? 404 : 400).json({ error: result.error });
+    }
+    res.json({ success: true, inviter: result.inviter, workspace: result.workspace });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const {
+  getUserById,
+  getConversationBetween,
+  getConversationsForUser,
+  getMessages,
+  isMessageInConversation
+} = require('../db/database');
+const { generateMessagingTwiML } = require('../services/telephony');
+const {
+  validateMessageBody,
+  canMessage,
+  formatMessage,
+  sendMessage,
+  markRead,
+  receiveTextMessage
+} = require('../services/messaging');
+const { validateTwilioRequest } = require('../middleware/twilio');
+
+const router = express.Router();
+
+// Messages per page of a conversation
+const DEFAULT_MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
+// Middleware to check if user is authenticated and registered
+function isRegistered(req, res, next) {
+  if (req.user && req.user.type === 'existing') {
+    return next();
+  }
+  res.status(401).json({ error: 'Not authenticated or not registered' });
+}
+
+// The other user of a conversation, or null (and a 404) unless you may message them
+async function loadMessageable(req, res) {
+  const otherUserId = parseInt(req.params.userId, 10);
+  const other = Number.isInteger(otherUserId) && await canMessage(req.user.user.id, otherUserId)
+    ? await getUserById(otherUserId)
+    : null;
+  if (!other) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return other;
+}
+
+// Incoming text to the Twilio number (called by Twilio): a message from the
+// phone's owner, relayed on like one written in the app
+router.post('/sms', validateTwilioRequest, async (req, res) => {
+  const { From, Body, MessageSid } = req.body;
+
+  try {
+    const reply = await receiveTextMessage({ from: From, body: Body, smsSid: MessageSid });
+    res.type('text/xml');
+    res.send(generateMessagingTwiML(reply));
+  } catch (error) {
+    console.error('Incoming text error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Your conversations, most recent first, with how many messages you haven't read
+router.get('/', isRegistered, async (req, res) => {
+  const userId = req.user.user.id;
+
+  try {
+    const conversations = await getConversationsForUser(userId);
+    res.json({
+      conversations: conversations.map(c => ({
+        id: c.id,
+        with: { id: c.other_user_id, codename: c.other_codename },
+        lastMessage: {
+          fromMe: c.last_sender_id === userId,
+          body: c.last_body,
+          sentAt: c.last_sent_at
+        },
+        unread: c.unread_count
+      })),
+      unread: conversations.reduce((sum, c) => sum + c.unread_count, 0)
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Messages with one user, oldest first (query: limit, before - the oldest
+// message id you have, for the page before it)
+router.get('/:userId', isRegistered, async (req, res) => {
+  const userId = req.user.user.id;
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_MESSAGE_PAGE_SIZE;
+  const before = req.query.before ? parseInt(req.query.before, 10) : null;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MESSAGE_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_MESSAGE_PAGE_SIZE}` });
+  }
+  if (Number.isNaN(before)) {
+    return res.status(400).json({ error: 'Invalid before' });
+  }
+
+  try {
+    const other = await loadMessageable(req, res);
+    if (!other) return;
+
+    const conversation = await getConversationBetween(userId, other.id);
+    const messages = conversation ? await getMessages(conversation.id, { before, limit: limit + 1 }) : [];
+    const page = messages.slice(0, limit).reverse();
+
+    res.json({
+      with: { id: other.id, codename: other.codename },
+      messages: page.map(m => formatMessage(m, userId)),
+      hasMore: messages.length > limit
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// Send a message ({ body }); it's texted on if they're not in the app
+router.post('/:userId', isRegistered, async (req, res) => {
+  const validation = validateMessageBody(req.body.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const other = await loadMessageable(req, res);
+    if (!other) return;
+
+    const message = await sendMessage(req.user.user, other, validation.body);
+    res.status(201).json({ success: true, message });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// Mark messages with a user read, up to the latest or a given message of
+// the conversation ({ upTo? })
+router.put('/:userId/read', isRegistered, async (req, res) => {
+  const upTo = req.body.upTo ?? null;
+  if (upTo !== null && !Number.isInteger(upTo)) {
+    return res.status(400).json({ error: 'upTo must be a message id' });
+  }
+
+  try {
+    const other = await loadMessageable(req, res);
+    if (!other) return;
+
+    const conversation = await getConversationBetween(req.user.user.id, other.id);
+    if (upTo !== null && !(conversation && await isMessageInConversation(conversation.id, upTo))) {
+      return res.status(400).json({ error: 'upTo must be a message in this conversation' });
+    }
+    if (conversation) {
+      await markRead(req.user.user.id, conversation, upTo);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Mark messages read error:', error);
+    res.status(500).json({ error: 'Failed to mark messages read' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,71 @@
 const express = require('express');
 const {
   createUser,
-  getAllUsersExcept,
+  PHONEBOOK_SORTS,
+  getPhonebookPage,
+  getWorkspaceMembership,
+  joinWorkspacesByEmailDomain,
   updateUser,
   updateUserAnswerInApp,
+  updateUserRingSequence,
   isCodenameAvailable,
-  getUserByGoogleId
-} = require('../db/database-pg');
+  getUserByGoogleId,
+  getUserById,
+  createBlock,
+  deleteBlock,
+  getBlockedUsers,
+  updateUserAvailabilitySettings,
+  getAvailabilityWindows,
+  setAvailabilityWindows,
+  getUserPhones,
+  getUserPhone,
+  addUserPhone,
+  updateUserPhoneLabel,
+  setPrimaryUserPhone,
+  setUserPhoneWindows,
+  deleteUserPhone,
+  updateUserSpendingCap
+} = require('../db/database');
+const { isValidTimeZone, validateWindows, formatWindows } = require('../services/availability');
+const { refreshPresence, recordHeartbeat } = require('../services/presence');
+const { describePhonebookEntries, encodeCursor, decodeCursor } = require('../services/phonebook');
+const { getMonthlyUsage } = require('../services/billing');
+const { getWorkspaceEmailDomain } = require('../services/workspaces');
+const { acceptInvite } = require('../services/invites');
+const { getPhoneCountries, normalizePhoneNumber } = require('../services/phoneNumbers');
+const {
+  VERIFICATION_CHANNELS,
+  CODE_LENGTH,
+  getPhoneVerificationStatus,
+  startPhoneVerification,
+  confirmPhoneVerification
+} = require('../services/verification');
+const {
+  RING_MODES,
+  RING_ENDPOINTS,
+  DEFAULT_RING_TIMEOUTS,
+  MIN_RING_TIMEOUT_SECONDS,
+  MAX_RING_TIMEOUT_SECONDS,
+  getRingSequence,
+  validateRingSequence,
+  isPhoneDialable,
+  isStepDialable
+} = require('../services/ringing');
 
 const router = express.Router();
 
+// What a phone number can be labelled as, and how many one account can have
+const PHONE_LABELS = ['mobile', 'work', 'home', 'other'];
+const MAX_PHONES_PER_USER = 5;
+
+// Phonebook page sizes, and the longest codename search worth running
+const DEFAULT_PHONEBOOK_PAGE_SIZE = 50;
+const MAX_PHONEBOOK_PAGE_SIZE = 100;
+const MAX_PHONEBOOK_SEARCH_LENGTH = 30;
+
+// Longest id a browser tab may give itself for presence heartbeats
+const MAX_DEVICE_ID_LENGTH = 64;
+
 // Middleware to check if user is authenticated
 function isAuthenticated(req, res, next) {
   if (req.user) {
@@ -50,13 +106,23 @@ function validateCodename(codename) {
   return { valid: true, codename: trimmed };
 }
 
+// Availability settings as returned to their owner
+function formatAvailabilitySettings(user, windows) {
+  return {
+    timeZone: user.time_zone,
+    dndEnabled: user.dnd_enabled,
+    dndUntil: user.dnd_until,
+    windows: formatWindows(windows)
+  };
+}
+
 // Register a new user (complete registration after Google OAuth)
 router.post('/register', isAuthenticated, async (req, res) => {
   if (req.user.type === 'existing') {
     return res.status(400).json({ error: 'User already registered' });
   }
 
-  const { phoneNumber, codename } = req.body;
+  const { phoneNumber, country, codename, inviteToken } = req.body;
   const googleData = req.user.googleData;
 
   // Validate required fields
@@ -64,10 +130,10 @@ router.post('/register', isAuthenticated, async (req, res) => {
     return res.status(400).json({ error: 'Phone number and codename are required' });
   }
 
-  // Validate phone number format (basic validation)
-  const phoneRegex = /^\+?[1-9]\d{1,14}$/;
-  if (!phoneRegex.test(phoneNumber.replace(/[\s\-\(\)]/g, ''))) {
-    return res.status(400).json({ error: 'Invalid phone number format' });
+  // Parse into E.164 (numbers without a country code are read in the chosen country)
+  const phone = normalizePhoneNumber(phoneNumber, country);
+  if (!phone.valid) {
+    return res.status(400).json({ error: phone.error });
   }
 
   // Validate codename format
@@ -87,12 +153,32 @@ router.post('/register', isAuthenticated, async (req, res) => {
     const userId = await createUser({
       googleId: googleData.googleId,
       email: googleData.email,
+      emailVerified: googleData.emailVerified,
       firstName: googleData.firstName,
       lastName: googleData.lastName,
-      phoneNumber: phoneNumber.replace(/[\s\-\(\)]/g, ''),
+      phoneNumber: phone.phoneNumber,
+      phoneCountry: phone.country,
+      phoneType: phone.type,
       codename: validatedCodename
     });
 
+    // Workspaces open to their email domain take them in straight away (if
+    // Google has verified the address, and it's not at a public mail provider)
+    const emailDomain = getWorkspaceEmailDomain(googleData.email, googleData.emailVerified);
+    if (emailDomain) {
+      await joinWorkspacesByEmailDomain(userId, emailDomain);
+    }
+
+    // Signed up through an invite link: connect them with the inviter. A link
+    // that has expired meanwhile doesn't stand in the way of registering.
+    let invite;
+    if (inviteToken) {
+      const accepted = await acceptInvite(inviteToken, { id: userId }, { newUser: true });
+      invite = accepted.valid
+        ? { inviter: accepted.inviter, workspace: accepted.workspace }
+        : { error: accepted.error };
+    }
+
     // Update session to reflect registered user
     const user = await getUserByGoogleId(googleData.googleId);
     req.user.type = 'existing';
@@ -110,10 +196,15 @@ router.post('/register', isAuthenticated, async (req, res) => {
           email: user.email,
           firstName: user.first_name,
           lastName: user.last_name,
+          phoneId: user.phone_id,
           phoneNumber: user.phone_number,
+          phoneCountry: user.phone_country,
+          phoneType: user.phone_type,
           codename: user.codename,
-          answerInApp: user.answer_in_app
-        }
+          answerInApp: user.answer_in_app,
+          phoneVerified: Boolean(user.phone_verified_at)
+        },
+        invite
       });
     });
   } catch (error) {
@@ -125,15 +216,48 @@ router.post('/register', isAuthenticated, async (req, res) => {
   }
 });
 
-// Get all users (phonebook) - only for registered users
+// Get a page of the phonebook (people you share a workspace with) - only for registered users
+// Query: workspace (one workspace's members), q (codename search), sort
+// (alphabetical, recent or frequent), limit, cursor
 router.get('/phonebook', isAuthenticated, isRegistered, async (req, res) => {
+  const workspaceId = req.query.workspace ? parseInt(req.query.workspace, 10) : null;
+  const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const sort = req.query.sort || 'alphabetical';
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_PHONEBOOK_PAGE_SIZE;
+
+  if (workspaceId !== null && !Number.isInteger(workspaceId)) {
+    return res.status(400).json({ error: 'workspace must be a workspace id' });
+  }
+  if (!Object.prototype.hasOwnProperty.call(PHONEBOOK_SORTS, sort)) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(PHONEBOOK_SORTS).join(', ')}` });
+  }
+  if (search.length > MAX_PHONEBOOK_SEARCH_LENGTH) {
+    return res.status(400).json({ error: `Search must be ${MAX_PHONEBOOK_SEARCH_LENGTH} characters or less` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PHONEBOOK_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_PHONEBOOK_PAGE_SIZE}` });
+  }
+
+  let after;
+  if (req.query.cursor) {
+    after = decodeCursor(String(req.query.cursor), { workspaceId, search, sort });
+    if (!after) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+  }
+
   try {
-    const users = await getAllUsersExcept(req.user.user.id);
+    if (workspaceId !== null) {
+      const membership = await getWorkspaceMembership(workspaceId, req.user.user.id);
+      if (!membership || membership.removed_at) {
+        return res.status(404).json({ error: 'Workspace not found' });
+      }
+    }
+
+    const page = await getPhonebookPage(req.user.user.id, { workspaceId, search, sort, limit, after });
     res.json({
-      users: users.map(u => ({
-        id: u.id,
-        codename: u.codename
-      }))
+      users: await describePhonebookEntries(page.users),
+      nextCursor: page.next ? encodeCursor({ workspaceId, search, sort, after: page.next }) : null
     });
   } catch (error) {
     console.error('Phonebook error:', error);
@@ -141,6 +265,11 @@ router.get('/phonebook', isAuthenticated, isRegistered, async (req, res) => {
   }
 });
 
+// Countries a phone number can be registered in, and which one to preselect
+router.get('/phone-countries', isAuthenticated, (req, res) => {
+  res.json(getPhoneCountries());
+});
+
 // Check if codename is available
 router.get('/check-codename/:codename', isAuthenticated, async (req, res) => {
   const { codename } = req.params;
@@ -158,7 +287,7 @@ router.get('/check-codename/:codename', isAuthenticated, async (req, res) => {
 
 // Update user profile (phone number and codename)
 router.put('/profile', isAuthenticated, isRegistered, async (req, res) => {
-  const { phoneNumber, codename } = req.body;
+  const { phoneNumber, country, codename } = req.body;
   const userId = req.user.user.id;
 
   // Validate required fields
@@ -166,10 +295,9 @@ router.put('/profile', isAuthenticated, isRegistered, async (req, res) => {
     return res.status(400).json({ error: 'Phone number and codename are required' });
   }
 
-  // Validate phone number format
-  const phoneRegex = /^\+?[1-9]\d{1,14}$/;
-  if (!phoneRegex.test(phoneNumber.replace(/[\s\-\(\)]/g, ''))) {
-    return res.status(400).json({ error: 'Invalid phone number format' });
+  const phone = normalizePhoneNumber(phoneNumber, country || req.user.user.phone_country);
+  if (!phone.valid) {
+    return res.status(400).json({ error: phone.error });
   }
 
   // Validate codename format
@@ -186,14 +314,27 @@ router.put('/profile', isAuthenticated, isRegistered, async (req, res) => {
   }
 
   try {
-    await updateUser(userId, {
-      phoneNumber: phoneNumber.replace(/[\s\-\(\)]/g, ''),
+    // Another of your numbers would clash with it; that one can be made primary instead
+    const phones = await getUserPhones(userId);
+    if (phones.some(p => !p.is_primary && p.phone_number === phone.phoneNumber)) {
+      return res.status(400).json({ error: 'This is already one of your phone numbers. Make it your primary number instead.' });
+    }
+
+    // Changing the number clears its verification
+    const user = await updateUser(userId, {
+      phoneNumber: phone.phoneNumber,
+      phoneCountry: phone.country,
+      phoneType: phone.type,
       codename: validatedCodename
     });
 
     // Update session
-    req.user.user.phone_number = phoneNumber.replace(/[\s\-\(\)]/g, '');
-    req.user.user.codename = validatedCodename;
+    req.user.user.phone_id = user.phone_id;
+    req.user.user.phone_number = user.phone_number;
+    req.user.user.phone_country = user.phone_country;
+    req.user.user.phone_type = user.phone_type;
+    req.user.user.codename = user.codename;
+    req.user.user.phone_verified_at = user.phone_verified_at;
 
     res.json({
       success: true,
@@ -202,9 +343,13 @@ router.put('/profile', isAuthenticated, isRegistered, async (req, res) => {
         email: req.user.user.email,
         firstName: req.user.user.first_name,
         lastName: req.user.user.last_name,
+        phoneId: req.user.user.phone_id,
         phoneNumber: req.user.user.phone_number,
+        phoneCountry: req.user.user.phone_country,
+        phoneType: req.user.user.phone_type,
         codename: req.user.user.codename,
-        answerInApp: req.user.user.answer_in_app
+        answerInApp: req.user.user.answer_in_app,
+        phoneVerified: Boolean(req.user.user.phone_verified_at)
       }
     });
   } catch (error) {
@@ -213,6 +358,260 @@ router.put('/profile', isAuthenticated, isRegistered, async (req, res) => {
   }
 });
 
+// A user_phones row as returned to its owner
+function formatPhone(phone) {
+  return {
+    id: phone.id,
+    phoneNumber: phone.phone_number,
+    phoneCountry: phone.phone_country,
+    phoneType: phone.phone_type,
+    label: phone.label,
+    primary: phone.is_primary,
+    verified: Boolean(phone.verified_at),
+    hours: formatWindows(phone.windows)
+  };
+}
+
+// Look up one of your phones from the :id in the path, or send a 404
+async function findOwnPhone(req, res) {
+  const phoneId = parseInt(req.params.id, 10);
+  const phone = Number.isInteger(phoneId) ? await getUserPhone(req.user.user.id, phoneId) : null;
+  if (!phone) {
+    res.status(404).json({ error: 'Phone number not found' });
+    return null;
+  }
+  return phone;
+}
+
+// Reload the session user after their primary phone changed
+async function refreshSessionUser(req) {
+  req.user.user = await getUserById(req.user.user.id);
+}
+
+// List your phone numbers, primary first
+router.get('/phones', isAuthenticated, isRegistered, async (req, res) => {
+  try {
+    const phones = await getUserPhones(req.user.user.id);
+    res.json({ phones: phones.map(formatPhone), labels: PHONE_LABELS, max: MAX_PHONES_PER_USER });
+  } catch (error) {
+    console.error('Get phones error:', error);
+    res.status(500).json({ error: 'Failed to fetch phone numbers' });
+  }
+});
+
+// Add a phone number: { phoneNumber, country?, label?, hours? }. It is only
+// rung once verified, and (with hours) only within them
+router.post('/phones', isAuthenticated, isRegistered, async (req, res) => {
+  const { phoneNumber, country, label = 'mobile', hours = [] } = req.body;
+  const user = req.user.user;
+
+  if (!phoneNumber) {
+    return res.status(400).json({ error: 'Phone number is required' });
+  }
+  if (!PHONE_LABELS.includes(label)) {
+    return res.status(400).json({ error: `label must be one of: ${PHONE_LABELS.join(', ')}` });
+  }
+
+  const phone = normalizePhoneNumber(phoneNumber, country || user.phone_country);
+  if (!phone.valid) {
+    return res.status(400).json({ error: phone.error });
+  }
+  const windowsValidation = validateWindows(hours);
+  if (!windowsValidation.valid) {
+    return res.status(400).json({ error: windowsValidation.error });
+  }
+
+  try {
+    const phones = await getUserPhones(user.id);
+    if (phones.some(p => p.phone_number === phone.phoneNumber)) {
+      return res.status(400).json({ error: 'This is already one of your phone numbers' });
+    }
+    if (phones.length >= MAX_PHONES_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_PHONES_PER_USER} phone numbers` });
+    }
+
+    const added = await addUserPhone(user.id, {
+      phoneNumber: phone.phoneNumber,
+      phoneCountry: phone.country,
+      phoneType: phone.type,
+      label
+    });
+    await setUserPhoneWindows(added.id, windowsValidation.windows);
+
+    res.status(201).json({ success: true, phone: formatPhone(await getUserPhone(user.id, added.id)) });
+  } catch (error) {
+    console.error('Add phone error:', error);
+    res.status(500).json({ error: 'Failed to add phone number' });
+  }
+});
+
+// Change a phone's label, its hours ([] to ring it any time), or make it your
+// primary number ({ primary: true }, verified numbers only)
+router.put('/phones/:id', isAuthenticated, isRegistered, async (req, res) => {
+  const { label, primary, hours } = req.body;
+
+  if (label !== undefined && !PHONE_LABELS.includes(label)) {
+    return res.status(400).json({ error: `label must be one of: ${PHONE_LABELS.join(', ')}` });
+  }
+  if (primary !== undefined && primary !== true) {
+    return res.status(400).json({ error: 'primary can only be set to true; make another number primary instead' });
+  }
+
+  let windows;
+  if (hours !== undefined) {
+    const windowsValidation = validateWindows(hours);
+    if (!windowsValidation.valid) {
+      return res.status(400).json({ error: windowsValidation.error });
+    }
+    windows = windowsValidation.windows;
+  }
+
+  try {
+    const phone = await findOwnPhone(req, res);
+    if (!phone) return;
+
+    if (primary && !phone.is_primary && !phone.verified_at) {
+      return res.status(400).json({ error: 'Verify this phone number before making it your primary number' });
+    }
+
+    if (label !== undefined) {
+      await updateUserPhoneLabel(phone.id, label);
+    }
+    if (windows) {
+      await setUserPhoneWindows(phone.id, windows);
+    }
+    if (primary && !phone.is_primary) {
+      await setPrimaryUserPhone(req.user.user.id, phone.id);
+      await refreshSessionUser(req);
+    }
+
+    res.json({ success: true, phone: formatPhone(await getUserPhone(req.user.user.id, phone.id)) });
+  } catch (error) {
+    console.error('Update phone error:', error);
+    res.status(500).json({ error: 'Failed to update phone number' });
+  }
+});
+
+// Remove a phone number (not the primary one). Ring steps naming it go too.
+router.delete('/phones/:id', isAuthenticated, isRegistered, async (req, res) => {
+  const user = req.user.user;
+
+  try {
+    const phone = await findOwnPhone(req, res);
+    if (!phone) return;
+
+    if (phone.is_primary) {
+      return res.status(400).json({ error: 'Make another number primary before removing this one' });
+    }
+
+    const sequence = getRingSequence(user);
+    if (sequence.custom && sequence.steps.some(step => step.phoneId === phone.id)) {
+      const steps = sequence.steps.filter(step => step.phoneId !== phone.id);
+      const updatedUser = await updateUserRingSequence(user.id, {
+        mode: steps.length > 0 ? sequence.mode : 'sequential',
+        steps: steps.length > 0 ? steps : null,
+        answerInApp: user.answer_in_app
+      });
+      req.user.user.ring_mode = updatedUser.ring_mode;
+      req.user.user.ring_steps = updatedUser.ring_steps;
+    }
+
+    await deleteUserPhone(user.id, phone.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete phone error:', error);
+    res.status(500).json({ error: 'Failed to remove phone number' });
+  }
+});
+
+// Whether one of your phone numbers is verified, and any code waiting to be entered
+router.get('/phones/:id/verification', isAuthenticated, isRegistered, async (req, res) => {
+  try {
+    const phone = await findOwnPhone(req, res);
+    if (!phone) return;
+
+    res.json(await getPhoneVerificationStatus(phone));
+  } catch (error) {
+    console.error('Get phone verification error:', error);
+    res.status(500).json({ error: 'Failed to fetch phone verification' });
+  }
+});
+
+// Send a one-time code to one of your phone numbers by text message or voice call
+router.post('/phones/:id/verification', isAuthenticated, isRegistered, async (req, res) => {
+  const { channel = 'sms' } = req.body;
+
+  if (!VERIFICATION_CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `channel must be ${VERIFICATION_CHANNELS.join(' or ')}` });
+  }
+
+  try {
+    const phone = await findOwnPhone(req, res);
+    if (!phone) return;
+
+    if (phone.verified_at) {
+      return res.status(409).json({ error: 'This phone number is already verified' });
+    }
+
+    // Stored numbers from before parsing was strict, or from a country no longer served
+    if (!normalizePhoneNumber(phone.phone_number).valid) {
+      return res.status(400).json({ error: 'This phone number can no longer be used. Update it first.' });
+    }
+    if (channel === 'sms' && phone.phone_type === 'landline') {
+      return res.status(400).json({ error: 'Landlines cannot receive text messages. Choose a voice call instead.' });
+    }
+
+    const { retryAfter } = await startPhoneVerification(phone, channel);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many codes requested. Please wait before asking for another.',
+        retryAfter
+      });
+    }
+
+    res.json({ success: true, ...await getPhoneVerificationStatus(phone) });
+  } catch (error) {
+    console.error('Send verification code error:', error);
+    if (error.message.includes('not configured')) {
+      return res.status(503).json({
+        error: 'Phone service not configured',
+        details: 'Twilio credentials are missing. Please contact the administrator.'
+      });
+    }
+    res.status(502).json({ error: 'Could not send the code to your phone number. Check that it is correct.' });
+  }
+});
+
+// Enter the code you were sent to verify one of your phone numbers
+router.post('/phones/:id/verification/confirm', isAuthenticated, isRegistered, async (req, res) => {
+  const code = typeof req.body.code === 'string' ? req.body.code.trim() : '';
+
+  if (!new RegExp(`^\\d{${CODE_LENGTH}}$`).test(code)) {
+    return res.status(400).json({ error: `Enter the ${CODE_LENGTH}-digit code you were sent` });
+  }
+
+  try {
+    const phone = await findOwnPhone(req, res);
+    if (!phone) return;
+
+    const result = await confirmPhoneVerification(phone, code);
+    if (result.error) {
+      return res.status(400).json({ error: result.error, attemptsLeft: result.attemptsLeft });
+    }
+
+    // Update session
+    if (phone.is_primary) {
+      req.user.user.phone_verified_at = result.phone.verified_at;
+    }
+
+    res.json({ success: true, ...await getPhoneVerificationStatus(result.phone) });
+  } catch (error) {
+    console.error('Confirm verification code error:', error);
+    res.status(500).json({ error: 'Failed to verify phone number' });
+  }
+});
+
 // Toggle answer in app preference
 router.put('/answer-in-app', isAuthenticated, isRegistered, async (req, res) => {
   const { answerInApp } = req.body;
@@ -223,10 +622,30 @@ router.put('/answer-in-app', isAuthenticated, isRegistered, async (req, res) =>
   }
 
   try {
-    const updatedUser = await updateUserAnswerInApp(userId, answerInApp);
+    // A custom ring sequence gains the browser as its first step, or loses it
+    // (going back to the default if nothing else is left)
+    const sequence = getRingSequence(req.user.user);
+    let updatedUser;
+    if (sequence.custom) {
+      const others = sequence.steps.filter(step => step.endpoint !== 'browser');
+      const steps = answerInApp
+        ? [sequence.steps.find(step => step.endpoint === 'browser') || { endpoint: 'browser', timeout: DEFAULT_RING_TIMEOUTS.browser }, ...others]
+        : others;
+      updatedUser = await updateUserRingSequence(userId, {
+        mode: steps.length > 0 ? sequence.mode : 'sequential',
+        steps: steps.length > 0 ? steps : null,
+        answerInApp
+      });
+    } else {
+      updatedUser = await updateUserAnswerInApp(userId, answerInApp);
+    }
 
     // Update session
     req.user.user.answer_in_app = answerInApp;
+    req.user.user.ring_mode = updatedUser.ring_mode;
+    req.user.user.ring_steps = updatedUser.ring_steps;
+
+    await refreshPresence([userId]);
 
     res.json({
       success: true,
@@ -238,4 +657,278 @@ router.put('/answer-in-app', isAuthenticated, isRegistered, async (req, res) =>
   }
 });
 
+// Whether a step could ever ring: the browser, or a verified number (whatever its hours)
+function canRingStep(step, phones) {
+  if (step.endpoint === 'browser') return true;
+  return phones.some(phone => (!step.phoneId || phone.id === step.phoneId) && isPhoneDialable(phone));
+}
+
+// Your ring sequence, your phone numbers, and which endpoints can be rung right now
+function describeRingSettings(user, phones) {
+  const { mode, steps, custom } = getRingSequence(user);
+  const endpoints = [
+    ...RING_ENDPOINTS.map(endpoint => ({ endpoint })),
+    ...phones.map(phone => ({ endpoint: 'phone', phoneId: phone.id }))
+  ];
+  return {
+    mode,
+    steps: steps.map(step => ({ ...step, dialable: isStepDialable(user, phones, step) })),
+    custom,
+    endpoints: endpoints.map(step => ({ ...step, dialable: isStepDialable(user, phones, step) })),
+    phones: phones.map(formatPhone),
+    modes: RING_MODES,
+    timeouts: { min: MIN_RING_TIMEOUT_SECONDS, max: MAX_RING_TIMEOUT_SECONDS, defaults: DEFAULT_RING_TIMEOUTS }
+  };
+}
+
+// Get how you are rung when called
+router.get('/ring-sequence', isAuthenticated, isRegistered, async (req, res) => {
+  try {
+    res.json(describeRingSettings(req.user.user, await getUserPhones(req.user.user.id)));
+  } catch (error) {
+    console.error('Get ring sequence error:', error);
+    res.status(500).json({ error: 'Failed to fetch ring sequence' });
+  }
+});
+
+// Set how you are rung: { mode, steps: [{ endpoint, phoneId?, timeout }] }, or
+// { steps: null } to go back to the default (browser if answering in app, then
+// phone). A phone step without a phoneId rings whichever number suits the time.
+router.put('/ring-sequence', isAuthenticated, isRegistered, async (req, res) => {
+  const userId = req.user.user.id;
+  const { mode = 'sequential', steps } = req.body;
+
+  try {
+    const phones = await getUserPhones(userId);
+
+    let update;
+    if (steps === null) {
+      update = { mode: 'sequential', steps: null, answerInApp: req.user.user.answer_in_app };
+    } else {
+      const validation = validateRingSequence(mode, steps, phones);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+      if (!validation.steps.some(step => canRingStep(step, phones))) {
+        return res.status(400).json({ error: 'None of these endpoints can be rung yet. Verify a phone number or include the browser.' });
+      }
+      update = {
+        mode: validation.mode,
+        steps: validation.steps,
+        answerInApp: validation.steps.some(step => step.endpoint === 'browser')
+      };
+    }
+
+    const updatedUser = await updateUserRingSequence(userId, update);
+
+    // Update session
+    req.user.user.ring_mode = updatedUser.ring_mode;
+    req.user.user.ring_steps = updatedUser.ring_steps;
+    req.user.user.answer_in_app = updatedUser.answer_in_app;
+
+    await refreshPresence([userId]);
+
+    res.json({ success: true, answerInApp: updatedUser.answer_in_app, ...describeRingSettings(req.user.user, phones) });
+  } catch (error) {
+    console.error('Ring sequence update error:', error);
+    res.status(500).json({ error: 'Failed to update ring sequence' });
+  }
+});
+
+// Heartbeat from a browser tab while its Twilio Device is (or stops being)
+// registered ({ registered, deviceId } - an id the tab keeps for its lifetime)
+router.post('/presence', isAuthenticated, isRegistered, async (req, res) => {
+  const { registered, deviceId } = req.body;
+
+  if (typeof registered !== 'boolean') {
+    return res.status(400).json({ error: 'registered must be a boolean' });
+  }
+  if (typeof deviceId !== 'string' || !deviceId || deviceId.length > MAX_DEVICE_ID_LENGTH) {
+    return res.status(400).json({ error: 'deviceId is required' });
+  }
+
+  try {
+    await recordHeartbeat(req.user.user.id, deviceId, registered);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Presence heartbeat error:', error);
+    res.status(500).json({ error: 'Failed to update presence' });
+  }
+});
+
+// Get your own availability schedule and do-not-disturb settings
+router.get('/availability', isAuthenticated, isRegistered, async (req, res) => {
+  try {
+    const user = await getUserById(req.user.user.id);
+    const windows = await getAvailabilityWindows(user.id);
+    res.json(formatAvailabilitySettings(user, windows));
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// Replace your weekly availability schedule (an empty list means always available)
+router.put('/availability', isAuthenticated, isRegistered, async (req, res) => {
+  const { timeZone, windows } = req.body;
+  const userId = req.user.user.id;
+
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'Invalid time zone' });
+  }
+
+  const windowsValidation = validateWindows(windows);
+  if (!windowsValidation.valid) {
+    return res.status(400).json({ error: windowsValidation.error });
+  }
+
+  try {
+    await setAvailabilityWindows(userId, windowsValidation.windows);
+    const user = await updateUserAvailabilitySettings(userId, { timeZone });
+
+    // Update session
+    req.user.user.time_zone = user.time_zone;
+
+    const saved = await getAvailabilityWindows(userId);
+    res.json({ success: true, ...formatAvailabilitySettings(user, saved) });
+  } catch (error) {
+    console.error('Availability update error:', error);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+});
+
+// Turn do-not-disturb on (optionally until a given time) or off
+router.put('/dnd', isAuthenticated, isRegistered, async (req, res) => {
+  const { enabled, until } = req.body;
+  const userId = req.user.user.id;
+
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be a boolean' });
+  }
+
+  let dndUntil = null;
+  if (enabled && until) {
+    const untilDate = new Date(until);
+    if (isNaN(untilDate.getTime()) || untilDate <= new Date()) {
+      return res.status(400).json({ error: 'until must be a time in the future' });
+    }
+    dndUntil = untilDate.toISOString();
+  }
+
+  try {
+    const user = await updateUserAvailabilitySettings(userId, { dndEnabled: enabled, dndUntil });
+
+    // Update session
+    req.user.user.dnd_enabled = user.dnd_enabled;
+    req.user.user.dnd_until = user.dnd_until;
+
+    res.json({
+      success: true,
+      dndEnabled: user.dnd_enabled,
+      dndUntil: user.dnd_until
+    });
+  } catch (error) {
+    console.error('DND update error:', error);
+    res.status(500).json({ error: 'Failed to update do-not-disturb' });
+  }
+});
+
+// Your call minutes and cost for a month (?month=YYYY-MM, defaults to this month)
+router.get('/usage', isAuthenticated, isRegistered, async (req, res) => {
+  try {
+    const usage = await getMonthlyUsage(req.user.user, req.query.month);
+    if (!usage) {
+      return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+    }
+    res.json(usage);
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// Set or clear (null) your monthly spending cap
+router.put('/spending-cap', isAuthenticated, isRegistered, async (req, res) => {
+  const { cap } = req.body;
+
+  if (cap !== null && (typeof cap !== 'number' || !isFinite(cap) || cap < 0 || cap >= 100000000)) {
+    return res.status(400).json({ error: 'cap must be a non-negative number or null' });
+  }
+
+  try {
+    const user = await updateUserSpendingCap(req.user.user.id, cap === null ? null : Math.round(cap * 100) / 100);
+
+    // Update session
+    req.user.user.monthly_spend_cap = user.monthly_spend_cap;
+
+    const usage = await getMonthlyUsage(user);
+    res.json({ success: true, ...usage });
+  } catch (error) {
+    console.error('Spending cap update error:', error);
+    res.status(500).json({ error: 'Failed to update spending cap' });
+  }
+});
+
+// List users you have blocked
+router.get('/blocks', isAuthenticated, isRegistered, async (req, res) => {
+  try {
+    const blocked = await getBlockedUsers(req.user.user.id);
+    res.json({
+      blocks: blocked.map(u => ({
+        id: u.id,
+        codename: u.codename,
+        blockedAt: u.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get blocks error:', error);
+    res.status(500).json({ error: 'Failed to fetch blocked users' });
+  }
+});
+
+// Block a user - they can no longer call you and you disappear from each other's phonebook
+router.post('/blocks', isAuthenticated, isRegistered, async (req, res) => {
+  const userId = req.user.user.id;
+  const blockedId = parseInt(req.body.userId, 10);
+
+  if (!blockedId) {
+    return res.status(400).json({ error: 'userId is required' });
+  }
+  if (blockedId === userId) {
+    return res.status(400).json({ error: 'Cannot block yourself' });
+  }
+
+  try {
+    const blocked = await getUserById(blockedId);
+    if (!blocked) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await createBlock(userId, blockedId);
+    res.json({
+      success: true,
+      block: { id: blocked.id, codename: blocked.codename }
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// Unblock a user
+router.delete('/blocks/:userId', isAuthenticated, isRegistered, async (req, res) => {
+  const blockedId = parseInt(req.params.userId, 10);
+
+  try {
+    const removed = await deleteBlock(req.user.user.id, blockedId);
+    if (!removed) {
+      return res.status(404).json({ error: 'User is not blocked' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
 module.exports = router;
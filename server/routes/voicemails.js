@@ -0,0 +1,189 @@
+const express = require('express');
+const { Readable } = require('stream');
+const {
+  getUserById,
+  getCallLogById,
+  createVoicemail,
+  getVoicemailsForUser,
+  getVoicemailById,
+  updateVoicemailHeard,
+  deleteVoicemail
+} = require('../db/database');
+const {
+  generateVoicemailTwiML,
+  generateSayAndHangupTwiML,
+  fetchRecordingAudio,
+  deleteRecording
+} = require('../services/telephony');
+const { publishToUser } = require('../services/events');
+const { validateTwilioRequest } = require('../middleware/twilio');
+
+const router = express.Router();
+
+// Middleware to check if user is authenticated and registered
+function isRegistered(req, res, next) {
+  if (req.user && req.user.type === 'existing') {
+    return next();
+  }
+  res.status(401).json({ error: 'Not authenticated or not registered' });
+}
+
+// Load a voicemail and make sure it belongs to the current user
+async function loadOwnVoicemail(req, res) {
+  const voicemail = await getVoicemailById(parseInt(req.params.id, 10));
+  if (!voicemail || voicemail.recipient_id !== req.user.user.id) {
+    res.status(404).json({ error: 'Voicemail not found' });
+    return null;
+  }
+  return voicemail;
+}
+
+// TwiML the caller is redirected to when the callee didn't pick up (called by Twilio)
+router.post('/twiml/:callLogId', validateTwilioRequest, async (req, res) => {
+  try {
+    const callLog = await getCallLogById(parseInt(req.params.callLogId, 10));
+    if (!callLog) {
+      return res.status(404).send('Call log not found');
+    }
+
+    const callee = await getUserById(callLog.callee_id);
+    const twiml = generateVoicemailTwiML(callee ? callee.codename : 'The person you called', callLog.id);
+    res.type('text/xml');
+    res.send(twiml);
+  } catch (error) {
+    console.error('Voicemail TwiML error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// TwiML played after the caller finished recording (called by Twilio)
+router.post('/twiml/:callLogId/complete', validateTwilioRequest, (req, res) => {
+  res.type('text/xml');
+  res.send(generateSayAndHangupTwiML('Your message has been sent. Goodbye.'));
+});
+
+// Recording status callback from Twilio - stores the voicemail against the call log
+router.post('/recording/:callLogId', validateTwilioRequest, async (req, res) => {
+  const callLogId = parseInt(req.params.callLogId, 10);
+  const { RecordingSid, RecordingUrl, RecordingDuration, RecordingStatus } = req.body;
+
+  console.log(`Call ${callLogId} recording status: ${RecordingStatus}`);
+
+  if (RecordingStatus !== 'completed') {
+    return res.sendStatus(200);
+  }
+
+  try {
+    const callLog = await getCallLogById(callLogId);
+    if (!callLog) {
+      return res.status(404).send('Call log not found');
+    }
+
+    const voicemailId = await createVoicemail({
+      callLogId,
+      senderId: callLog.caller_id,
+      recipientId: callLog.callee_id,
+      twilioRecordingSid: RecordingSid,
+      recordingUrl: RecordingUrl,
+      durationSeconds: parseInt(RecordingDuration, 10) || 0
+    });
+
+    // Let the recipient's open tabs know (no-op for a duplicate callback)
+    if (voicemailId) {
+      const sender = await getUserById(callLog.caller_id);
+      publishToUser(callLog.callee_id, 'voicemail', {
+        id: voicemailId,
+        from: sender ? sender.codename : null
+      });
+    }
+
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Recording callback error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// List the current user's voicemails
+router.get('/', isRegistered, async (req, res) => {
+  try {
+    const voicemails = await getVoicemailsForUser(req.user.user.id);
+    res.json({
+      voicemails: voicemails.map(v => ({
+        id: v.id,
+        callId: v.call_log_id,
+        duration: v.duration_seconds,
+        heard: v.heard,
+        createdAt: v.created_at,
+        from: {
+          id: v.sender_id,
+          codename: v.sender_codename
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Voicemail list error:', error);
+    res.status(500).json({ error: 'Failed to fetch voicemails' });
+  }
+});
+
+// Stream a voicemail's audio (proxied so Twilio credentials and URLs stay server-side)
+router.get('/:id/audio', isRegistered, async (req, res) => {
+  try {
+    const voicemail = await loadOwnVoicemail(req, res);
+    if (!voicemail) return;
+
+    const audio = await fetchRecordingAudio(voicemail.recording_url);
+    res.set({
+      'Content-Type': 'audio/mpeg',
+      'Cache-Control': 'private, no-store'
+    });
+    Readable.fromWeb(audio.body).pipe(res);
+  } catch (error) {
+    console.error('Voicemail audio error:', error);
+    res.status(502).json({ error: 'Failed to load voicemail audio' });
+  }
+});
+
+// Mark a voicemail as heard (or unheard)
+router.put('/:id/heard', isRegistered, async (req, res) => {
+  const { heard } = req.body;
+
+  if (typeof heard !== 'boolean') {
+    return res.status(400).json({ error: 'heard must be a boolean' });
+  }
+
+  try {
+    const voicemail = await loadOwnVoicemail(req, res);
+    if (!voicemail) return;
+
+    const updated = await updateVoicemailHeard(voicemail.id, heard);
+    res.json({ success: true, heard: updated.heard });
+  } catch (error) {
+    console.error('Voicemail update error:', error);
+    res.status(500).json({ error: 'Failed to update voicemail' });
+  }
+});
+
+// Delete a voicemail (and its recording at Twilio)
+router.delete('/:id', isRegistered, async (req, res) => {
+  try {
+    const voicemail = await loadOwnVoicemail(req, res);
+    if (!voicemail) return;
+
+    try {
+      await deleteRecording(voicemail.twilio_recording_sid);
+    } catch (error) {
+      // Still remove our copy - the recording may already be gone at Twilio
+      console.error('Failed to delete Twilio recording:', error.message);
+    }
+
+    await deleteVoicemail(voicemail.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Voicemail delete error:', error);
+    res.status(500).json({ error: 'Failed to delete voicemail' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,290 @@
+const express = require('express');
+const {
+  createWorkspace,
+  getWorkspaceById,
+  getWorkspaceByInviteCode,
+  getWorkspacesForUser,
+  getJoinableWorkspaces,
+  getWorkspaceMembership,
+  getWorkspaceMembers,
+  addWorkspaceMember,
+  removeWorkspaceMember,
+  leaveWorkspace,
+  updateWorkspace
+} = require('../db/database');
+const {
+  generateInviteCode,
+  normalizeInviteCode,
+  getWorkspaceEmailDomain,
+  validateWorkspaceName,
+  validateEmailDomain
+} = require('../services/workspaces');
+
+const router = express.Router();
+
+// Middleware to check if user is authenticated and registered
+function isRegistered(req, res, next) {
+  if (req.user && req.user.type === 'existing') {
+    return next();
+  }
+  res.status(401).json({ error: 'Not authenticated or not registered' });
+}
+
+// A workspace as its members see it; only the owner gets the invite code
+function formatWorkspace(workspace, role, memberCount) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    role,
+    memberCount,
+    emailDomain: workspace.email_domain,
+    inviteCode: role === 'owner' ? workspace.invite_code : undefined
+  };
+}
+
+// The workspace with the user's role in it, or null unless they're a member
+async function findOwnWorkspace(workspaceId, userId) {
+  const membership = await getWorkspaceMembership(workspaceId, userId);
+  if (!membership || membership.removed_at) return null;
+  const workspace = await getWorkspaceById(workspaceId);
+  return workspace ? { workspace, role: membership.role } : null;
+}
+
+// The user's entry from GET /api/workspaces for one workspace
+async function findWorkspaceEntry(workspaceId, userId) {
+  const row = (await getWorkspacesForUser(userId)).find(w => w.id === workspaceId);
+  return row ? formatWorkspace(row, row.role, row.member_count) : null;
+}
+
+// Your workspaces, those open to your email domain that you could join, and
+// the domain you could open a workspace to (null if your address can't be used)
+router.get('/', isRegistered, async (req, res) => {
+  const user = req.user.user;
+
+  try {
+    const workspaces = await getWorkspacesForUser(user.id);
+    const emailDomain = getWorkspaceEmailDomain(user.email, user.email_verified);
+    const joinable = emailDomain ? await getJoinableWorkspaces(user.id, emailDomain) : [];
+
+    res.json({
+      workspaces: workspaces.map(w => formatWorkspace(w, w.role, w.member_count)),
+      joinable: joinable.map(w => ({ id: w.id, name: w.name, emailDomain: w.email_domain })),
+      emailDomain
+    });
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({ error: 'Failed to fetch workspaces' });
+  }
+});
+
+// Create a workspace (you become its owner), optionally open to your email domain
+router.post('/', isRegistered, async (req, res) => {
+  const user = req.user.user;
+
+  const nameValidation = validateWorkspaceName(req.body.name);
+  if (!nameValidation.valid) {
+    return res.status(400).json({ error: nameValidation.error });
+  }
+  const domainValidation = validateEmailDomain(req.body.emailDomain, user);
+  if (!domainValidation.valid) {
+    return res.status(400).json({ error: domainValidation.error });
+  }
+
+  try {
+    const workspaceId = await createWorkspace({
+      name: nameValidation.name,
+      inviteCode: generateInviteCode(),
+      emailDomain: domainValidation.emailDomain,
+      ownerId: user.id
+    });
+    res.status(201).json({ success: true, workspace: await findWorkspaceEntry(workspaceId, user.id) });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({ error: 'Failed to create workspace' });
+  }
+});
+
+// Join a workspace with its invite code (also lets back in a removed member)
+router.post('/join', isRegistered, async (req, res) => {
+  const userId = req.user.user.id;
+  const code = normalizeInviteCode(req.body.code);
+
+  if (!code) {
+    return res.status(400).json({ error: 'Invite code is required' });
+  }
+
+  try {
+    const workspace = await getWorkspaceByInviteCode(code);
+    if (!workspace) {
+      return res.status(404).json({ error: 'No workspace has that invite code' });
+    }
+
+    const membership = await getWorkspaceMembership(workspace.id, userId);
+    if (!membership || membership.removed_at) {
+      await addWorkspaceMember(workspace.id, userId);
+    }
+    res.json({ success: true, workspace: await findWorkspaceEntry(workspace.id, userId) });
+  } catch (error) {
+    console.error('Join workspace error:', error);
+    res.status(500).json({ error: 'Failed to join workspace' });
+  }
+});
+
+// Join a workspace open to your email domain
+router.post('/:id/join', isRegistered, async (req, res) => {
+  const user = req.user.user;
+  const workspaceId = parseInt(req.params.id, 10);
+
+  try {
+    const emailDomain = getWorkspaceEmailDomain(user.email, user.email_verified);
+    const joinable = emailDomain ? await getJoinableWorkspaces(user.id, emailDomain) : [];
+    if (!joinable.some(w => w.id === workspaceId)) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    await addWorkspaceMember(workspaceId, user.id);
+    res.json({ success: true, workspace: await findWorkspaceEntry(workspaceId, user.id) });
+  } catch (error) {
+    console.error('Join workspace error:', error);
+    res.status(500).json({ error: 'Failed to join workspace' });
+  }
+});
+
+// Rename a workspace or change the email domain it's open to (owner only;
+// emailDomain null closes it to the domain)
+router.put('/:id', isRegistered, async (req, res) => {
+  const user = req.user.user;
+  const workspaceId = parseInt(req.params.id, 10);
+  const changes = {};
+
+  if (req.body.name !== undefined) {
+    const nameValidation = validateWorkspaceName(req.body.name);
+    if (!nameValidation.valid) {
+      return res.status(400).json({ error: nameValidation.error });
+    }
+    changes.name = nameValidation.name;
+  }
+  if (req.body.emailDomain !== undefined) {
+    const domainValidation = validateEmailDomain(req.body.emailDomain, user);
+    if (!domainValidation.valid) {
+      return res.status(400).json({ error: domainValidation.error });
+    }
+    changes.emailDomain = domainValidation.emailDomain;
+  }
+
+  try {
+    const own = await findOwnWorkspace(workspaceId, user.id);
+    if (!own) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (own.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the workspace owner can change it' });
+    }
+
+    await updateWorkspace(workspaceId, changes);
+    res.json({ success: true, workspace: await findWorkspaceEntry(workspaceId, user.id) });
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({ error: 'Failed to update workspace' });
+  }
+});
+
+// Replace the invite code, so the old one stops working (owner only)
+router.post('/:id/invite-code', isRegistered, async (req, res) => {
+  const userId = req.user.user.id;
+  const workspaceId = parseInt(req.params.id, 10);
+
+  try {
+    const own = await findOwnWorkspace(workspaceId, userId);
+    if (!own) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (own.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the workspace owner can change the invite code' });
+    }
+
+    await updateWorkspace(workspaceId, { inviteCode: generateInviteCode() });
+    res.json({ success: true, workspace: await findWorkspaceEntry(workspaceId, userId) });
+  } catch (error) {
+    console.error('Invite code error:', error);
+    res.status(500).json({ error: 'Failed to change invite code' });
+  }
+});
+
+// Members of a workspace you belong to, by codename
+router.get('/:id/members', isRegistered, async (req, res) => {
+  const workspaceId = parseInt(req.params.id, 10);
+
+  try {
+    if (!await findOwnWorkspace(workspaceId, req.user.user.id)) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const members = await getWorkspaceMembers(workspaceId);
+    res.json({
+      members: members.map(m => ({
+        id: m.id,
+        codename: m.codename,
+        role: m.role,
+        joinedAt: m.joined_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get workspace members error:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+// Remove a member (owner only). They can't rejoin through the email domain;
+// replace the invite code to keep them from rejoining with it.
+router.delete('/:id/members/:userId', isRegistered, async (req, res) => {
+  const ownerId = req.user.user.id;
+  const workspaceId = parseInt(req.params.id, 10);
+  const memberId = parseInt(req.params.userId, 10);
+
+  try {
+    const own = await findOwnWorkspace(workspaceId, ownerId);
+    if (!own) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (own.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the workspace owner can remove members' });
+    }
+    if (memberId === ownerId) {
+      return res.status(400).json({ error: 'The owner cannot be removed' });
+    }
+
+    const removed = await removeWorkspaceMember(workspaceId, memberId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove workspace member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Leave a workspace (the owner can't)
+router.post('/:id/leave', isRegistered, async (req, res) => {
+  const userId = req.user.user.id;
+  const workspaceId = parseInt(req.params.id, 10);
+
+  try {
+    const own = await findOwnWorkspace(workspaceId, userId);
+    if (!own) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (own.role === 'owner') {
+      return res.status(400).json({ error: 'The owner cannot leave the workspace' });
+    }
+
+    await leaveWorkspace(workspaceId, userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Leave workspace error:', error);
+    res.status(500).json({ error: 'Failed to leave workspace' });
+  }
+});
+
+module.exports = router;
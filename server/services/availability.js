@@ -0,0 +1,196 @@
+// Availability - decides whether a user can be rung right now from their
+// weekly schedule (in their own time zone) and manual do-not-disturb. The
+// same weekly windows also say when each of a user's phone numbers may ring.
+
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Local day of week and minute of day for an instant in a time zone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA time zone, e.g. "Europe/Berlin"
+ * @returns {object} - { day: 0-6 (Sunday = 0), minute: 0-1439 }
+ */
+function getLocalTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = type => parts.find(p => p.type === type).value;
+  return {
+    day: WEEKDAYS.indexOf(get('weekday')),
+    minute: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+}
+
+function isWithinWindows(local, windows) {
+  return windows.some(w =>
+    w.day_of_week === local.day && local.minute >= w.start_minute && local.minute < w.end_minute
+  );
+}
+
+// Parse "HH:MM" into minutes since midnight ("24:00" allowed as an end time)
+function parseTimeOfDay(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  if (parseInt(match[2], 10) > 59 || minutes > MINUTES_PER_DAY) return null;
+  return minutes;
+}
+
+function formatTimeOfDay(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Validate a weekly schedule submitted as { day, start, end } windows
+ * @param {Array<object>} windows - day 0-6 (Sunday = 0), start/end "HH:MM"
+ * @returns {object} - { valid: true, windows: [{ dayOfWeek, startMinute, endMinute }] }
+ *   or { valid: false, error }
+ */
+function validateWindows(windows) {
+  if (!Array.isArray(windows)) {
+    return { valid: false, error: 'windows must be an array' };
+  }
+  if (windows.length > 50) {
+    return { valid: false, error: 'Too many availability windows' };
+  }
+
+  const parsed = [];
+  for (const w of windows) {
+    const dayOfWeek = w && w.day;
+    const startMinute = parseTimeOfDay(w && w.start);
+    const endMinute = parseTimeOfDay(w && w.end);
+
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return { valid: false, error: 'day must be 0 (Sunday) to 6 (Saturday)' };
+    }
+    if (startMinute === null || endMinute === null || startMinute >= endMinute) {
+      return { valid: false, error: 'Each window needs a start before its end (HH:MM)' };
+    }
+    parsed.push({ dayOfWeek, startMinute, endMinute });
+  }
+
+  return { valid: true, windows: parsed };
+}
+
+// Window rows as { day, start: "HH:MM", end: "HH:MM" }
+function formatWindows(windows) {
+  return windows.map(w => ({
+    day: w.day_of_week,
+    start: formatTimeOfDay(w.start_minute),
+    end: formatTimeOfDay(w.end_minute)
+  }));
+}
+
+/**
+ * Next instant at or after `from` that falls inside one of the windows
+ * @param {Date} from - Starting instant
+ * @param {string} timeZone - Time zone the windows are expressed in
+ * @param {Array<object>} windows - availability_windows rows
+ * @returns {Date|null}
+ */
+function nextWindowStart(from, timeZone, windows) {
+  const local = getLocalTime(from, timeZone);
+  if (isWithinWindows(local, windows)) {
+    return from;
+  }
+
+  for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+    const day = (local.day + dayOffset) % 7;
+    const starts = windows
+      .filter(w => w.day_of_week === day)
+      .map(w => w.start_minute)
+      .sort((a, b) => a - b);
+
+    for (const start of starts) {
+      const minutesAhead = dayOffset * MINUTES_PER_DAY + start - local.minute;
+      if (minutesAhead <= 0) continue;
+
+      let candidate = new Date(from.getTime() + minutesAhead * 60 * 1000);
+      // Correct for a daylight saving change between now and then
+      const drift = start - getLocalTime(candidate, timeZone).minute;
+      if (drift !== 0 && Math.abs(drift) <= 60) {
+        candidate = new Date(candidate.getTime() + drift * 60 * 1000);
+      }
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a user can be rung at a given moment
+ * Deliberately reveals nothing but available/not and when that changes -
+ * never the reason, schedule or time zone
+ *
+ * @param {object} user - users row (time_zone, dnd_enabled, dnd_until)
+ * @param {Array<object>} windows - the user's availability_windows rows
+ * @param {Date} [now] - Moment to evaluate (defaults to now)
+ * @returns {object} - { available: boolean, availableAt: Date|null }
+ */
+function getAvailability(user, windows, now = new Date()) {
+  const timeZone = isValidTimeZone(user.time_zone) ? user.time_zone : 'UTC';
+
+  let from = now;
+  let dnd = false;
+  if (user.dnd_enabled) {
+    const until = user.dnd_until ? new Date(user.dnd_until) : null;
+    if (!until) {
+      // Do not disturb until switched off
+      return { available: false, availableAt: null };
+    }
+    if (until > now) {
+      dnd = true;
+      from = until;
+    }
+  }
+
+  // No schedule means any time is fine
+  if (!windows || windows.length === 0) {
+    return dnd ? { available: false, availableAt: from } : { available: true, availableAt: null };
+  }
+
+  const next = nextWindowStart(from, timeZone, windows);
+  if (!dnd && next && next.getTime() === now.getTime()) {
+    return { available: true, availableAt: null };
+  }
+  return { available: false, availableAt: next };
+}
+
+/**
+ * Whether a moment falls inside a weekly schedule (an empty one allows any time)
+ * @param {Array<object>} windows - rows with day_of_week, start_minute, end_minute
+ * @param {string} timeZone - Time zone the windows are expressed in (UTC if invalid)
+ * @param {Date} [now] - Moment to evaluate (defaults to now)
+ * @returns {boolean}
+ */
+function isWithinSchedule(windows, timeZone, now = new Date()) {
+  if (!windows || windows.length === 0) return true;
+  return isWithinWindows(getLocalTime(now, isValidTimeZone(timeZone) ? timeZone : 'UTC'), windows);
+}
+
+module.exports = {
+  MINUTES_PER_DAY,
+  isValidTimeZone,
+  validateWindows,
+  formatWindows,
+  getAvailability,
+  isWithinSchedule
+};
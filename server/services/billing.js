@@ -0,0 +1,99 @@
+// Billing - what a user's calls cost. Every leg is billed to whoever caused it
+// to be dialed (the caller, or whoever added a participant), using the
+// duration and price Twilio reports in the final status callback.
+const { getBilledUsage } = require('../db/database');
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * Start and end of a calendar month in UTC
+ * @param {string} [month] - "YYYY-MM" (defaults to the current month)
+ * @param {Date} [now] - Moment used for the default
+ * @returns {object|null} - { month, from, to } or null if month is malformed
+ */
+function getMonthRange(month, now = new Date()) {
+  let year = now.getUTCFullYear();
+  let index = now.getUTCMonth();
+
+  if (month !== undefined) {
+    const match = MONTH_PATTERN.exec(month);
+    if (!match) return null;
+    year = parseInt(match[1], 10);
+    index = parseInt(match[2], 10) - 1;
+  }
+
+  const from = new Date(Date.UTC(year, index, 1));
+  const to = new Date(Date.UTC(year, index + 1, 1));
+  return { month: from.toISOString().slice(0, 7), from: from.toISOString(), to: to.toISOString() };
+}
+
+// NUMERIC comes back from pg as a string
+function roundCost(value) {
+  return Math.round(parseFloat(value) * 10000) / 10000;
+}
+
+/**
+ * Usage summary for one user and month
+ * Legs Twilio hasn't priced yet count towards calls and minutes but not cost
+ *
+ * @param {object} user - users row (id, monthly_spend_cap)
+ * @param {string} [month] - "YYYY-MM" (defaults to the current month)
+ * @returns {Promise<object|null>} - { month, calls, legs, durationSeconds, minutes,
+ *   cost, currency, costs, cap, remaining } or null if month is malformed
+ */
+async function getMonthlyUsage(user, month) {
+  const range = getMonthRange(month);
+  if (!range) return null;
+
+  const usage = await getBilledUsage(user.id, range.from, range.to);
+  const durationSeconds = parseInt(usage.duration_seconds, 10);
+
+  const costs = {};
+  for (const row of usage.costs) {
+    costs[row.price_unit || 'USD'] = roundCost(row.cost);
+  }
+
+  const currencies = Object.keys(costs);
+  const cost = currencies.reduce((total, unit) => total + costs[unit], 0);
+  const cap = user.monthly_spend_cap !== null && user.monthly_spend_cap !== undefined
+    ? parseFloat(user.monthly_spend_cap)
+    : null;
+
+  return {
+    month: range.month,
+    calls: parseInt(usage.calls, 10),
+    legs: parseInt(usage.legs, 10),
+    durationSeconds,
+    minutes: Math.round(durationSeconds / 6) / 10,
+    cost: roundCost(cost),
+    currency: currencies.length === 1 ? currencies[0] : null,
+    costs,
+    cap,
+    remaining: cap === null ? null : roundCost(Math.max(cap - cost, 0))
+  };
+}
+
+/**
+ * Whether a user has reached their monthly spending cap
+ * @param {object} user - users row (id, monthly_spend_cap)
+ * @returns {Promise<object>} - { exceeded, cap, spent, currency }
+ */
+async function checkSpendingCap(user) {
+  if (user.monthly_spend_cap === null || user.monthly_spend_cap === undefined) {
+    return { exceeded: false, cap: null, spent: null, currency: null };
+  }
+
+  const usage = await getMonthlyUsage(user);
+  return {
+    exceeded: usage.cost >= usage.cap,
+    cap: usage.cap,
+    spent: usage.cost,
+    currency: usage.currency
+  };
+}
+
+module.exports = {
+  getMonthRange,
+  getMonthlyUsage,
+  checkSpendingCap
+};
@@ -0,0 +1,572 @@
+const {
+  createBlock,
+  updateCallLog,
+  updateCallLeg,
+  getCallLegsByCallLogId,
+  getCallParticipants,
+  getCallParticipant,
+  markCallParticipantLeft
+} = require('../db/database');
+const { getBaseUrl, endCall, endConference, redirectCall } = require('./telephony');
+const { publishToUser } = require('./events');
+const { refreshPresence } = require('./presence');
+const { ringNextStep } = require('./ringing');
+
+const LIVE_LEG_STATUSES = ['queued', 'initiated', 'ringing', 'in-progress'];
+const FAILED_LEG_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+const TERMINAL_LEG_STATUSES = ['completed', ...FAILED_LEG_STATUSES];
+// An attempt that ends like this without being answered moves on to the next endpoint
+const RING_ELSEWHERE_STATUSES = ['busy', 'no-answer', 'failed'];
+
+// Twilio callbacks can arrive out of order; a leg only ever moves forward
+const LEG_STATUS_RANK = {
+  queued: 0,
+  initiated: 1,
+  ringing: 2,
+  'in-progress': 3
+};
+
+function legStatusRank(status) {
+  return TERMINAL_LEG_STATUSES.includes(status) ? 4 : (LEG_STATUS_RANK[status] ?? 0);
+}
+
+function isLegLive(leg) {
+  return LIVE_LEG_STATUSES.includes(leg.status);
+}
+
+// The legs that decide a call - not attempts superseded by another endpoint
+function activeLegs(legs) {
+  return legs.filter(leg => !leg.superseded_at);
+}
+
+/**
+ * Whether a phone callee picked up but hasn't accepted the call yet
+ * As far as the caller is concerned, that leg is still ringing
+ * @param {object} leg - call_legs row
+ * @param {object} callLog - call_logs row
+ * @returns {boolean}
+ */
+function isAwaitingConsent(leg, callLog) {
+  return leg.role === 'callee' &&
+    leg.endpoint_type === 'phone' &&
+    leg.status === 'in-progress' &&
+    !leg.callee_decision &&
+    !callLog.callee_decision;
+}
+
+// A call with more than two people on it (or ever added to it)
+function isGroupCall(legs) {
+  return new Set(legs.map(leg => leg.user_id)).size > 2;
+}
+
+function hasDeclined(leg) {
+  return ['declined', 'blocked', 'no-response'].includes(leg.callee_decision);
+}
+
+// Whether a leg ever made it into the conference
+function hasJoined(leg, callLog) {
+  if (!leg.answered_at || hasDeclined(leg)) return false;
+  if (leg.role === 'callee' && leg.endpoint_type === 'phone') {
+    return leg.callee_decision === 'accepted' || callLog.callee_decision === 'accepted';
+  }
+  return true;
+}
+
+// Whether a leg is in the conference (or about to be) with the other party
+function isLegConnected(leg, callLog) {
+  return leg.status === 'in-progress' && !isAwaitingConsent(leg, callLog);
+}
+
+/**
+ * Derive the overall call status from its legs
+ * A decline or a failed leg explains the whole call, so it takes precedence
+ * (callee first, since that is usually the interesting side of a missed call)
+ * @param {Array<object>} legs - call_legs rows
+ * @param {object} callLog - call_logs row
+ * @returns {string|null} - call status, or null if nothing can be derived yet
+ */
+function deriveCallStatus(legs, callLog) {
+  if (legs.length === 0) return null;
+
+  if (isGroupCall(legs)) {
+    return deriveGroupCallStatus(legs, callLog);
+  }
+
+  if (['declined', 'blocked'].includes(callLog.callee_decision)) {
+    return 'declined';
+  }
+  if (callLog.callee_decision === 'no-response') {
+    return 'no-answer';
+  }
+  // The callee was never rung; the call is a missed one once the caller is done
+  if (callLog.callee_decision === 'unavailable') {
+    return legs.every(leg => TERMINAL_LEG_STATUSES.includes(leg.status)) ? 'no-answer' : null;
+  }
+
+  const failedLegs = legs.filter(leg => ['busy', 'no-answer', 'failed'].includes(leg.status));
+  const failedLeg = failedLegs.find(leg => leg.role === 'callee') || failedLegs[0];
+  if (failedLeg) {
+    return failedLeg.status;
+  }
+
+  if (legs.every(leg => TERMINAL_LEG_STATUSES.includes(leg.status))) {
+    return legs.every(leg => leg.answered_at) ? 'completed' : 'canceled';
+  }
+
+  if (legs.every(leg => isLegConnected(leg, callLog))) {
+    return 'in-progress';
+  }
+
+  if (legs.some(leg => leg.status === 'ringing' || leg.status === 'in-progress')) {
+    return 'ringing';
+  }
+
+  return null;
+}
+
+/**
+ * Derive the status of a group call
+ * It is in progress while at least two people are talking, and completed if
+ * that ever happened; otherwise the callees' outcome explains it
+ * @param {Array<object>} legs - call_legs rows
+ * @param {object} callLog - call_logs row
+ * @returns {string|null}
+ */
+function deriveGroupCallStatus(legs, callLog) {
+  if (legs.every(leg => TERMINAL_LEG_STATUSES.includes(leg.status))) {
+    if (legs.filter(leg => hasJoined(leg, callLog)).length >= 2) {
+      return 'completed';
+    }
+    const calleeLegs = legs.filter(leg => leg.role === 'callee');
+    if (calleeLegs.length > 0 && calleeLegs.every(hasDeclined)) {
+      return 'declined';
+    }
+    const failedLeg = calleeLegs.find(leg => ['busy', 'no-answer', 'failed'].includes(leg.status));
+    return failedLeg ? failedLeg.status : 'canceled';
+  }
+
+  const connected = legs.filter(leg => isLegLive(leg) && isLegConnected(leg, callLog));
+  if (connected.length >= 2) {
+    return 'in-progress';
+  }
+
+  if (legs.some(leg => leg.status === 'ringing' || leg.status === 'in-progress')) {
+    return 'ringing';
+  }
+
+  return null;
+}
+
+/**
+ * Map a call status to the lifecycle state shown in the browser
+ * @param {string} status - call_logs status
+ * @returns {string} - connecting | ringing | answered | ended
+ */
+function callLifecycleState(status) {
+  switch (status) {
+    case 'ringing':
+      return 'ringing';
+    case 'in-progress':
+      return 'answered';
+    case 'completed':
+    case 'busy':
+    case 'no-answer':
+    case 'canceled':
+    case 'failed':
+    case 'declined':
+      return 'ended';
+    default:
+      return 'connecting';
+  }
+}
+
+// Only a participant's id and codename are ever shared with the others
+function describeParticipant(participant) {
+  return { id: participant.user_id, codename: participant.codename };
+}
+
+/**
+ * Push the current state of a call to every participant's browser
+ * Each side only learns the others' ids and codenames. A callee who was
+ * unavailable is left alone - the call just shows up in their history - and
+ * so is anyone who already left a group call that carries on without them.
+ * @param {object} callLog - call_logs row (after the update)
+ */
+async function publishCallEvent(callLog) {
+  const participants = await getCallParticipants(callLog.id);
+  const state = callLifecycleState(callLog.status);
+  const caller = participants.find(p => p.role === 'caller');
+
+  const base = {
+    callId: callLog.id,
+    state,
+    status: callLog.status,
+    reason: state === 'ended' ? callLog.status : null
+  };
+
+  for (const self of participants) {
+    if (self.left_at) continue;
+    if (self.role === 'callee' && callLog.callee_decision === 'unavailable') continue;
+
+    const others = participants.filter(p => p.user_id !== self.user_id && !p.left_at);
+    // Callees see who called them; the caller sees the first person they called
+    const other = self.role === 'caller' ? others[0] : caller;
+
+    publishToUser(self.user_id, 'call', {
+      ...base,
+      direction: self.role === 'caller' ? 'outgoing' : 'incoming',
+      endedBy: callLog.ended_by ? (callLog.ended_by === self.user_id ? 'you' : 'them') : null,
+      otherParty: other ? describeParticipant(other) : null,
+      participants: others.map(describeParticipant)
+    });
+  }
+
+  // Starting or ending a conversation changes everyone's presence
+  await refreshPresence(participants.map(p => p.user_id));
+}
+
+/**
+ * Take a participant out of a group call that carries on without them
+ * They get a final "ended" event and no further updates for this call
+ * @param {object} callLog - call_logs row
+ * @param {number} userId - ID of the participant who left
+ * @param {string} reason - why their part ended (completed, declined, no-answer...)
+ */
+async function publishParticipantLeft(callLog, userId, reason) {
+  await markCallParticipantLeft(callLog.id, userId);
+
+  const participants = await getCallParticipants(callLog.id);
+  const self = participants.find(p => p.user_id === userId);
+  const caller = participants.find(p => p.role === 'caller');
+  const isCallee = self && self.role === 'callee';
+
+  publishToUser(userId, 'call', {
+    callId: callLog.id,
+    state: 'ended',
+    status: callLog.status,
+    reason,
+    direction: isCallee ? 'incoming' : 'outgoing',
+    endedBy: null,
+    otherParty: isCallee && caller ? describeParticipant(caller) : null,
+    participants: []
+  });
+  await refreshPresence([userId]);
+}
+
+/**
+ * Hang up every leg of a call that is still live
+ * @param {Array<object>} legs - call_legs rows to consider
+ */
+async function endLiveLegs(legs) {
+  await Promise.all(legs
+    .filter(leg => isLegLive(leg) && leg.twilio_call_sid)
+    .map(async (leg) => {
+      try {
+        await endCall(leg.twilio_call_sid);
+      } catch (error) {
+        // The leg may have ended on its own in the meantime
+        console.error(`Failed to end leg ${leg.id}:`, error.message);
+      }
+    }));
+}
+
+// TwiML a caller's leg can be redirected to instead of being hung up
+const REDIRECT_PATHS = {
+  voicemail: callLogId => `/api/voicemails/twiml/${callLogId}`,
+  declined: callLogId => `/api/calls/twiml/declined/${callLogId}`
+};
+
+/**
+ * Redirect the caller's connected leg to other TwiML (voicemail, declined notice)
+ * Only possible while the caller's own leg is connected
+ *
+ * @param {object} callLog - call_logs row
+ * @param {Array<object>} legs - legs to look for the caller's leg in
+ * @param {string} target - key of REDIRECT_PATHS
+ * @returns {Promise<boolean>} - true if the caller was redirected
+ */
+async function redirectCallerLeg(callLog, legs, target) {
+  const callerLeg = legs.find(l => l.role === 'caller' && l.status === 'in-progress' && l.twilio_call_sid);
+  if (!callerLeg) {
+    return false;
+  }
+
+  try {
+    await redirectCall(callerLeg.twilio_call_sid, `${getBaseUrl()}${REDIRECT_PATHS[target](callLog.id)}`);
+    await updateCallLeg(callerLeg.id, { redirectedTo: target });
+    return true;
+  } catch (error) {
+    console.error(`Failed to redirect call ${callLog.id} to ${target}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Whether a group call goes on after one participant leaves it
+ * It does while at least two people are still on it - unless the one leaving
+ * is the caller and nobody has answered yet
+ * @param {Array<object>} legs - call_legs rows
+ * @param {number} userId - ID of the participant leaving
+ * @param {object} callLog - call_logs row
+ * @returns {boolean}
+ */
+function groupCallCarriesOnWithout(legs, userId, callLog) {
+  if (!isGroupCall(legs)) return false;
+
+  const liveOthers = legs.filter(l => l.user_id !== userId && isLegLive(l));
+  const isCaller = legs.some(l => l.user_id === userId && l.role === 'caller');
+  return liveOthers.length >= 2 &&
+    (!isCaller || liveOthers.some(l => isLegConnected(l, callLog)));
+}
+
+/**
+ * In simultaneous ringing, hang up a party's other endpoints once one answers
+ * @param {object} leg - the call_legs row that was answered
+ * @param {Array<object>} legs - all of the call's legs
+ */
+async function hangUpOtherAttempts(leg, legs) {
+  const others = activeLegs(legs).filter(l => l.user_id === leg.user_id && l.id !== leg.id && isLegLive(l));
+  if (others.length === 0) return;
+
+  const now = new Date().toISOString();
+  await Promise.all(others.map(l => updateCallLeg(l.id, { supersededAt: now })));
+  await endLiveLegs(others);
+}
+
+/**
+ * Keep trying to reach someone whose attempt ended unanswered: their other
+ * endpoints may still be ringing (simultaneous), or the next one in their
+ * sequence is dialed. Either way the attempt is superseded and the call goes
+ * on as if it never happened - as long as someone is still waiting for them.
+ *
+ * @param {object} callLog - call_logs row
+ * @param {object} leg - the unanswered call_legs row
+ * @param {Array<object>} legs - all of the call's legs
+ * @returns {Promise<boolean>} - true if they are still being rung
+ */
+async function ringElsewhere(callLog, leg, legs) {
+  const current = activeLegs(legs);
+
+  if (current.some(l => l.user_id === leg.user_id && l.id !== leg.id && isLegLive(l))) {
+    await updateCallLeg(leg.id, { supersededAt: new Date().toISOString() });
+    return true;
+  }
+
+  const someoneWaiting = callLog.callee_decision === 'unavailable' ||
+    current.some(l => l.user_id !== leg.user_id && isLegLive(l));
+  return someoneWaiting && ringNextStep(callLog, leg);
+}
+
+/**
+ * Record a Twilio status callback for one leg and update the call log
+ * Conferences don't end when someone leaves, so when a leg ends and only one
+ * person would be left on the call, that last leg is hung up too. An
+ * unanswered attempt first falls back to the party's other endpoints, and a
+ * superseded attempt only has its own status recorded.
+ *
+ * @param {object} callLog - call_logs row
+ * @param {object} leg - call_legs row the callback is for
+ * @param {object} params - { callStatus, callSid, duration, price, priceUnit, answeredBy }
+ *   from the Twilio webhook
+ * @returns {Promise<object>} - the updated leg
+ */
+async function recordLegStatus(callLog, leg, { callStatus, callSid, duration, price, priceUnit, answeredBy }) {
+  const now = new Date().toISOString();
+  const legUpdates = {};
+
+  if (callSid && !leg.twilio_call_sid) {
+    legUpdates.twilioCallSid = callSid;
+  }
+
+  // Billing details only come with the final callback; Twilio reports prices as negative amounts
+  if (duration !== undefined && duration !== '') {
+    legUpdates.durationSeconds = parseInt(duration, 10) || 0;
+  }
+  if (price !== undefined && price !== '' && !isNaN(parseFloat(price))) {
+    legUpdates.price = Math.abs(parseFloat(price));
+    legUpdates.priceUnit = priceUnit || null;
+  }
+  if (answeredBy && !leg.answered_by) {
+    legUpdates.answeredBy = answeredBy;
+  }
+
+  const isForward = !TERMINAL_LEG_STATUSES.includes(leg.status) &&
+    legStatusRank(callStatus) >= legStatusRank(leg.status);
+
+  if (isForward && callStatus !== leg.status) {
+    legUpdates.status = callStatus;
+    if (callStatus === 'ringing' && !leg.ringing_at) {
+      legUpdates.ringingAt = now;
+    }
+    if (callStatus === 'in-progress' && !leg.answered_at) {
+      legUpdates.answeredAt = now;
+    }
+    if (TERMINAL_LEG_STATUSES.includes(callStatus)) {
+      legUpdates.endedAt = now;
+    }
+  }
+
+  const updatedLeg = Object.keys(legUpdates).length > 0
+    ? await updateCallLeg(leg.id, legUpdates)
+    : leg;
+
+  if (!legUpdates.status || leg.superseded_at) {
+    return updatedLeg;
+  }
+
+  if (callStatus === 'in-progress') {
+    await hangUpOtherAttempts(updatedLeg, await getCallLegsByCallLogId(callLog.id));
+  }
+  if (RING_ELSEWHERE_STATUSES.includes(callStatus) && !updatedLeg.answered_at && !callLog.ended_at &&
+    await ringElsewhere(callLog, updatedLeg, await getCallLegsByCallLogId(callLog.id))) {
+    return updatedLeg;
+  }
+
+  const legs = activeLegs(await getCallLegsByCallLogId(callLog.id));
+
+  const callUpdates = {};
+  if (TERMINAL_LEG_STATUSES.includes(callStatus) && isGroupCall(legs)) {
+    if (groupCallCarriesOnWithout(legs, leg.user_id, callLog)) {
+      const reason = hasDeclined(updatedLeg) ? 'declined' : callStatus;
+      await publishParticipantLeft(callLog, leg.user_id, reason);
+    } else {
+      const liveOthers = legs.filter(l => l.user_id !== leg.user_id && isLegLive(l));
+      if (callStatus === 'completed' && !callLog.ended_by && liveOthers.length > 0) {
+        callUpdates.endedBy = leg.user_id;
+      }
+      await endLiveLegs(liveOthers);
+    }
+  } else if (TERMINAL_LEG_STATUSES.includes(callStatus)) {
+    const others = legs.filter(l => l.id !== leg.id);
+
+    // The first party to hang up on a live call is the one who ended it
+    if (callStatus === 'completed' && !callLog.ended_by && others.some(isLegLive)) {
+      callUpdates.endedBy = leg.user_id;
+    }
+
+    // In a one-to-one call the surviving leg has nobody to talk to, so it is
+    // torn down. If the callee simply didn't pick up, the caller goes to voicemail instead.
+    const calleeMissed = leg.role === 'callee' && ['no-answer', 'busy'].includes(callStatus);
+    const diverted = calleeMissed && await redirectCallerLeg(callLog, others, 'voicemail');
+    if (!diverted) {
+      await endLiveLegs(others.filter(l => !l.redirected_to));
+    }
+  }
+
+  const status = deriveCallStatus(legs, callLog);
+  if (status && status !== callLog.status) {
+    callUpdates.status = status;
+  }
+  if (legs.every(l => TERMINAL_LEG_STATUSES.includes(l.status)) && !callLog.ended_at) {
+    callUpdates.endedAt = now;
+  }
+  if (Object.keys(callUpdates).length > 0) {
+    const updatedCallLog = await updateCallLog(callLog.id, callUpdates);
+    if (callUpdates.status) {
+      await publishCallEvent(updatedCallLog);
+    }
+  }
+
+  return updatedLeg;
+}
+
+/**
+ * End a call on behalf of one of its participants
+ * Hangs up every live leg (ringing or connected) and the conference itself,
+ * and records who ended the call. In a group call that can go on without
+ * them, only the participant's own leg is hung up.
+ *
+ * @param {object} callLog - call_logs row
+ * @param {number} userId - ID of the participant ending the call
+ * @returns {Promise<object>} - the updated call log
+ */
+async function cancelCall(callLog, userId) {
+  const allLegs = await getCallLegsByCallLogId(callLog.id);
+  const legs = activeLegs(allLegs);
+
+  if (groupCallCarriesOnWithout(legs, userId, callLog)) {
+    await endLiveLegs(allLegs.filter(l => l.user_id === userId));
+    await publishParticipantLeft(callLog, userId, 'completed');
+    return callLog;
+  }
+
+  await endLiveLegs(allLegs);
+
+  if (callLog.twilio_conference_sid) {
+    try {
+      await endConference(callLog.twilio_conference_sid);
+    } catch (error) {
+      console.error(`Failed to end conference for call ${callLog.id}:`, error.message);
+    }
+  }
+
+  // A call both sides picked up counts as completed, otherwise it never connected
+  const connected = isGroupCall(legs)
+    ? legs.filter(leg => hasJoined(leg, callLog)).length >= 2
+    : legs.length > 0 && legs.every(leg => leg.answered_at);
+
+  const updatedCallLog = await updateCallLog(callLog.id, {
+    status: connected ? 'completed' : 'canceled',
+    endedAt: new Date().toISOString(),
+    endedBy: userId
+  });
+  await publishCallEvent(updatedCallLog);
+
+  return updatedCallLog;
+}
+
+/**
+ * Record what a phone callee chose at the consent prompt
+ * In a one-to-one call, on a decline the caller hears a notice instead of dead
+ * air; with no response they are offered voicemail. In a group call only the
+ * callee's own leg is affected. "blocked" also adds whoever invited them to
+ * the callee's block list.
+ *
+ * @param {object} callLog - call_logs row
+ * @param {object} leg - the callee's call_legs row
+ * @param {string} decision - accepted | declined | blocked | no-response
+ * @returns {Promise<object>} - the updated call log
+ */
+async function recordCalleeDecision(callLog, leg, decision) {
+  await updateCallLeg(leg.id, { calleeDecision: decision });
+  const legs = activeLegs(await getCallLegsByCallLogId(callLog.id));
+  const group = isGroupCall(legs);
+
+  if (decision === 'blocked') {
+    const participant = await getCallParticipant(callLog.id, leg.user_id);
+    await createBlock(leg.user_id, (participant && participant.added_by) || callLog.caller_id);
+  }
+
+  if (decision !== 'accepted' && !group) {
+    const target = decision === 'no-response' ? 'voicemail' : 'declined';
+    const redirected = await redirectCallerLeg(callLog, legs, target);
+    if (!redirected) {
+      await endLiveLegs(legs.filter(l => l.role === 'caller'));
+    }
+  }
+
+  // A one-to-one call is decided by its only callee
+  let updatedCallLog = group ? callLog : await updateCallLog(callLog.id, { calleeDecision: decision });
+
+  const status = deriveCallStatus(legs, updatedCallLog);
+  if (status && status !== updatedCallLog.status) {
+    updatedCallLog = await updateCallLog(callLog.id, { status });
+    await publishCallEvent(updatedCallLog);
+  }
+
+  return updatedCallLog;
+}
+
+module.exports = {
+  LIVE_LEG_STATUSES,
+  TERMINAL_LEG_STATUSES,
+  isLegLive,
+  activeLegs,
+  isGroupCall,
+  deriveCallStatus,
+  publishCallEvent,
+  endLiveLegs,
+  recordLegStatus,
+  recordCalleeDecision,
+  cancelCall
+};
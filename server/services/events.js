@@ -0,0 +1,76 @@
+// Server-Sent Events hub - keeps the open event streams of every logged-in
+// browser tab, keyed by user id, so server-side changes (call status webhooks
+// etc.) can be pushed to the right people
+
+const KEEPALIVE_INTERVAL_MS = 25 * 1000;
+
+const subscribers = new Map();
+
+/**
+ * Register an SSE response stream for a user
+ * @param {number} userId - ID of the logged-in user
+ * @param {object} res - Express response with SSE headers already sent
+ * @returns {function} - call to unsubscribe (e.g. when the connection closes)
+ */
+function subscribe(userId, res) {
+  if (!subscribers.has(userId)) {
+    subscribers.set(userId, new Set());
+  }
+  subscribers.get(userId).add(res);
+
+  // Comment lines keep proxies from timing out an idle stream
+  const keepalive = setInterval(() => {
+    res.write(': keepalive\n\n');
+  }, KEEPALIVE_INTERVAL_MS);
+
+  return () => {
+    clearInterval(keepalive);
+    const streams = subscribers.get(userId);
+    if (streams) {
+      streams.delete(res);
+      if (streams.size === 0) {
+        subscribers.delete(userId);
+      }
+    }
+  };
+}
+
+/**
+ * Push an event to every open stream of a user
+ * @param {number} userId - Recipient user id
+ * @param {string} event - SSE event name (e.g. "call")
+ * @param {object} data - JSON-serializable payload
+ */
+function publishToUser(userId, event, data) {
+  const streams = subscribers.get(userId);
+  if (!streams) return;
+
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of streams) {
+    res.write(message);
+  }
+}
+
+/**
+ * Ids of users with at least one open stream
+ * @returns {Array<number>}
+ */
+function getConnectedUserIds() {
+  return [...subscribers.keys()];
+}
+
+/**
+ * Whether a user has at least one open stream (a browser tab with the app)
+ * @param {number} userId - ID of the user
+ * @returns {boolean}
+ */
+function isConnected(userId) {
+  return subscribers.has(userId);
+}
+
+module.exports = {
+  subscribe,
+  publishToUser,
+  getConnectedUserIds,
+  isConnected
+};
@@ -0,0 +1,105 @@
+// Invite links - a user shares a link that expires, and can be limited to one
+// use. Whoever follows it (signing up, or signing in if they already have an
+// account) is added to the inviter's contacts and the inviter to theirs, and
+// joins the workspace the link was made for.
+const crypto = require('crypto');
+const {
+  getInviteByToken,
+  redeemInvite,
+  isBlockedEitherWay,
+  getWorkspaceMembership,
+  addWorkspaceMember,
+  addContact
+} = require('../db/database');
+
+// How long a link lasts unless the inviter picks otherwise, and at most
+const DEFAULT_INVITE_HOURS = 7 * 24;
+const MAX_INVITE_HOURS = 30 * 24;
+
+const INVALID_INVITE = 'This invite link is invalid or has expired';
+
+function generateInviteToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+// The link to share - it opens the client, which keeps the token through sign-up
+function getInviteUrl(token) {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${clientUrl}/invite/${token}`;
+}
+
+/**
+ * Whether an invite can still be used
+ * @param {object} invite - invites row
+ * @param {Date} [now] - Moment to evaluate (defaults to now)
+ * @returns {string} - active | revoked | expired | used-up
+ */
+function getInviteStatus(invite, now = new Date()) {
+  if (invite.revoked_at) return 'revoked';
+  if (new Date(invite.expires_at) <= now) return 'expired';
+  if (invite.max_uses !== null && invite.use_count >= invite.max_uses) return 'used-up';
+  return 'active';
+}
+
+/**
+ * Accept an invite: record the use, join the invite's workspace and connect
+ * the user and the inviter as each other's contacts. Contacts only reach each
+ * other within a shared workspace, so an invite whose workspace the user can't
+ * end up in with the inviter is refused, and isn't used up.
+ * @param {string} token - Token from the invite link
+ * @param {object} user - users row of whoever followed it
+ * @param {object} options - { newUser } when accepted while signing up
+ * @returns {Promise<object>} - { valid: true, inviter: { id, codename },
+ *   workspace: { id, name } } or { valid: false, error }
+ */
+async function acceptInvite(token, user, { newUser = false } = {}) {
+  const invite = typeof token === 'string' && token ? await getInviteByToken(token) : null;
+  if (!invite || getInviteStatus(invite) !== 'active') {
+    return { valid: false, error: INVALID_INVITE };
+  }
+  if (invite.inviter_id === user.id) {
+    return { valid: false, error: "You can't accept your own invite" };
+  }
+  // Never tell either side about a block
+  if (await isBlockedEitherWay(invite.inviter_id, user.id)) {
+    return { valid: false, error: INVALID_INVITE };
+  }
+
+  // Only while the inviter is still in the workspace, and never back into one
+  // its owner removed the user from
+  if (!invite.workspace_id) {
+    return { valid: false, error: INVALID_INVITE };
+  }
+  const inviterMembership = await getWorkspaceMembership(invite.workspace_id, invite.inviter_id);
+  const membership = await getWorkspaceMembership(invite.workspace_id, user.id);
+  if (!inviterMembership || inviterMembership.removed_at || (membership && membership.removed_at)) {
+    return { valid: false, error: INVALID_INVITE };
+  }
+
+  const outcome = await redeemInvite(invite.id, user.id, { newUser });
+  if (outcome === 'unusable') {
+    return { valid: false, error: INVALID_INVITE };
+  }
+
+  if (!membership) {
+    await addWorkspaceMember(invite.workspace_id, user.id);
+  }
+  await addContact(invite.inviter_id, user.id, {});
+  await addContact(user.id, invite.inviter_id, {});
+
+  return {
+    valid: true,
+    inviter: { id: invite.inviter_id, codename: invite.inviter_codename },
+    workspace: { id: invite.workspace_id, name: invite.workspace_name }
+  };
+}
+
+module.exports = {
+  DEFAULT_INVITE_HOURS,
+  MAX_INVITE_HOURS,
+  INVALID_INVITE,
+  generateInviteToken,
+  getInviteUrl,
+  getInviteStatus,
+  acceptInvite
+};
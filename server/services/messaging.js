@@ -0,0 +1,211 @@
+// Messaging - text conversations between codenames. A message is written in
+// the web app or texted to the shared Twilio number, and pushed to every open
+// browser of both sides as it is sent. Recipients without the app open get it
+// relayed by text from that number, prefixed with the sender's codename, so
+// neither side ever sees the other's phone number. A text to the shared
+// number continues the conversation that phone last texted in, unless it
+// starts with "@codename". Each side's unread messages are counted from how
+// far they've read (conversation_reads).
+const {
+  getUserById,
+  getUserByCodename,
+  isBlockedEitherWay,
+  sharesWorkspace,
+  getOrCreateConversation,
+  getConversationById,
+  markConversationRead,
+  createMessage,
+  addMessageSms,
+  getLastMessageSms,
+  getVerifiedPhonesByNumber
+} = require('../db/database');
+const { sendTextMessage } = require('./telephony');
+const { publishToUser, isConnected } = require('./events');
+
+// Longest message - about three text message segments once relayed
+const MAX_MESSAGE_LENGTH = 400;
+
+// "@codename message" addresses a text to someone other than the last conversation
+const ADDRESSED_TEXT = /^@([a-zA-Z0-9_-]+)\s*([\s\S]*)$/;
+
+/**
+ * Validate a message's text
+ * @param {string} body - Text as written
+ * @returns {object} - { valid, body (trimmed) } or { valid: false, error }
+ */
+function validateMessageBody(body) {
+  if (typeof body !== 'string' || !body.trim()) {
+    return { valid: false, error: 'Message is empty' };
+  }
+  const trimmed = body.trim();
+  if (trimmed.length > MAX_MESSAGE_LENGTH) {
+    return { valid: false, error: `Message must be ${MAX_MESSAGE_LENGTH} characters or less` };
+  }
+  return { valid: true, body: trimmed };
+}
+
+/**
+ * Whether two users may message each other: they share a workspace and
+ * neither has blocked the other
+ * @param {number} userId - One user
+ * @param {number} otherUserId - The other
+ * @returns {Promise<boolean>}
+ */
+async function canMessage(userId, otherUserId) {
+  if (userId === otherUserId) return false;
+  return await sharesWorkspace(userId, otherUserId) && !await isBlockedEitherWay(userId, otherUserId);
+}
+
+// A message as one side of the conversation sees it
+function formatMessage(message, userId) {
+  return {
+    id: message.id,
+    fromMe: message.sender_id === userId,
+    body: message.body,
+    via: message.sent_via,
+    relayed: Boolean(message.relayed),
+    sentAt: message.created_at
+  };
+}
+
+// Texts go to people with no browser open on the app - whoever has one open
+// reads it there, whether they take calls in the browser or on the phone - as
+// long as their primary number is verified
+function shouldRelayBySms(recipient) {
+  return Boolean(recipient.phone_verified_at) && !isConnected(recipient.id);
+}
+
+// Text a message on to the recipient's primary number. The first text from a
+// conversation explains how to answer, since replies follow the latest one.
+async function relayBySms(message, sender, recipient) {
+  const last = await getLastMessageSms(recipient.phone_number);
+  let text = `${sender.codename}: ${message.body}`;
+  if (!last || last.conversation_id !== message.conversation_id || last.user_id !== recipient.id) {
+    text += `\n\n(Reply to text ${sender.codename} back. Start with @codename to text someone else.)`;
+  }
+
+  try {
+    const { sid } = await sendTextMessage(recipient.phone_number, text);
+    await addMessageSms(message.id, { phoneId: recipient.phone_id, direction: 'out', smsSid: sid });
+    return true;
+  } catch (error) {
+    // Still there in the app, just not on their phone
+    console.error(`Failed to relay message ${message.id} by text:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Send a message, relay it by text if the recipient isn't in the app, and push
+ * it to both sides' open browsers. Callers check canMessage() first.
+ * @param {object} sender - users row of the sender
+ * @param {object} recipient - users row of the recipient (with its primary phone)
+ * @param {string} body - Validated message text
+ * @param {object} options - { via: 'app' | 'sms', sms: { phoneId, smsSid } for
+ *   a message that came in by text }
+ * @returns {Promise<object>} - the message as the sender sees it
+ */
+async function sendMessage(sender, recipient, body, { via = 'app', sms } = {}) {
+  const conversation = await getOrCreateConversation(sender.id, recipient.id);
+  const message = await createMessage({
+    conversationId: conversation.id,
+    senderId: sender.id,
+    body,
+    sentVia: via
+  });
+
+  if (sms) {
+    await addMessageSms(message.id, { ...sms, direction: 'in' });
+  }
+  // Replying means having read what came before
+  await markConversationRead(conversation.id, sender.id, message.id);
+  if (shouldRelayBySms(recipient)) {
+    message.relayed = await relayBySms(message, sender, recipient);
+  }
+
+  publishToUser(recipient.id, 'message', {
+    with: { id: sender.id, codename: sender.codename },
+    message: formatMessage(message, recipient.id)
+  });
+  publishToUser(sender.id, 'message', {
+    with: { id: recipient.id, codename: recipient.codename },
+    message: formatMessage(message, sender.id)
+  });
+
+  return formatMessage(message, sender.id);
+}
+
+/**
+ * Mark a conversation read and tell the reader's other browser tabs, so their
+ * unread counts drop too
+ * @param {number} userId - Who read it
+ * @param {object} conversation - conversations row
+ * @param {number} [upToMessageId] - Last message read (defaults to the latest)
+ */
+async function markRead(userId, conversation, upToMessageId = null) {
+  await markConversationRead(conversation.id, userId, upToMessageId);
+  const otherUserId = conversation.user_a_id === userId ? conversation.user_b_id : conversation.user_a_id;
+  publishToUser(userId, 'messages-read', { with: { id: otherUserId } });
+}
+
+/**
+ * Handle a text to the shared number: find whose phone it came from and which
+ * conversation it belongs to, and send it on
+ * @param {object} sms - { from, body, smsSid } from the incoming message webhook
+ * @returns {Promise<string|null>} - text to answer the sender with, if any
+ */
+async function receiveTextMessage({ from, body, smsSid }) {
+  // The number's latest text tells both whose it is and where a reply goes;
+  // without one, the number has to belong to exactly one account
+  const last = await getLastMessageSms(from);
+  let phone = last && { id: last.phone_id, user_id: last.user_id };
+  if (!phone) {
+    const phones = await getVerifiedPhonesByNumber(from);
+    if (phones.length !== 1) {
+      return "This number isn't verified on an account here. Verify it in the app to send texts.";
+    }
+    phone = phones[0];
+  }
+  const sender = await getUserById(phone.user_id);
+
+  let recipient;
+  let text = typeof body === 'string' ? body.trim() : '';
+  const addressed = text.match(ADDRESSED_TEXT);
+  if (addressed) {
+    recipient = await getUserByCodename(addressed[1]);
+    // Someone you can't message looks the same as someone who doesn't exist
+    if (!recipient || !await canMessage(sender.id, recipient.id)) {
+      return `There's nobody called ${addressed[1]} you can text.`;
+    }
+    text = addressed[2];
+  } else if (last) {
+    const conversation = await getConversationById(last.conversation_id);
+    recipient = await getUserById(conversation.user_a_id === sender.id ? conversation.user_b_id : conversation.user_a_id);
+    if (!recipient || !await canMessage(sender.id, recipient.id)) {
+      return 'Your message could not be delivered.';
+    }
+  } else {
+    return 'Start your message with @codename to say who it is for.';
+  }
+
+  const validation = validateMessageBody(text);
+  if (!validation.valid) {
+    return validation.error;
+  }
+
+  await sendMessage(sender, recipient, validation.body, {
+    via: 'sms',
+    sms: { phoneId: phone.id, smsSid }
+  });
+  return null;
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  validateMessageBody,
+  canMessage,
+  formatMessage,
+  sendMessage,
+  markRead,
+  receiveTextMessage
+};
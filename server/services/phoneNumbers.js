@@ -0,0 +1,115 @@
+// Phone numbers - parses what users type into E.164 (the only form we store
+// and dial), detects the kind of line, and decides which countries we ring.
+// Numbers without a country code are read in the country the user picked,
+// else DEFAULT_PHONE_COUNTRY. ALLOWED_PHONE_COUNTRIES (comma-separated ISO
+// codes, e.g. "US,CA,GB") limits where we dial; unset allows every country.
+const {
+  parsePhoneNumberFromString,
+  getCountries,
+  getCountryCallingCode,
+  isSupportedCountry
+} = require('libphonenumber-js/max');
+
+// libphonenumber's number types, as we store them in user_phones.phone_type
+const PHONE_TYPES = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'landline',
+  FIXED_LINE_OR_MOBILE: 'landline_or_mobile',
+  TOLL_FREE: 'toll_free',
+  PREMIUM_RATE: 'premium_rate',
+  SHARED_COST: 'shared_cost',
+  VOIP: 'voip',
+  PERSONAL_NUMBER: 'personal',
+  PAGER: 'pager',
+  UAN: 'uan',
+  VOICEMAIL: 'voicemail'
+};
+
+// Lines that cost us (or the caller) extra, or never reach a person
+const BLOCKED_PHONE_TYPES = ['premium_rate', 'shared_cost', 'pager', 'voicemail'];
+
+function parseCountryList(value) {
+  return (value || '')
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+function getAllowedCountries() {
+  const allowed = parseCountryList(process.env.ALLOWED_PHONE_COUNTRIES).filter(code => isSupportedCountry(code));
+  return allowed.length > 0 ? allowed : getCountries();
+}
+
+function getDefaultCountry() {
+  const country = (process.env.DEFAULT_PHONE_COUNTRY || 'US').toUpperCase();
+  const allowed = getAllowedCountries();
+  return allowed.includes(country) ? country : allowed[0];
+}
+
+/**
+ * Whether numbers in a country may be dialed
+ * @param {string} country - ISO 3166-1 alpha-2 code (null for non-geographic numbers)
+ * @returns {boolean}
+ */
+function isCountryAllowed(country) {
+  if (!process.env.ALLOWED_PHONE_COUNTRIES) return true;
+  return Boolean(country) && getAllowedCountries().includes(country);
+}
+
+/**
+ * Countries a user can pick their number from
+ * @returns {object} - { defaultCountry, countries: [{ code, name, callingCode }] } sorted by name
+ */
+function getPhoneCountries() {
+  const names = new Intl.DisplayNames(['en'], { type: 'region' });
+  const countries = getAllowedCountries()
+    .map(code => ({ code, name: names.of(code) || code, callingCode: `+${getCountryCallingCode(code)}` }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return { defaultCountry: getDefaultCountry(), countries };
+}
+
+/**
+ * Parse and check a phone number as typed by a user
+ * @param {string} input - e.g. "0412 345 678" or "+61 412 345 678"
+ * @param {string} [country] - Country to read a number without a country code in
+ * @returns {object} - { valid: true, phoneNumber (E.164), country, type } or { valid: false, error }
+ */
+function normalizePhoneNumber(input, country) {
+  if (!input || typeof input !== 'string') {
+    return { valid: false, error: 'Phone number is required' };
+  }
+
+  const defaultCountry = country ? String(country).toUpperCase() : getDefaultCountry();
+  if (!isSupportedCountry(defaultCountry)) {
+    return { valid: false, error: 'Unknown country' };
+  }
+
+  const parsed = parsePhoneNumberFromString(input, { defaultCountry });
+  if (!parsed || !parsed.isValid()) {
+    return { valid: false, error: 'Invalid phone number for the selected country' };
+  }
+
+  if (!isCountryAllowed(parsed.country)) {
+    return { valid: false, error: 'Phone numbers from this country are not supported' };
+  }
+
+  const type = PHONE_TYPES[parsed.getType()] || null;
+  if (BLOCKED_PHONE_TYPES.includes(type)) {
+    return { valid: false, error: 'Premium-rate and similar numbers cannot be used' };
+  }
+
+  return {
+    valid: true,
+    phoneNumber: parsed.number,
+    country: parsed.country || null,
+    type
+  };
+}
+
+module.exports = {
+  PHONE_TYPES,
+  isCountryAllowed,
+  getPhoneCountries,
+  normalizePhoneNumber
+};
@@ -0,0 +1,76 @@
+// Phonebook entries - what one user gets to see about others: their codename,
+// presence and whether they can be called right now (never their name, phone
+// numbers or schedule) - and the cursors that page through them
+const { PHONEBOOK_SORTS, getAvailabilityWindowsForUsers, getUserPhonesForUsers } = require('../db/database');
+const { getAvailability } = require('./availability');
+const { getPresenceForUsers } = require('./presence');
+const { isDialable } = require('./ringing');
+
+/**
+ * Phonebook entries for some users
+ * @param {Array<object>} users - users rows (id, codename, answer_in_app,
+ *   ring_mode, ring_steps, time_zone, dnd_enabled, dnd_until)
+ * @returns {Promise<Array<object>>} - { id, codename, presence,
+ *   availability: { status: 'available' | 'dnd', until } } in the same order
+ */
+async function describePhonebookEntries(users) {
+  const userIds = users.map(u => u.id);
+  const windowsByUser = await getAvailabilityWindowsForUsers(userIds);
+  const phonesByUser = await getUserPhonesForUsers(userIds);
+  const presence = await getPresenceForUsers(users);
+  const now = new Date();
+
+  return users.map(u => {
+    // Someone who can't be rung (no verified phone, or none within its hours, to
+    // fall back on) can't be called either
+    const { available, availableAt } = isDialable(u, phonesByUser[u.id] || [])
+      ? getAvailability(u, windowsByUser[u.id], now)
+      : { available: false, availableAt: null };
+    return {
+      id: u.id,
+      codename: u.codename,
+      presence: presence[u.id],
+      availability: {
+        status: available ? 'available' : 'dnd',
+        until: availableAt
+      }
+    };
+  });
+}
+
+// Opaque cursor for the page after the one ending at `after` (sort key values).
+// It carries the workspace, search and sort it was made for, since it means
+// nothing in another.
+function encodeCursor({ workspaceId, search, sort, after }) {
+  return Buffer.from(JSON.stringify({ w: workspaceId || null, q: search || '', s: sort, a: after })).toString('base64url');
+}
+
+/**
+ * Sort key values to continue from, if the cursor was made for this search and sort
+ * @param {string} cursor - From encodeCursor()
+ * @param {object} expected - { workspaceId, search, sort } of the request
+ * @returns {Array|null} - null for a malformed or mismatched cursor
+ */
+function decodeCursor(cursor, { workspaceId, search, sort }) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  // Search rank (when searching), the sort's own keys, codename and id
+  const keyCount = (search ? 1 : 0) + PHONEBOOK_SORTS[sort].length + 2;
+  if (!decoded || decoded.w !== (workspaceId || null) || decoded.q !== (search || '') || decoded.s !== sort ||
+      !Array.isArray(decoded.a) || decoded.a.length !== keyCount ||
+      !decoded.a.every(v => typeof v === 'number' || typeof v === 'string')) {
+    return null;
+  }
+  return decoded.a;
+}
+
+module.exports = {
+  describePhonebookEntries,
+  encodeCursor,
+  decodeCursor
+};
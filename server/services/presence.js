@@ -0,0 +1,138 @@
+// Presence - whether a user can be reached right now, derived from Twilio
+// Device heartbeats sent by the browser, live calls in call_logs and the
+// answer_in_app preference. Changes are pushed to everyone connected who
+// shares a workspace with the user.
+const {
+  getUserById,
+  getUserIdsInActiveCalls,
+  getBlockedUserIdsEitherWay,
+  getWorkspaceMateIds
+} = require('../db/database');
+const { publishToUser, getConnectedUserIds } = require('./events');
+
+// The browser heartbeats every 25s; two missed beats and the device counts as gone
+const HEARTBEAT_TTL_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 15 * 1000;
+// A call_logs row this old that never got an end is treated as stale, not live
+const STALE_CALL_MS = 6 * 60 * 60 * 1000;
+
+// userId -> (deviceId -> time of its last heartbeat) for each tab with a
+// registered Device. The user is online while any of their tabs is.
+const heartbeats = new Map();
+// userId -> presence last pushed to clients
+const lastPublished = new Map();
+
+// Whether any of the user's browser tabs has a registered Device right now
+function isDeviceOnline(userId, now = Date.now()) {
+  const devices = heartbeats.get(userId);
+  if (!devices) return false;
+  for (const lastSeen of devices.values()) {
+    if (now - lastSeen < HEARTBEAT_TTL_MS) return true;
+  }
+  return false;
+}
+
+/**
+ * Presence of a single user
+ * @param {object} user - users row (needs answer_in_app)
+ * @param {boolean} inCall - whether they are talking in a call right now
+ * @param {boolean} deviceOnline - whether their browser Device is registered
+ * @returns {string} - online | in-call | phone-only | offline
+ */
+function derivePresence(user, inCall, deviceOnline) {
+  if (inCall) return 'in-call';
+  if (!user.answer_in_app) return 'phone-only';
+  return deviceOnline ? 'online' : 'offline';
+}
+
+/**
+ * Presence of many users at once
+ * @param {Array<object>} users - users rows (id, answer_in_app)
+ * @returns {Promise<object>} - presence keyed by user id
+ */
+async function getPresenceForUsers(users) {
+  const since = new Date(Date.now() - STALE_CALL_MS).toISOString();
+  const inCall = new Set(await getUserIdsInActiveCalls(users.map(u => u.id), since));
+
+  const presence = {};
+  for (const user of users) {
+    presence[user.id] = derivePresence(user, inCall.has(user.id), isDeviceOnline(user.id));
+  }
+  return presence;
+}
+
+// Tell every connected user in a workspace with the user (except anyone blocked either way)
+async function broadcastPresence(userId, presence) {
+  const mates = new Set(await getWorkspaceMateIds(userId));
+  const blocked = new Set(await getBlockedUserIdsEitherWay(userId));
+  for (const id of getConnectedUserIds()) {
+    if (mates.has(id) && !blocked.has(id)) {
+      publishToUser(id, 'presence', { userId, presence });
+    }
+  }
+}
+
+/**
+ * Recompute presence for some users and push it out if it changed
+ * @param {Array<number>} userIds - users whose state may have changed
+ */
+async function refreshPresence(userIds) {
+  const users = (await Promise.all(userIds.map(id => getUserById(id)))).filter(Boolean);
+  const presence = await getPresenceForUsers(users);
+
+  for (const user of users) {
+    if (lastPublished.get(user.id) !== presence[user.id]) {
+      lastPublished.set(user.id, presence[user.id]);
+      await broadcastPresence(user.id, presence[user.id]);
+    }
+  }
+}
+
+/**
+ * Record a heartbeat from one of a user's browser tabs
+ * @param {number} userId - ID of the user
+ * @param {string} deviceId - ID the tab picked for itself
+ * @param {boolean} registered - whether its Twilio Device is registered
+ */
+async function recordHeartbeat(userId, deviceId, registered) {
+  let devices = heartbeats.get(userId);
+  if (registered) {
+    if (!devices) {
+      devices = new Map();
+      heartbeats.set(userId, devices);
+    }
+    devices.set(deviceId, Date.now());
+  } else if (devices) {
+    devices.delete(deviceId);
+    if (devices.size === 0) heartbeats.delete(userId);
+  }
+  await refreshPresence([userId]);
+}
+
+// Tabs that stopped heartbeating (closed, network gone) are forgotten, and
+// users with none left go offline
+setInterval(() => {
+  const now = Date.now();
+  const expired = [];
+  for (const [userId, devices] of heartbeats) {
+    for (const [deviceId, lastSeen] of devices) {
+      if (now - lastSeen >= HEARTBEAT_TTL_MS) devices.delete(deviceId);
+    }
+    if (devices.size === 0) {
+      heartbeats.delete(userId);
+      expired.push(userId);
+    }
+  }
+  if (expired.length === 0) return;
+
+  refreshPresence(expired).catch(error => {
+    console.error('Presence sweep error:', error);
+  });
+}, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  isDeviceOnline,
+  getPresenceForUsers,
+  refreshPresence,
+  recordHeartbeat
+};
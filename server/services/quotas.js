@@ -0,0 +1,136 @@
+// Call quotas - how many people an account may dial per minute, per day and
+// per callee per day. Usage is stored in Postgres (call_quota_usage) so limits
+// follow the account rather than its IP address, and survive restarts.
+// A call is only counted by reserveCallQuota(), which checks and records in
+// one locked transaction so simultaneous attempts can't all take the last slot.
+const {
+  getCallQuotaOverrides,
+  countCallUsage,
+  countCallUsageByCallee,
+  recordCallUsage,
+  setCallUsageCallLog,
+  withCallUsageLock
+} = require('../db/database');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// Defaults for anyone without a role or user override in call_quotas
+const DEFAULT_CALL_QUOTA = {
+  perMinute: envLimit('CALL_QUOTA_PER_MINUTE', 10),
+  perDay: envLimit('CALL_QUOTA_PER_DAY', 200),
+  perCalleePerDay: envLimit('CALL_QUOTA_PER_CALLEE_PER_DAY', 20)
+};
+
+const QUOTA_COLUMNS = {
+  perMinute: 'per_minute',
+  perDay: 'per_day',
+  perCalleePerDay: 'per_callee_per_day'
+};
+
+/**
+ * Limits that apply to a user: their own override, else their role's, else the default
+ * @param {object} user - users row (id, role)
+ * @param {object} [database] - Connection to read with (a transaction's)
+ * @returns {Promise<object>} - { perMinute, perDay, perCalleePerDay }
+ */
+async function getCallQuota(user, database) {
+  const overrides = await getCallQuotaOverrides(user.id, user.role || 'user', database);
+
+  const quota = {};
+  for (const [key, column] of Object.entries(QUOTA_COLUMNS)) {
+    const userLimit = overrides.user ? overrides.user[column] : null;
+    const roleLimit = overrides.role ? overrides.role[column] : null;
+    quota[key] = userLimit ?? roleLimit ?? DEFAULT_CALL_QUOTA[key];
+  }
+  return quota;
+}
+
+// Seconds until the oldest dial in a window stops counting
+function secondsUntilFree(oldest, windowMs, now) {
+  if (!oldest) return 0;
+  return Math.max(Math.ceil((new Date(oldest).getTime() + windowMs - now) / 1000), 1);
+}
+
+/**
+ * Check whether a user may dial the given callees now
+ * Every person dialed counts once, so a group call uses one per callee
+ *
+ * @param {object} user - users row of the caller
+ * @param {Array<number>} calleeIds - users about to be dialed
+ * @param {object} [database] - Connection to read with (a transaction's)
+ * @returns {Promise<object>} - { usage, exceeded } where usage has
+ *   { limit, remaining } for minute, day and callee (the tightest callee),
+ *   and exceeded is null or { quota, limit, retryAfter, calleeId? }
+ */
+async function checkCallQuota(user, calleeIds, database) {
+  const now = Date.now();
+  const quota = await getCallQuota(user, database);
+  const requested = calleeIds.length;
+
+  const [minute, day, byCallee] = await Promise.all([
+    countCallUsage(user.id, new Date(now - MINUTE_MS).toISOString(), database),
+    countCallUsage(user.id, new Date(now - DAY_MS).toISOString(), database),
+    countCallUsageByCallee(user.id, calleeIds, new Date(now - DAY_MS).toISOString(), database)
+  ]);
+
+  const usage = {
+    minute: { limit: quota.perMinute, remaining: Math.max(quota.perMinute - minute.count - requested, 0) },
+    day: { limit: quota.perDay, remaining: Math.max(quota.perDay - day.count - requested, 0) },
+    callee: { limit: quota.perCalleePerDay, remaining: quota.perCalleePerDay }
+  };
+
+  let exceeded = null;
+  if (minute.count + requested > quota.perMinute) {
+    exceeded = { quota: 'minute', limit: quota.perMinute, retryAfter: secondsUntilFree(minute.oldest, MINUTE_MS, now) };
+  } else if (day.count + requested > quota.perDay) {
+    exceeded = { quota: 'day', limit: quota.perDay, retryAfter: secondsUntilFree(day.oldest, DAY_MS, now) };
+  }
+
+  for (const calleeId of calleeIds) {
+    const used = byCallee[calleeId] || { count: 0, oldest: null };
+    usage.callee.remaining = Math.min(usage.callee.remaining, Math.max(quota.perCalleePerDay - used.count - 1, 0));
+
+    if (!exceeded && used.count + 1 > quota.perCalleePerDay) {
+      exceeded = {
+        quota: 'callee',
+        limit: quota.perCalleePerDay,
+        retryAfter: secondsUntilFree(used.oldest, DAY_MS, now),
+        calleeId
+      };
+    }
+  }
+
+  return { usage, exceeded };
+}
+
+/**
+ * Check the user's quotas and, if dialing the callees fits, count it against
+ * them - atomically, so of several attempts at once only those that fit get
+ * through
+ * @param {object} user - users row of the caller
+ * @param {Array<number>} calleeIds - users about to be dialed
+ * @returns {Promise<object>} - checkCallQuota()'s { usage, exceeded }, plus
+ *   usageIds (the recorded rows, for setCallUsageCallLog) when not exceeded
+ */
+async function reserveCallQuota(user, calleeIds) {
+  return withCallUsageLock(user.id, async (tx) => {
+    const result = await checkCallQuota(user, calleeIds, tx);
+    if (result.exceeded) return result;
+
+    return { ...result, usageIds: await recordCallUsage(user.id, calleeIds, null, tx) };
+  });
+}
+
+module.exports = {
+  DEFAULT_CALL_QUOTA,
+  getCallQuota,
+  checkCallQuota,
+  reserveCallQuota,
+  setCallUsageCallLog
+};
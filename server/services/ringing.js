@@ -0,0 +1,285 @@
+// Ring sequences - how a user is reached when they are called (or place a
+// call, since the caller is rung first): an ordered list of endpoints (the
+// browser, or a phone) with a timeout each. A phone step either names one of
+// the user's numbers or leaves it to the dialer, which picks the number that
+// suits the time of day (see pickPhone). In sequential mode one endpoint rings
+// at a time and the next is tried when it times out, is busy or fails; in
+// simultaneous mode all of them ring and the first to answer wins. Each
+// attempt is a call leg of its own; one that gave way to another is marked
+// superseded. Users without a sequence of their own are rung in the browser
+// (if answer_in_app) and then on their phone.
+const { getUserById, getUserPhones, createCallLeg, updateCallLeg } = require('../db/database');
+const { dialLegs, dialCallerToVoicemail } = require('./telephony');
+const { isCountryAllowed } = require('./phoneNumbers');
+const { isDeviceOnline } = require('./presence');
+const { isWithinSchedule } = require('./availability');
+
+const RING_MODES = ['sequential', 'simultaneous'];
+const RING_ENDPOINTS = ['browser', 'phone'];
+// Seconds each endpoint rings for
+const DEFAULT_RING_TIMEOUTS = { browser: 20, phone: 30 };
+const MIN_RING_TIMEOUT_SECONDS = 5;
+const MAX_RING_TIMEOUT_SECONDS = 120;
+
+// Generate a client identity from user id
+function getClientIdentity(userId) {
+  return `user_${userId}`;
+}
+
+function defaultStep(endpoint) {
+  return { endpoint, timeout: DEFAULT_RING_TIMEOUTS[endpoint] };
+}
+
+function parseRingSteps(value) {
+  if (!value) return null;
+  try {
+    const steps = JSON.parse(value);
+    return Array.isArray(steps) && steps.length > 0 ? steps : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * A user's ring sequence
+ * @param {object} user - users row
+ * @returns {object} - { mode, steps: [{ endpoint, phoneId?, timeout }], custom }
+ *   where custom is false for the default sequence
+ */
+function getRingSequence(user) {
+  const steps = parseRingSteps(user.ring_steps);
+  if (steps) {
+    return { mode: user.ring_mode || 'sequential', steps, custom: true };
+  }
+
+  return {
+    mode: 'sequential',
+    steps: user.answer_in_app ? [defaultStep('browser'), defaultStep('phone')] : [defaultStep('phone')],
+    custom: false
+  };
+}
+
+// Steps are told apart by endpoint, and phone steps by the number they name
+function stepKey(step) {
+  return step.phoneId ? `phone:${step.phoneId}` : step.endpoint;
+}
+
+/**
+ * Check a ring sequence submitted by a user
+ * @param {string} mode - sequential | simultaneous
+ * @param {Array<object>} steps - [{ endpoint, phoneId?, timeout? }] in the order to ring them
+ * @param {Array<object>} phones - the user's user_phones rows (a phoneId must be one of them)
+ * @returns {object} - { valid: true, mode, steps } or { valid: false, error }
+ */
+function validateRingSequence(mode, steps, phones) {
+  if (!RING_MODES.includes(mode)) {
+    return { valid: false, error: `mode must be one of: ${RING_MODES.join(', ')}` };
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { valid: false, error: 'steps must be a non-empty array' };
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const step of steps) {
+    if (!step || !RING_ENDPOINTS.includes(step.endpoint)) {
+      return { valid: false, error: `Each step's endpoint must be one of: ${RING_ENDPOINTS.join(', ')}` };
+    }
+    const phoneId = step.endpoint === 'phone' && step.phoneId != null ? step.phoneId : null;
+    if (phoneId !== null && !phones.some(phone => phone.id === phoneId)) {
+      return { valid: false, error: 'phoneId must be one of your phone numbers' };
+    }
+    const key = stepKey({ endpoint: step.endpoint, phoneId });
+    if (seen.has(key)) {
+      return { valid: false, error: 'Each endpoint can only appear once' };
+    }
+    seen.add(key);
+
+    const timeout = step.timeout ?? DEFAULT_RING_TIMEOUTS[step.endpoint];
+    if (!Number.isInteger(timeout) || timeout < MIN_RING_TIMEOUT_SECONDS || timeout > MAX_RING_TIMEOUT_SECONDS) {
+      return {
+        valid: false,
+        error: `timeout must be between ${MIN_RING_TIMEOUT_SECONDS} and ${MAX_RING_TIMEOUT_SECONDS} seconds`
+      };
+    }
+    normalized.push(phoneId !== null ? { endpoint: step.endpoint, phoneId, timeout } : { endpoint: step.endpoint, timeout });
+  }
+
+  return { valid: true, mode, steps: normalized };
+}
+
+/**
+ * Whether a phone number may ever be dialed: verified, and in a country we dial
+ * @param {object} phone - user_phones row
+ * @returns {boolean}
+ */
+function isPhoneDialable(phone) {
+  return Boolean(phone.verified_at) && isCountryAllowed(phone.phone_country);
+}
+
+// Dialable, and within its hours (in the user's time zone)
+function isPhoneOpen(user, phone, now) {
+  return isPhoneDialable(phone) && isWithinSchedule(phone.windows, user.time_zone, now);
+}
+
+/**
+ * The number a phone step without a phoneId rings at a given moment: one whose
+ * hours cover it over one that rings any time (set hours mean "use me then"),
+ * and the primary over the others
+ *
+ * @param {object} user - users row (for the time zone)
+ * @param {Array<object>} phones - the user's user_phones rows with windows
+ * @param {Date} [now] - Moment to pick for (defaults to now)
+ * @returns {object|null} - user_phones row, or null if none can ring now
+ */
+function pickPhone(user, phones, now = new Date()) {
+  const open = phones.filter(phone => isPhoneOpen(user, phone, now));
+  const rank = phone => (phone.windows.length > 0 ? 0 : 2) + (phone.is_primary ? 0 : 1);
+  return open.sort((a, b) => rank(a) - rank(b) || a.id - b.id)[0] || null;
+}
+
+// What a step dials at a given moment - { to, phoneId } - or null if it can't ring then
+function getStepAddress(user, phones, step, now) {
+  if (step.endpoint === 'browser') {
+    return { to: `client:${getClientIdentity(user.id)}`, phoneId: null };
+  }
+  if (step.endpoint !== 'phone') return null;
+
+  const phone = step.phoneId
+    ? phones.find(p => p.id === step.phoneId && isPhoneOpen(user, p, now))
+    : pickPhone(user, phones, now);
+  return phone ? { to: phone.phone_number, phoneId: phone.id } : null;
+}
+
+/**
+ * Whether a step can ring right now (whether or not it's in the user's sequence)
+ * @param {object} user - users row
+ * @param {Array<object>} phones - the user's user_phones rows with windows
+ * @param {object} step - { endpoint, phoneId? }
+ * @param {Date} [now] - Moment to evaluate (defaults to now)
+ * @returns {boolean}
+ */
+function isStepDialable(user, phones, step, now = new Date()) {
+  return Boolean(getStepAddress(user, phones, step, now));
+}
+
+/**
+ * Whether a user can be rung right now on at least one step of their sequence
+ * @param {object} user - users row
+ * @param {Array<object>} phones - the user's user_phones rows with windows
+ * @returns {boolean}
+ */
+function isDialable(user, phones) {
+  const now = new Date();
+  return getRingSequence(user).steps.some(step => getStepAddress(user, phones, step, now));
+}
+
+// The endpoints to try, in order: { step, endpoint, endpointType, phoneId, to, timeout }.
+// A browser that isn't registered right now is skipped if there is anything else to ring.
+function planRingAttempts(user, phones) {
+  const now = new Date();
+  const attempts = getRingSequence(user).steps
+    .map((step, index) => ({
+      step: index,
+      endpoint: step.endpoint,
+      endpointType: step.endpoint,
+      timeout: step.timeout,
+      ...getStepAddress(user, phones, step, now)
+    }))
+    .filter(attempt => attempt.to);
+
+  const reachable = attempts.filter(a => a.endpoint !== 'browser' || isDeviceOnline(user.id));
+  return reachable.length > 0 ? reachable : attempts;
+}
+
+async function createAttemptLeg({ callLogId, user, role, billedTo }, attempt) {
+  const legId = await createCallLeg({
+    callLogId,
+    userId: user.id,
+    role,
+    endpointType: attempt.endpointType,
+    billedTo,
+    ringEndpoint: attempt.endpoint,
+    ringStep: attempt.step,
+    phoneId: attempt.phoneId
+  });
+  return { ...attempt, legId, role };
+}
+
+/**
+ * Create the legs that first ring a party: the first step of their sequence,
+ * or every step in simultaneous mode
+ * @param {object} params - { callLogId, user (users row), role, billedTo }
+ * @returns {Promise<Array<object>>} - { legId, role, step, endpoint, endpointType, phoneId, to, timeout }
+ *   for each leg, ready to be dialed
+ */
+async function createRingLegs(params) {
+  const attempts = planRingAttempts(params.user, await getUserPhones(params.user.id));
+  if (attempts.length === 0) {
+    throw new Error(`User ${params.user.id} has no endpoint that can be rung`);
+  }
+
+  const first = getRingSequence(params.user).mode === 'simultaneous' ? attempts : attempts.slice(0, 1);
+  const legs = [];
+  for (const attempt of first) {
+    legs.push(await createAttemptLeg(params, attempt));
+  }
+  return legs;
+}
+
+/**
+ * Ring the next endpoint in a sequential ring after an attempt went unanswered
+ * The unanswered leg is marked superseded once the next one is dialed; an
+ * endpoint that can't be dialed is skipped.
+ *
+ * @param {object} callLog - call_logs row
+ * @param {object} leg - the unanswered call_legs row
+ * @returns {Promise<boolean>} - false if there was nothing left to ring
+ */
+async function ringNextStep(callLog, leg) {
+  if (leg.ring_step === null || leg.ring_step === undefined) return false;
+
+  const user = await getUserById(leg.user_id);
+  if (!user || getRingSequence(user).mode !== 'sequential') return false;
+
+  // The sequence is read afresh, so a step changed mid-call is picked up
+  const remaining = planRingAttempts(user, await getUserPhones(user.id)).filter(attempt => attempt.step > leg.ring_step);
+  const params = { callLogId: callLog.id, user, role: leg.role, billedTo: leg.billed_to };
+
+  for (const attempt of remaining) {
+    const next = await createAttemptLeg(params, attempt);
+    try {
+      // A caller whose callee was unavailable is still on their way to voicemail
+      const [callSid] = leg.role === 'caller' && callLog.callee_decision === 'unavailable'
+        ? await dialCallerToVoicemail([next], callLog.id)
+        : await dialLegs([next], callLog.twilio_conference_sid, callLog.id);
+
+      await updateCallLeg(next.legId, { twilioCallSid: callSid });
+      await updateCallLeg(leg.id, { supersededAt: new Date().toISOString() });
+      return true;
+    } catch (error) {
+      console.error(`Failed to ring ${attempt.endpoint} for call ${callLog.id}:`, error.message);
+      const now = new Date().toISOString();
+      await updateCallLeg(next.legId, { status: 'failed', endedAt: now, supersededAt: now });
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  RING_MODES,
+  RING_ENDPOINTS,
+  DEFAULT_RING_TIMEOUTS,
+  MIN_RING_TIMEOUT_SECONDS,
+  MAX_RING_TIMEOUT_SECONDS,
+  getClientIdentity,
+  getRingSequence,
+  validateRingSequence,
+  isPhoneDialable,
+  pickPhone,
+  isStepDialable,
+  isDialable,
+  createRingLegs,
+  ringNextStep
+};
@@ -0,0 +1,187 @@
+// Telephony - places and controls the calls behind every conversation.
+// The provider is picked with TELEPHONY_PROVIDER: "twilio" (default) places
+// real calls, "simulator" fakes them locally for development and tests.
+//
+// A provider implements:
+//   generateAccessToken(identity)           -> token for the browser Device
+//   createCall({ to, url | twiml, timeout, statusCallback, statusCallbackEvent }) -> { sid }
+//   sendSms({ to, body })                   -> { sid }
+//   redirectCall(callSid, url), endCall(callSid), endConference(name)
+//   fetchRecordingAudio(recordingUrl)       -> fetch Response with audio
+//   deleteRecording(recordingSid)
+//   validateWebhook(signature, url, params) -> true/false, or null if unchecked
+// Calls are driven by TwiML (see twiml.js) and report progress through the
+// status callback webhooks, whichever provider is in use.
+const twiml = require('./twiml');
+
+const PROVIDERS = {
+  twilio: () => require('./twilio'),
+  simulator: () => require('./simulator')
+};
+
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.TELEPHONY_PROVIDER || 'twilio').toLowerCase();
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown TELEPHONY_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(' or ')})`);
+    }
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+}
+
+/**
+ * Unique name for the conference a call's legs join
+ * @param {string} callLogId - ID of the call log
+ * @returns {string}
+ */
+function createConferenceName(callLogId) {
+  return `call-${callLogId}-${Date.now()}`;
+}
+
+/**
+ * Dial a single leg of a bridged call into the conference
+ * @param {object} leg - { to, endpointType, role, legId, timeout, twimlUrl? } where
+ *   to is a phone number or "client:<identity>" and timeout is how long it rings (seconds)
+ * @param {string} conferenceName - Conference the leg should join
+ * @param {string} callLogId - ID of the call log for tracking
+ * @returns {Promise<object>} - { sid } of the new call
+ */
+function dialLeg(leg, conferenceName, callLogId) {
+  const baseUrl = twiml.getBaseUrl();
+
+  // A callee answering on the phone must accept the call before joining;
+  // the browser has its own accept/reject prompt
+  const url = leg.twimlUrl || (leg.role === 'callee' && leg.endpointType === 'phone'
+    ? `${baseUrl}/api/calls/twiml/consent/${callLogId}/legs/${leg.legId}`
+    : `${baseUrl}/api/calls/twiml/conference?name=${encodeURIComponent(conferenceName)}&participant=${leg.role}`);
+
+  return getProvider().createCall({
+    to: leg.to,
+    url,
+    timeout: leg.timeout,
+    statusCallback: `${baseUrl}/api/calls/status/${callLogId}/legs/${leg.legId}`,
+    statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
+  });
+}
+
+/**
+ * Dial several legs at once into a call's conference: the caller and callees
+ * when a call starts, someone added to it, or the next endpoint in a ring sequence
+ * If any leg can't be dialed, the others are hung up rather than left ringing
+ * Supports both phone and browser (WebRTC) endpoints
+ *
+ * @param {Array<object>} legs - { to, endpointType, role, legId, timeout, twimlUrl? } for each leg
+ * @param {string} conferenceName - Conference the legs should join
+ * @param {string} callLogId - ID of the call log for tracking
+ * @returns {Promise<Array<string>>} - Call SIDs, in the order of legs
+ */
+async function dialLegs(legs, conferenceName, callLogId) {
+  const results = await Promise.allSettled(legs.map(leg => dialLeg(leg, conferenceName, callLogId)));
+
+  const failed = results.find(r => r.status === 'rejected');
+  if (failed) {
+    await Promise.all(results
+      .filter(r => r.status === 'fulfilled')
+      .map(r => endCall(r.value.sid).catch(err => {
+        console.error('Failed to end orphaned leg:', err.message);
+      })));
+    throw failed.reason;
+  }
+
+  return results.map(r => r.value.sid);
+}
+
+/**
+ * Calls only the caller and sends them straight to the callee's voicemail
+ * Used when the callee is unavailable, so their phone never rings
+ *
+ * @param {Array<object>} legs - The first legs to ring for the caller
+ * @param {string} callLogId - ID of the call log for tracking
+ * @returns {Promise<Array<string>>} - Call SIDs of the caller's legs
+ */
+function dialCallerToVoicemail(legs, callLogId) {
+  const twimlUrl = `${twiml.getBaseUrl()}/api/voicemails/twiml/${callLogId}`;
+  return dialLegs(legs.map(leg => ({ ...leg, twimlUrl })), null, callLogId);
+}
+
+/**
+ * Deliver a one-time verification code by text message or by a call that reads it out
+ * @param {string} to - Phone number to verify
+ * @param {string} code - The code
+ * @param {string} channel - 'sms' or 'voice'
+ * @param {number} expiresInMinutes - How long the code is good for (told to the recipient)
+ * @returns {Promise<object>} - { sid } of the message or call
+ */
+function sendVerificationCode(to, code, channel, expiresInMinutes) {
+  if (channel === 'voice') {
+    return getProvider().createCall({ to, twiml: twiml.generateVerificationCodeTwiML(code) });
+  }
+  return getProvider().sendSms({
+    to,
+    body: `Your verification code is ${code}. It expires in ${expiresInMinutes} minutes. If you didn't ask for it, ignore this message.`
+  });
+}
+
+/**
+ * Relay a text message to a phone from the shared number
+ * @param {string} to - Phone number to text
+ * @param {string} body - Message text
+ * @returns {Promise<object>} - { sid } of the message
+ */
+function sendTextMessage(to, body) {
+  return getProvider().sendSms({ to, body });
+}
+
+function generateAccessToken(identity) {
+  return getProvider().generateAccessToken(identity);
+}
+
+function redirectCall(callSid, url) {
+  return getProvider().redirectCall(callSid, url);
+}
+
+function endCall(callSid) {
+  return getProvider().endCall(callSid);
+}
+
+function endConference(conferenceName) {
+  return getProvider().endConference(conferenceName);
+}
+
+function fetchRecordingAudio(recordingUrl) {
+  return getProvider().fetchRecordingAudio(recordingUrl);
+}
+
+function deleteRecording(recordingSid) {
+  return getProvider().deleteRecording(recordingSid);
+}
+
+function validateWebhook(signature, url, params) {
+  return getProvider().validateWebhook(signature, url, params);
+}
+
+module.exports = {
+  MAX_CALL_PARTICIPANTS: twiml.MAX_CALL_PARTICIPANTS,
+  getBaseUrl: twiml.getBaseUrl,
+  generateConferenceTwiML: twiml.generateConferenceTwiML,
+  generateConsentTwiML: twiml.generateConsentTwiML,
+  generateSayAndHangupTwiML: twiml.generateSayAndHangupTwiML,
+  generateVoicemailTwiML: twiml.generateVoicemailTwiML,
+  generateMessagingTwiML: twiml.generateMessagingTwiML,
+  getProvider,
+  generateAccessToken,
+  createConferenceName,
+  dialLegs,
+  dialCallerToVoicemail,
+  sendVerificationCode,
+  sendTextMessage,
+  redirectCall,
+  fetchRecordingAudio,
+  deleteRecording,
+  endCall,
+  endConference,
+  validateWebhook
+};
@@ -0,0 +1,593 @@
+// Simulator provider - stands in for Twilio so calls can be exercised without
+// credentials or a public BASE_URL. Nothing is really dialed: each leg rings,
+// answers and hangs up on timers, fetches and follows its TwiML from this
+// server, and reports progress through the same signed status callbacks
+// Twilio would send. Select it with TELEPHONY_PROVIDER=simulator.
+const crypto = require('crypto');
+const { getBaseUrl } = require('./twiml');
+
+function envMs(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// How every simulated person behaves unless overridden with setBehavior()
+const DEFAULT_BEHAVIOR = {
+  // answer | no-answer | busy | failed
+  outcome: process.env.SIMULATOR_OUTCOME || 'answer',
+  // Keys pressed at a <Gather> prompt ('' presses nothing)
+  digits: process.env.SIMULATOR_DIGITS !== undefined ? process.env.SIMULATOR_DIGITS : '1',
+  // How long the phone rings before they pick up (or give up, for no-answer)
+  answerAfterMs: envMs('SIMULATOR_ANSWER_DELAY_MS', 2000),
+  // How long after answering they hang up
+  hangUpAfterMs: envMs('SIMULATOR_CALL_DURATION_MS', 20000)
+};
+
+const RING_AFTER_MS = 500;
+const SPEECH_MS_PER_WORD = 300;
+const RECORDING_SECONDS = 5;
+// Per-minute rates, roughly Twilio's US outbound voice prices
+const PRICE_PER_MINUTE = { phone: 0.014, client: 0.004 };
+
+const ACCOUNT_SID = `AC${'0'.repeat(32)}`;
+// Webhooks are signed like Twilio's; fixed with SIMULATOR_AUTH_TOKEN, else per process
+const AUTH_TOKEN = process.env.SIMULATOR_AUTH_TOKEN || crypto.randomBytes(16).toString('hex');
+
+// Which status callback event each status belongs to (anything else is 'completed')
+const STATUS_EVENTS = {
+  initiated: 'initiated',
+  ringing: 'ringing',
+  'in-progress': 'answered'
+};
+
+// callSid -> simulated call
+const calls = new Map();
+// destination ("+15551234567" or "client:user_1") -> behavior overrides
+const behaviors = new Map();
+// recordingSid -> length in seconds
+const recordings = new Map();
+// Text messages "sent", oldest first
+const messages = [];
+
+function makeSid(prefix) {
+  return `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms).unref());
+}
+
+function getBehavior(to) {
+  return { ...DEFAULT_BEHAVIOR, ...behaviors.get(to) };
+}
+
+// Twilio's signature: HMAC-SHA1 over the full URL followed by the sorted POST params
+function sign(url, params) {
+  const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+  return crypto.createHmac('sha1', AUTH_TOKEN).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+async function postWebhook(url, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': sign(url, params)
+    },
+    body: new URLSearchParams(params).toString()
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook ${new URL(url).pathname} answered ${response.status}`);
+  }
+  return response.text();
+}
+
+function callParams(call, extra = {}) {
+  return {
+    AccountSid: ACCOUNT_SID,
+    ApiVersion: '2010-04-01',
+    CallSid: call.sid,
+    CallStatus: call.status,
+    Direction: 'outbound-api',
+    From: process.env.TWILIO_PHONE_NUMBER || '+15005550006',
+    To: call.to,
+    ...extra
+  };
+}
+
+// Status callbacks for one call are sent one after another, like Twilio's
+function enqueue(call, task) {
+  call.queue = call.queue.then(task).catch(error => {
+    console.error(`Simulator call ${call.sid} error:`, error.message);
+  });
+}
+
+function sendStatus(call, status, extra = {}) {
+  const event = STATUS_EVENTS[status] || 'completed';
+  if (!call.statusCallback || !call.statusCallbackEvent.includes(event)) return;
+
+  call.sequenceNumber += 1;
+  const params = callParams(call, {
+    ...extra,
+    CallStatus: status,
+    CallbackSource: 'call-progress-events',
+    SequenceNumber: String(call.sequenceNumber),
+    Timestamp: new Date().toUTCString()
+  });
+  enqueue(call, () => postWebhook(call.statusCallback, params));
+}
+
+function schedule(call, ms, task) {
+  const timer = setTimeout(() => {
+    call.timers.delete(timer);
+    if (!call.ended) task();
+  }, ms);
+  timer.unref();
+  call.timers.add(timer);
+}
+
+function leaveConference(call) {
+  call.conference = null;
+}
+
+/**
+ * End a simulated call and report its final status
+ * @param {object} call - simulated call
+ * @param {string} status - completed | canceled | busy | no-answer | failed
+ */
+function hangUp(call, status) {
+  if (call.ended) return;
+  call.ended = true;
+  call.status = status;
+  call.timers.forEach(clearTimeout);
+  call.timers.clear();
+  leaveConference(call);
+
+  const extra = { CallDuration: '0' };
+  if (call.answeredAt) {
+    const seconds = Math.max(Math.ceil((Date.now() - call.answeredAt) / 1000), 1);
+    const minutes = Math.ceil(seconds / 60);
+    const rate = call.to.startsWith('client:') ? PRICE_PER_MINUTE.client : PRICE_PER_MINUTE.phone;
+    extra.CallDuration = String(seconds);
+    extra.Duration = String(minutes);
+    extra.Price = (-minutes * rate).toFixed(5);
+    extra.PriceUnit = 'USD';
+  }
+  sendStatus(call, status, extra);
+}
+
+// Minimal TwiML reader - enough for the verbs our webhooks answer with
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function parseTwiML(xml) {
+  const root = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const pattern = /<(\/?)([A-Za-z]+)([^>]*?)(\/?)>|([^<]+)/g;
+
+  let match;
+  while ((match = pattern.exec(xml))) {
+    const [, closing, name, attributeText, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      parent.text += decodeXml(text);
+    } else if (closing) {
+      if (stack.length > 1) stack.pop();
+    } else {
+      const attributes = {};
+      for (const [, key, value] of attributeText.matchAll(/([A-Za-z]+)="([^"]*)"/g)) {
+        attributes[key] = decodeXml(value);
+      }
+      const element = { name, attributes, children: [], text: '' };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  const response = root.children.find(element => element.name === 'Response');
+  return response ? response.children : [];
+}
+
+function speak(text) {
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return sleep(words * SPEECH_MS_PER_WORD);
+}
+
+// Handlers for each TwiML verb. They return { url, params } to fetch new
+// TwiML, HOLD to stay where they are (in a conference) or nothing to go on
+const HOLD = 'hold';
+
+const VERBS = {
+  Say: (call, verb) => speak(verb.text),
+
+  Pause: (call, verb) => sleep((parseInt(verb.attributes.length, 10) || 1) * 1000),
+
+  Gather: async (call, verb, url) => {
+    for (const child of verb.children.filter(c => c.name === 'Say')) {
+      await speak(child.text);
+    }
+
+    const numDigits = parseInt(verb.attributes.numDigits, 10) || undefined;
+    const digits = getBehavior(call.to).digits.slice(0, numDigits);
+    if (!digits) {
+      // Nobody pressed anything - Twilio moves on to the next verb
+      await sleep((parseInt(verb.attributes.timeout, 10) || 5) * 1000);
+      return null;
+    }
+    return { url: verb.attributes.action || url, params: { Digits: digits } };
+  },
+
+  Redirect: (call, verb) => ({ url: verb.text.trim() }),
+
+  Dial: (call, verb) => {
+    const conference = verb.children.find(c => c.name === 'Conference');
+    if (!conference) {
+      console.warn('Simulator only dials into conferences; ignoring <Dial>');
+      return null;
+    }
+    call.conference = conference.text.trim();
+    return HOLD;
+  },
+
+  Record: async (call, verb) => {
+    const maxLength = parseInt(verb.attributes.maxLength, 10) || 3600;
+    const seconds = Math.min(RECORDING_SECONDS, maxLength);
+    await sleep(seconds * 1000);
+
+    const recordingSid = makeSid('RE');
+    const recordingUrl = `simulator://recordings/${recordingSid}`;
+    recordings.set(recordingSid, seconds);
+
+    const { recordingStatusCallback } = verb.attributes;
+    if (recordingStatusCallback) {
+      postWebhook(recordingStatusCallback, {
+        AccountSid: ACCOUNT_SID,
+        CallSid: call.sid,
+        RecordingSid: recordingSid,
+        RecordingUrl: recordingUrl,
+        RecordingStatus: 'completed',
+        RecordingDuration: String(seconds),
+        RecordingChannels: '1',
+        RecordingSource: 'RecordVerb'
+      }).catch(error => {
+        console.error('Simulator recording callback error:', error.message);
+      });
+    }
+
+    if (!verb.attributes.action) return null;
+    return {
+      url: verb.attributes.action,
+      params: {
+        RecordingSid: recordingSid,
+        RecordingUrl: recordingUrl,
+        RecordingDuration: String(seconds),
+        Digits: verb.attributes.finishOnKey || 'hangup'
+      }
+    };
+  },
+
+  Hangup: (call) => {
+    hangUp(call, 'completed');
+    return null;
+  }
+};
+
+/**
+ * Fetch TwiML for a call and carry it out
+ * A redirect or hang-up while this runs makes it stop at the next verb
+ *
+ * @param {object} call - simulated call (must be answered)
+ * @param {string} url - Absolute URL of the TwiML
+ * @param {object} [params] - Extra parameters to POST (e.g. Digits)
+ * @param {string} [inlineTwiML] - TwiML given to createCall, used instead of fetching url
+ */
+async function runTwiML(call, url, params = {}, inlineTwiML) {
+  const generation = ++call.generation;
+  const isCurrent = () => !call.ended && call.generation === generation;
+
+  let verbs;
+  try {
+    verbs = parseTwiML(inlineTwiML !== undefined ? inlineTwiML : await postWebhook(url, callParams(call, params)));
+  } catch (error) {
+    // Twilio plays an application error and hangs up
+    console.error(`Simulator TwiML fetch error for call ${call.sid}:`, error.message);
+    hangUp(call, 'completed');
+    return;
+  }
+
+  for (const verb of verbs) {
+    if (!isCurrent()) return;
+
+    const handler = VERBS[verb.name];
+    if (!handler) {
+      console.warn(`Simulator ignoring unsupported TwiML <${verb.name}>`);
+      continue;
+    }
+
+    const result = await handler(call, verb, url);
+    if (!isCurrent()) return;
+    if (result === HOLD) return;
+    if (result && result.url) {
+      return runTwiML(call, result.url, result.params);
+    }
+  }
+
+  // Running out of TwiML ends the call
+  if (isCurrent()) {
+    hangUp(call, 'completed');
+  }
+}
+
+function answer(call) {
+  const behavior = getBehavior(call.to);
+  call.status = 'in-progress';
+  call.answeredAt = Date.now();
+  sendStatus(call, 'in-progress');
+  schedule(call, behavior.hangUpAfterMs, () => hangUp(call, 'completed'));
+  runTwiML(call, call.url, {}, call.twiml);
+}
+
+// Walk a new call through initiated and ringing to its outcome
+function startCall(call) {
+  const behavior = getBehavior(call.to);
+
+  schedule(call, 0, () => {
+    call.status = 'initiated';
+    sendStatus(call, 'initiated');
+  });
+
+  if (behavior.outcome === 'failed' || behavior.outcome === 'busy') {
+    schedule(call, RING_AFTER_MS, () => hangUp(call, behavior.outcome));
+    return;
+  }
+
+  schedule(call, RING_AFTER_MS, () => {
+    call.status = 'ringing';
+    sendStatus(call, 'ringing');
+  });
+  // Like Twilio, stop ringing after `timeout` seconds if nobody picked up by then
+  const timeoutMs = call.timeout ? call.timeout * 1000 : Infinity;
+  if (behavior.answerAfterMs >= timeoutMs) {
+    schedule(call, RING_AFTER_MS + timeoutMs, () => hangUp(call, 'no-answer'));
+    return;
+  }
+  schedule(call, RING_AFTER_MS + behavior.answerAfterMs, () => {
+    if (behavior.outcome === 'answer') {
+      answer(call);
+    } else {
+      hangUp(call, 'no-answer');
+    }
+  });
+}
+
+function getCall(callSid) {
+  const call = calls.get(callSid);
+  if (!call) {
+    throw new Error(`The requested resource /Calls/${callSid} was not found`);
+  }
+  return call;
+}
+
+/**
+ * Browsers can't register a Twilio Device against the simulator; legs to
+ * client identities are answered by the simulator like phones instead
+ */
+function generateAccessToken() {
+  throw new Error('Browser calling is not configured with the telephony simulator');
+}
+
+/**
+ * Start a simulated outbound call
+ * @param {object} params - { to, url | twiml, timeout, statusCallback, statusCallbackEvent }
+ * @returns {Promise<object>} - { sid }
+ */
+async function createCall({ to, url, twiml, timeout, statusCallback, statusCallbackEvent }) {
+  if (!to) {
+    throw new Error("A 'To' phone number is required");
+  }
+
+  const call = {
+    sid: makeSid('CA'),
+    to,
+    url,
+    twiml,
+    timeout: timeout || null,
+    statusCallback,
+    statusCallbackEvent: statusCallbackEvent || ['completed'],
+    status: 'queued',
+    answeredAt: null,
+    ended: false,
+    conference: null,
+    generation: 0,
+    sequenceNumber: -1,
+    timers: new Set(),
+    queue: Promise.resolve()
+  };
+  calls.set(call.sid, call);
+  startCall(call);
+
+  return { sid: call.sid };
+}
+
+/**
+ * "Send" a text message - it is kept for getSimulatedMessages() and logged,
+ * since nobody will receive it
+ * @param {object} params - { to, body }
+ * @returns {Promise<object>} - { sid }
+ */
+async function sendSms({ to, body }) {
+  if (!to) {
+    throw new Error("A 'To' phone number is required");
+  }
+
+  const message = { sid: makeSid('SM'), to, body, sentAt: new Date().toISOString() };
+  messages.push(message);
+  console.log(`Simulator SMS to ${to}: ${body}`);
+  return { sid: message.sid };
+}
+
+/**
+ * Text the shared number from a phone, as Twilio's incoming message webhook
+ * would report it
+ * @param {object} params - { from, body }
+ * @returns {Promise<string|null>} - the text the server replied with, if any
+ */
+async function receiveSms({ from, body }) {
+  const twiml = await postWebhook(`${getBaseUrl()}/api/messages/sms`, {
+    AccountSid: ACCOUNT_SID,
+    ApiVersion: '2010-04-01',
+    MessageSid: makeSid('SM'),
+    From: from,
+    To: process.env.TWILIO_PHONE_NUMBER || '+15005550006',
+    Body: body,
+    NumMedia: '0'
+  });
+  const reply = twiml.match(/<Message>([\s\S]*?)<\/Message>/);
+  return reply ? decodeXml(reply[1]) : null;
+}
+
+/**
+ * Point an answered call at new TwiML
+ * @param {string} callSid - Call SID to redirect
+ * @param {string} url - Absolute URL of the TwiML to fetch
+ */
+async function redirectCall(callSid, url) {
+  const call = getCall(callSid);
+  if (call.ended || !call.answeredAt) {
+    throw new Error('Call is not in-progress. Cannot redirect.');
+  }
+
+  leaveConference(call);
+  runTwiML(call, url);
+}
+
+/**
+ * Hang up a call (cancels it if it hasn't been answered yet)
+ * @param {string} callSid - Call SID to end
+ */
+async function endCall(callSid) {
+  const call = getCall(callSid);
+  hangUp(call, call.answeredAt ? 'completed' : 'canceled');
+}
+
+/**
+ * Hang up everyone in a conference
+ * @param {string} conferenceName - Name the conference was joined with
+ */
+async function endConference(conferenceName) {
+  for (const call of calls.values()) {
+    if (call.conference === conferenceName) {
+      hangUp(call, 'completed');
+    }
+  }
+}
+
+// Silent MPEG-1 Layer III audio (32kbps, 44.1kHz, mono) of the given length
+function silentMp3(seconds) {
+  const frame = Buffer.alloc(104);
+  frame.set([0xff, 0xfb, 0x10, 0xc0]);
+  const frames = Math.ceil(seconds * 44100 / 1152);
+  return Buffer.concat(Array(frames).fill(frame));
+}
+
+/**
+ * Audio for a simulated recording (silence of the recorded length)
+ * @param {string} recordingUrl - RecordingUrl from the recording status callback
+ * @returns {Promise<Response>} - response with an audio/mpeg body
+ */
+async function fetchRecordingAudio(recordingUrl) {
+  const recordingSid = recordingUrl.split('/').pop();
+  const seconds = recordings.get(recordingSid) || RECORDING_SECONDS;
+  return new Response(silentMp3(seconds), {
+    headers: { 'Content-Type': 'audio/mpeg' }
+  });
+}
+
+async function deleteRecording(recordingSid) {
+  recordings.delete(recordingSid);
+}
+
+/**
+ * Check the signature the simulator put on a webhook
+ * @param {string} signature - X-Twilio-Signature header
+ * @param {string} url - Full URL the webhook was sent to, query string included
+ * @param {object} params - POSTed form parameters
+ * @returns {boolean}
+ */
+function validateWebhook(signature, url, params) {
+  if (typeof signature !== 'string') return false;
+  const expected = Buffer.from(sign(url, params));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Override how the person at a destination behaves (for tests and demos)
+ * @param {string} to - Phone number or "client:<identity>"
+ * @param {object} behavior - any of { outcome, digits, answerAfterMs, hangUpAfterMs }
+ */
+function setBehavior(to, behavior) {
+  behaviors.set(to, { ...behaviors.get(to), ...behavior });
+}
+
+/**
+ * Hang up every simulated call and forget all overrides
+ */
+function resetSimulator() {
+  for (const call of calls.values()) {
+    call.ended = true;
+    call.timers.forEach(clearTimeout);
+  }
+  calls.clear();
+  behaviors.clear();
+  recordings.clear();
+  messages.length = 0;
+}
+
+/**
+ * Snapshot of the simulated calls, oldest first
+ * @returns {Array<object>} - { sid, to, status, conference, answeredAt }
+ */
+function getSimulatedCalls() {
+  return [...calls.values()].map(call => ({
+    sid: call.sid,
+    to: call.to,
+    status: call.status,
+    conference: call.conference,
+    answeredAt: call.answeredAt ? new Date(call.answeredAt).toISOString() : null
+  }));
+}
+
+/**
+ * Text messages sent so far, oldest first
+ * @returns {Array<object>} - { sid, to, body, sentAt }
+ */
+function getSimulatedMessages() {
+  return messages.map(message => ({ ...message }));
+}
+
+module.exports = {
+  name: 'simulator',
+  generateAccessToken,
+  createCall,
+  sendSms,
+  receiveSms,
+  redirectCall,
+  endCall,
+  endConference,
+  fetchRecordingAudio,
+  deleteRecording,
+  validateWebhook,
+  setBehavior,
+  resetSimulator,
+  getSimulatedCalls,
+  getSimulatedMessages
+};
@@ -0,0 +1,196 @@
+// Twilio provider - places real calls through the Twilio REST API
+const twilio = require('twilio');
+const AccessToken = twilio.jwt.AccessToken;
+const VoiceGrant = AccessToken.VoiceGrant;
+
+let twilioClient = null;
+
+function getTwilioClient() {
+  if (!twilioClient) {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    if (!accountSid || !authToken) {
+      throw new Error('Twilio credentials not configured');
+    }
+
+    twilioClient = twilio(accountSid, authToken);
+  }
+  return twilioClient;
+}
+
+/**
+ * Generate an access token for Twilio Voice in the browser
+ * @param {string} identity - Unique identity for this user (e.g., "user_123")
+ * @returns {string} - JWT access token
+ */
+function generateAccessToken(identity) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const apiKey = process.env.TWILIO_API_KEY;
+  const apiSecret = process.env.TWILIO_API_SECRET;
+  const twimlAppSid = process.env.TWILIO_TWIML_APP_SID;
+
+  if (!accountSid || !apiKey || !apiSecret) {
+    throw new Error('Twilio API credentials not configured');
+  }
+
+  const accessToken = new AccessToken(accountSid, apiKey, apiSecret, {
+    identity: identity,
+    ttl: 3600 // Token valid for 1 hour
+  });
+
+  // Create a Voice grant for this token
+  const voiceGrant = new VoiceGrant({
+    outgoingApplicationSid: twimlAppSid,
+    incomingAllow: true // Allow incoming calls to this identity
+  });
+
+  accessToken.addGrant(voiceGrant);
+
+  return accessToken.toJwt();
+}
+
+/**
+ * Place an outbound call that fetches its TwiML from `url` once answered,
+ * or carries out the given `twiml` instead
+ * @param {object} params - { to, url | twiml, timeout, statusCallback, statusCallbackEvent }
+ *   where timeout is how many seconds to let it ring (Twilio's default is 60)
+ * @returns {Promise<object>} - { sid }
+ */
+async function createCall({ to, url, twiml: callTwiML, timeout, statusCallback, statusCallbackEvent }) {
+  const client = getTwilioClient();
+
+  if (!process.env.TWILIO_PHONE_NUMBER) {
+    throw new Error('Twilio phone number not configured');
+  }
+
+  const call = await client.calls.create({
+    to,
+    from: process.env.TWILIO_PHONE_NUMBER,
+    url,
+    twiml: callTwiML,
+    timeout,
+    statusCallback,
+    statusCallbackEvent,
+    statusCallbackMethod: 'POST'
+  });
+  return { sid: call.sid };
+}
+
+/**
+ * Send a text message from our Twilio number
+ * @param {object} params - { to, body }
+ * @returns {Promise<object>} - { sid }
+ */
+async function sendSms({ to, body }) {
+  const client = getTwilioClient();
+
+  if (!process.env.TWILIO_PHONE_NUMBER) {
+    throw new Error('Twilio phone number not configured');
+  }
+
+  const message = await client.messages.create({
+    to,
+    from: process.env.TWILIO_PHONE_NUMBER,
+    body
+  });
+  return { sid: message.sid };
+}
+
+/**
+ * Point a live call at new TwiML (e.g. to move a caller into voicemail)
+ * @param {string} callSid - Twilio Call SID to redirect
+ * @param {string} url - Absolute URL of the TwiML to fetch
+ */
+async function redirectCall(callSid, url) {
+  const client = getTwilioClient();
+  await client.calls(callSid).update({ url, method: 'POST' });
+}
+
+/**
+ * End an ongoing call
+ * @param {string} callSid - Twilio Call SID to end
+ */
+async function endCall(callSid) {
+  const client = getTwilioClient();
+  await client.calls(callSid).update({ status: 'completed' });
+}
+
+/**
+ * End a conference and disconnect everyone still in it
+ * @param {string} conferenceName - Friendly name the conference was created with
+ */
+async function endConference(conferenceName) {
+  const client = getTwilioClient();
+  const conferences = await client.conferences.list({
+    friendlyName: conferenceName,
+    status: 'in-progress'
+  });
+  await Promise.all(conferences.map(conference =>
+    client.conferences(conference.sid).update({ status: 'completed' })
+  ));
+}
+
+/**
+ * Download a recording's audio from Twilio
+ * Recordings require account credentials, so they are proxied rather than linked
+ * @param {string} recordingUrl - RecordingUrl from the recording status callback
+ * @returns {Promise<Response>} - fetch response with an audio/mpeg body
+ */
+async function fetchRecordingAudio(recordingUrl) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  if (!accountSid || !authToken) {
+    throw new Error('Twilio credentials not configured');
+  }
+
+  const response = await fetch(`${recordingUrl}.mp3`, {
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Recording download failed with status ${response.status}`);
+  }
+
+  return response;
+}
+
+/**
+ * Permanently delete a recording from Twilio
+ * @param {string} recordingSid - Twilio Recording SID
+ */
+async function deleteRecording(recordingSid) {
+  const client = getTwilioClient();
+  await client.recordings(recordingSid).remove();
+}
+
+/**
+ * Check the X-Twilio-Signature of a webhook
+ * @param {string} signature - X-Twilio-Signature header
+ * @param {string} url - Full URL the webhook was sent to, query string included
+ * @param {object} params - POSTed form parameters
+ * @returns {boolean|null} - validity, or null when no auth token is configured (dev mode)
+ */
+function validateWebhook(signature, url, params) {
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    return null;
+  }
+  return twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, params);
+}
+
+module.exports = {
+  name: 'twilio',
+  getTwilioClient,
+  generateAccessToken,
+  createCall,
+  sendSms,
+  redirectCall,
+  endCall,
+  endConference,
+  fetchRecordingAudio,
+  deleteRecording,
+  validateWebhook
+};
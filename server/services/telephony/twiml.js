@@ -0,0 +1,152 @@
+// TwiML - the call instructions our webhooks answer with. Both telephony
+// providers understand it: Twilio executes it, the simulator interprets it.
+const twilio = require('twilio');
+
+const VoiceResponse = twilio.twiml.VoiceResponse;
+const MessagingResponse = twilio.twiml.MessagingResponse;
+
+// Largest conference we set up, caller included
+const MAX_CALL_PARTICIPANTS = 8;
+
+// Where the provider should send webhooks (TwiML fetches and status callbacks)
+function getBaseUrl() {
+  return process.env.BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+}
+
+/**
+ * Generate TwiML for conference joining
+ * @param {string} conferenceName - Name of the conference to join
+ * @param {string} participant - Identifier for the participant (caller/callee/accepted)
+ * @returns {string} - TwiML response
+ */
+function generateConferenceTwiML(conferenceName, participant) {
+  const response = new VoiceResponse();
+
+  // Add a brief message before connecting
+  if (participant === 'caller') {
+    response.say('Connecting your call. Please wait.');
+  } else if (participant === 'accepted') {
+    response.say('Connecting you now.');
+  } else {
+    response.say('You have an incoming call. Connecting now.');
+  }
+
+  // Connect to the conference. Nobody's departure ends it for everyone else -
+  // the server hangs up whoever is left alone (see services/calls.js)
+  const dial = response.dial();
+  dial.conference({
+    startConferenceOnEnter: true,
+    endConferenceOnExit: false,
+    maxParticipants: MAX_CALL_PARTICIPANTS,
+    beep: false,
+    waitUrl: '' // No hold music, just silence while waiting
+  }, conferenceName);
+
+  return response.toString();
+}
+
+/**
+ * Generate TwiML asking a callee whether to accept the call
+ * @param {string} callerCodename - Codename announced to the callee
+ * @param {string} decisionUrl - Absolute URL the pressed digit is posted to
+ * @returns {string} - TwiML response
+ */
+function generateConsentTwiML(callerCodename, decisionUrl) {
+  const response = new VoiceResponse();
+
+  const gather = response.gather({
+    numDigits: 1,
+    timeout: 10,
+    action: decisionUrl,
+    method: 'POST'
+  });
+  gather.say(`Incoming call from ${callerCodename}. Press 1 to accept. Press 2 to decline. Press 3 to decline and block this caller.`);
+
+  // No key pressed - let the decision endpoint treat it as no response
+  response.redirect({ method: 'POST' }, decisionUrl);
+
+  return response.toString();
+}
+
+/**
+ * Generate TwiML that says a message and hangs up
+ * @param {string} message - Text to read to the listener
+ * @returns {string} - TwiML response
+ */
+function generateSayAndHangupTwiML(message) {
+  const response = new VoiceResponse();
+
+  response.say(message);
+  response.hangup();
+
+  return response.toString();
+}
+
+/**
+ * Generate TwiML that records a voicemail for an unavailable callee
+ * @param {string} calleeCodename - Codename announced to the caller
+ * @param {string} callLogId - ID of the call log the recording belongs to
+ * @returns {string} - TwiML response
+ */
+function generateVoicemailTwiML(calleeCodename, callLogId) {
+  const response = new VoiceResponse();
+  const baseUrl = getBaseUrl();
+
+  response.say(`${calleeCodename} is not available. Please leave a message after the tone, and press the pound key when you are finished.`);
+  response.record({
+    maxLength: 120,
+    playBeep: true,
+    finishOnKey: '#',
+    action: `${baseUrl}/api/voicemails/twiml/${callLogId}/complete`,
+    recordingStatusCallback: `${baseUrl}/api/voicemails/recording/${callLogId}`,
+    recordingStatusCallbackMethod: 'POST'
+  });
+
+  // Only reached if nothing was recorded
+  response.say('No message was recorded. Goodbye.');
+  response.hangup();
+
+  return response.toString();
+}
+
+/**
+ * Generate TwiML that reads out a verification code, twice
+ * @param {string} code - Digits to read
+ * @returns {string} - TwiML response
+ */
+function generateVerificationCodeTwiML(code) {
+  const response = new VoiceResponse();
+  // "1 2 3 4 5 6" is read digit by digit rather than as a number
+  const spoken = code.split('').join(' ');
+
+  response.say(`Your verification code is ${spoken}.`);
+  response.pause({ length: 1 });
+  response.say(`Again, your code is ${spoken}. Goodbye.`);
+  response.hangup();
+
+  return response.toString();
+}
+
+/**
+ * Generate TwiML answering an incoming text message
+ * @param {string} [reply] - Text sent back to the sender (none if omitted)
+ * @returns {string} - TwiML response
+ */
+function generateMessagingTwiML(reply) {
+  const response = new MessagingResponse();
+  if (reply) {
+    response.message(reply);
+  }
+  return response.toString();
+}
+
+module.exports = {
+  MAX_CALL_PARTICIPANTS,
+  getBaseUrl,
+  generateConferenceTwiML,
+  generateConsentTwiML,
+  generateSayAndHangupTwiML,
+  generateVoicemailTwiML,
+  generateVerificationCodeTwiML,
+  generateMessagingTwiML
+};
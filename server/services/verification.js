@@ -0,0 +1,158 @@
+// Phone verification - proves a user owns a number we would ring (any of
+// their user_phones) by sending a one-time code to it (text message or voice
+// call) and having them type it back. Only an HMAC of each code is
+// stored; codes expire, allow a few guesses, and are tied to the number they
+// were sent to, so changing the number means verifying again.
+const crypto = require('crypto');
+const {
+  createPhoneVerification,
+  getLatestPhoneVerification,
+  countPhoneVerificationsSince,
+  incrementPhoneVerificationAttempts,
+  completePhoneVerification
+} = require('../db/database');
+const { sendVerificationCode } = require('./telephony');
+
+const VERIFICATION_CHANNELS = ['sms', 'voice'];
+const CODE_LENGTH = 6;
+const CODE_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+// Between two codes, and how many a user can be sent per hour
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_CODES_PER_HOUR = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Keyed with the session secret so a leaked table can't be brute-forced offline
+function hashCode(verification, code) {
+  const secret = process.env.SESSION_SECRET || 'default-secret-change-in-production';
+  return crypto.createHmac('sha256', secret)
+    .update(`${verification.userId}:${verification.phoneNumber}:${code}`)
+    .digest('hex');
+}
+
+function codeMatches(row, code) {
+  const expected = Buffer.from(row.code_hash, 'hex');
+  const actual = Buffer.from(hashCode({ userId: row.user_id, phoneNumber: row.phone_number }, code), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// A code that can still be redeemed for the number
+function isOpen(row, phone, now) {
+  return row
+    && !row.verified_at
+    && row.phone_number === phone.phone_number
+    && new Date(row.expires_at) > now
+    && row.attempts < MAX_ATTEMPTS;
+}
+
+/**
+ * Verification state of one of a user's phone numbers
+ * @param {object} phone - user_phones row
+ * @returns {Promise<object>} - { phoneId, phoneNumber, phoneType, verified, verifiedAt, pending }
+ *   where pending is null or { channel, expiresAt, attemptsLeft }
+ */
+async function getPhoneVerificationStatus(phone) {
+  const latest = await getLatestPhoneVerification(phone.user_id, phone.phone_number);
+  const pending = !phone.verified_at && isOpen(latest, phone, new Date())
+    ? { channel: latest.channel, expiresAt: latest.expires_at, attemptsLeft: MAX_ATTEMPTS - latest.attempts }
+    : null;
+
+  return {
+    phoneId: phone.id,
+    phoneNumber: phone.phone_number,
+    phoneType: phone.phone_type,
+    verified: Boolean(phone.verified_at),
+    verifiedAt: phone.verified_at,
+    pending
+  };
+}
+
+/**
+ * Send a new code to one of the user's numbers (replacing any earlier code for it)
+ * The hourly limit covers codes to all of the user's numbers together
+ *
+ * @param {object} phone - user_phones row
+ * @param {string} channel - 'sms' or 'voice'
+ * @returns {Promise<object>} - { retryAfter } in seconds if too many codes
+ *   were requested, else { expiresAt }
+ */
+async function startPhoneVerification(phone, channel) {
+  const now = Date.now();
+  const userId = phone.user_id;
+  const number = phone.phone_number;
+
+  const latest = await getLatestPhoneVerification(userId, number);
+  if (latest) {
+    const wait = Math.ceil((new Date(latest.created_at).getTime() + RESEND_COOLDOWN_SECONDS * 1000 - now) / 1000);
+    if (wait > 0) return { retryAfter: wait };
+  }
+
+  const lastHour = await countPhoneVerificationsSince(userId, new Date(now - HOUR_MS).toISOString());
+  if (lastHour.count >= MAX_CODES_PER_HOUR) {
+    return { retryAfter: Math.max(Math.ceil((new Date(lastHour.oldest).getTime() + HOUR_MS - now) / 1000), 1) };
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+  const expiresAt = new Date(now + CODE_TTL_MINUTES * 60 * 1000).toISOString();
+
+  // Stored before sending, so a failed delivery still counts towards the limits
+  await createPhoneVerification({
+    userId,
+    phoneNumber: number,
+    channel,
+    codeHash: hashCode({ userId, phoneNumber: number }, code),
+    expiresAt
+  });
+  await sendVerificationCode(number, code, channel, CODE_TTL_MINUTES);
+
+  return { expiresAt };
+}
+
+/**
+ * Check a code typed back by the user and, if right, mark that number verified
+ * Every guess counts towards the attempt limit, right or wrong
+ *
+ * @param {object} phone - user_phones row
+ * @param {string} code - What the user typed
+ * @returns {Promise<object>} - { phone } (the updated row) on success, else
+ *   { error, attemptsLeft? }
+ */
+async function confirmPhoneVerification(phone, code) {
+  const latest = await getLatestPhoneVerification(phone.user_id, phone.phone_number);
+  if (!latest || latest.verified_at) {
+    return { error: 'No code has been sent to this number. Request a new one.' };
+  }
+  if (new Date(latest.expires_at) <= new Date()) {
+    return { error: 'This code has expired. Request a new one.' };
+  }
+
+  const attempts = await incrementPhoneVerificationAttempts(latest.id);
+  if (attempts > MAX_ATTEMPTS) {
+    return { error: 'Too many wrong codes. Request a new one.', attemptsLeft: 0 };
+  }
+
+  if (!codeMatches(latest, code)) {
+    const attemptsLeft = MAX_ATTEMPTS - attempts;
+    return {
+      error: attemptsLeft > 0
+        ? `That code is not right. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`
+        : 'Too many wrong codes. Request a new one.',
+      attemptsLeft
+    };
+  }
+
+  const updated = await completePhoneVerification(latest.id, phone.id, latest.phone_number);
+  if (!updated) {
+    return { error: 'Your phone number has changed. Request a new code.' };
+  }
+  return { phone: { ...updated, windows: phone.windows } };
+}
+
+module.exports = {
+  VERIFICATION_CHANNELS,
+  CODE_LENGTH,
+  getPhoneVerificationStatus,
+  startPhoneVerification,
+  confirmPhoneVerification
+};
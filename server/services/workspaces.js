@@ -0,0 +1,108 @@
+// Workspaces - separate phonebooks. A user only sees and calls people they
+// share a workspace with. Members join with the workspace's invite code, or
+// with a Google account on the email domain the owner opened it to - as long
+// as Google has verified the address and the domain isn't a public mail
+// provider's, where sharing a domain says nothing about who someone is.
+const crypto = require('crypto');
+
+const MAX_WORKSPACE_NAME_LENGTH = 60;
+// No 0/O or 1/I, so a code read out loud or off a screen is typed right
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 10;
+
+// Free mail providers anyone can sign up with
+const PUBLIC_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com',
+  'outlook.com', 'hotmail.com', 'live.com', 'msn.com',
+  'hotmail.co.uk', 'hotmail.fr', 'hotmail.de', 'hotmail.it', 'live.co.uk', 'live.fr', 'outlook.fr', 'outlook.de',
+  'yahoo.com', 'ymail.com', 'rocketmail.com',
+  'yahoo.co.uk', 'yahoo.fr', 'yahoo.de', 'yahoo.it', 'yahoo.es', 'yahoo.co.jp', 'yahoo.com.br', 'yahoo.co.in',
+  'icloud.com', 'me.com', 'mac.com',
+  'aol.com', 'proton.me', 'protonmail.com', 'pm.me', 'tutanota.com', 'tuta.io',
+  'gmx.com', 'gmx.net', 'gmx.de', 'web.de', 'mail.com', 'zoho.com', 'fastmail.com', 'hey.com',
+  'yandex.com', 'yandex.ru', 'mail.ru', 'qq.com', '163.com', '126.com', 'naver.com'
+]);
+
+function generateInviteCode() {
+  return Array.from(
+    { length: INVITE_CODE_LENGTH },
+    () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]
+  ).join('');
+}
+
+// Codes are compared in upper case, ignoring spaces and dashes
+function normalizeInviteCode(code) {
+  return typeof code === 'string' ? code.replace(/[\s-]/g, '').toUpperCase() : '';
+}
+
+// The domain of an email address in lower case ("Ann@Example.com" -> "example.com")
+function getEmailDomain(email) {
+  const at = typeof email === 'string' ? email.lastIndexOf('@') : -1;
+  return at === -1 ? null : email.slice(at + 1).toLowerCase();
+}
+
+function isPublicEmailDomain(domain) {
+  return PUBLIC_EMAIL_DOMAINS.has(domain);
+}
+
+/**
+ * The email domain a user can join (or open) workspaces by, or null when
+ * their address isn't verified or is at a public mail provider
+ * @param {string} email - The user's Google email
+ * @param {boolean} emailVerified - Whether Google has verified it
+ * @returns {string|null}
+ */
+function getWorkspaceEmailDomain(email, emailVerified) {
+  const domain = getEmailDomain(email);
+  return domain && emailVerified && !isPublicEmailDomain(domain) ? domain : null;
+}
+
+function validateWorkspaceName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { valid: false, error: 'Workspace name is required' };
+  }
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_WORKSPACE_NAME_LENGTH) {
+    return { valid: false, error: `Workspace name must be ${MAX_WORKSPACE_NAME_LENGTH} characters or less` };
+  }
+  return { valid: true, name: trimmed };
+}
+
+/**
+ * Validate the email domain a workspace is opened to - only ever the domain
+ * of the owner's own verified Google account, and never a public mail provider
+ * @param {string|null} domain - Domain to open the workspace to, or null for none
+ * @param {object} owner - users row of the owner (needs email, email_verified)
+ * @returns {object} - { valid: true, emailDomain } or { valid: false, error }
+ */
+function validateEmailDomain(domain, owner) {
+  if (domain === null || domain === undefined || domain === '') {
+    return { valid: true, emailDomain: null };
+  }
+  if (typeof domain !== 'string') {
+    return { valid: false, error: 'emailDomain must be a string' };
+  }
+
+  const normalized = domain.trim().replace(/^@/, '').toLowerCase();
+  if (isPublicEmailDomain(normalized)) {
+    return { valid: false, error: `Anyone can get an address at ${normalized}, so a workspace can't be opened to it` };
+  }
+  if (!owner.email_verified) {
+    return { valid: false, error: 'Google hasn\'t verified your email address, so you can\'t open a workspace to its domain' };
+  }
+  const ownDomain = getEmailDomain(owner.email);
+  if (normalized !== ownDomain) {
+    return { valid: false, error: `You can only open a workspace to your own email domain (${ownDomain})` };
+  }
+  return { valid: true, emailDomain: normalized };
+}
+
+module.exports = {
+  MAX_WORKSPACE_NAME_LENGTH,
+  generateInviteCode,
+  normalizeInviteCode,
+  getEmailDomain,
+  getWorkspaceEmailDomain,
+  validateWorkspaceName,
+  validateEmailDomain
+};